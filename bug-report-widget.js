@@ -6,6 +6,9 @@
  *   <script src="https://your-server/bug-report-widget.js"
  *           data-endpoint="https://your-server/api/bug-report"
  *           data-api-key="stk_your_api_key"
+ *           data-project="my-app"
+ *           data-collect-screenshot="true"
+ *           data-capture-response-body="true"
  *           data-position="bottom-right"
  *           data-theme="dark">
  *   </script>
@@ -14,6 +17,7 @@
  *   SwarmBugReport.init({
  *     endpoint: 'https://your-server/api/bug-report',
  *     apiKey: 'stk_your_api_key',
+ *     project: 'my-app', // optional - sends to /api/projects/my-app/bug-report
  *     position: 'bottom-right',
  *     theme: 'dark'
  *   });
@@ -28,6 +32,7 @@
   const DEFAULT_CONFIG = {
     endpoint: '/api/bug-report',
     apiKey: null,
+    project: null, // Project on a multi-project server (the endpoint's /api/ becomes /api/projects/<project>/)
     position: 'bottom-right', // bottom-right, bottom-left, top-right, top-left
     theme: 'dark', // dark, light
     buttonText: 'Report Bug',
@@ -35,14 +40,41 @@
     successMessage: 'Thank you! Your bug report has been submitted.',
     errorMessage: 'Failed to submit bug report. Please try again.',
     rateLimitMessage: 'Too many reports. Please wait a moment.',
+    queuedMessage: 'You seem to be offline. Your report was saved and will be sent automatically.',
     collectErrors: true, // Automatically capture console errors
-    collectScreenshot: false, // Experimental: capture screenshot
-    maxErrors: 10 // Max errors to collect
+    collectScreenshot: false, // Let the reporter attach a screenshot (captured from the page or picked from disk)
+    collectEmail: false, // Ask for an email (with consent) to tell the reporter when the bug is fixed
+    maxErrors: 10, // Max errors to collect
+    collectNetwork: true, // Capture failed (HTTP error or no response) and slow fetch/XMLHttpRequest calls
+    slowRequestMs: 3000, // Successful requests taking at least this long are captured too
+    captureResponseBody: false, // Include the start of failed responses' bodies - they may hold user data
+    responseBodyLimit: 500, // Characters of response body to keep
+    maxRequests: 10, // Max requests to collect (the most recent are kept)
+    collectBreadcrumbs: true, // Record clicks, page changes, form submissions and tab switches before a report
+    maxBreadcrumbs: 30, // Max breadcrumbs to keep (the most recent)
+    queueOffline: true, // Keep reports that couldn't be sent (offline, server error) and retry them later
+    maxQueuedReports: 10 // Max reports waiting to be sent (the oldest are dropped)
   };
 
+  // Unsent reports live in localStorage (one queue per endpoint) and are retried with exponential backoff.
+  // Each report has an idempotency key, so a retry of a report that did arrive isn't filed twice
+  const QUEUE_STORAGE_KEY = 'swarm-bug-report-queue';
+  const RETRY_BASE_MS = 5000;
+  const RETRY_MAX_MS = 10 * 60 * 1000;
+  const QUEUE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // The server remembers idempotency keys this long
+
+  // Receipts of sent reports (one list per endpoint) - their tokens look up how a report is doing
+  const RECEIPTS_STORAGE_KEY = 'swarm-bug-report-receipts';
+  const MAX_RECEIPTS = 20;
+
   let config = { ...DEFAULT_CONFIG };
   let collectedErrors = [];
+  let collectedRequests = [];
+  let breadcrumbs = [];
   let isOpen = false;
+  let screenshot = null; // Blob attached to the next report
+  let flushing = false;
+  let retryTimer = null;
 
   // Styles
   const STYLES = `
@@ -214,6 +246,21 @@
       resize: vertical;
     }
 
+    .swarm-bug-field .swarm-bug-consent {
+      display: flex;
+      align-items: flex-start;
+      gap: 8px;
+      margin: 8px 0 0;
+      font-weight: normal;
+      font-size: 12px;
+    }
+
+    .swarm-bug-field .swarm-bug-consent input {
+      width: auto;
+      margin: 2px 0 0;
+      padding: 0;
+    }
+
     .swarm-bug-errors-info {
       padding: 10px 12px;
       border-radius: 6px;
@@ -233,6 +280,38 @@
       color: #c00;
     }
 
+    .swarm-bug-screenshot-actions {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      flex-wrap: wrap;
+      font-size: 12px;
+    }
+
+    .swarm-bug-capture,
+    .swarm-bug-screenshot-remove {
+      padding: 6px 12px;
+      border: 1px solid rgba(128, 128, 128, 0.4);
+      border-radius: 6px;
+      background: none;
+      color: inherit;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .swarm-bug-screenshot-preview {
+      display: flex;
+      align-items: flex-start;
+      gap: 10px;
+    }
+
+    .swarm-bug-screenshot-preview img {
+      max-width: 200px;
+      max-height: 120px;
+      border-radius: 4px;
+      border: 1px solid rgba(128, 128, 128, 0.4);
+    }
+
     .swarm-bug-submit {
       width: 100%;
       padding: 12px;
@@ -273,6 +352,11 @@
       color: #ff6b6b;
     }
 
+    .swarm-bug-status.queued {
+      background: #4a432d;
+      color: #f0c060;
+    }
+
     .swarm-bug-footer {
       padding: 12px 20px;
       border-top: 1px solid rgba(128, 128, 128, 0.2);
@@ -318,6 +402,31 @@
               <textarea id="swarm-bug-steps" placeholder="1. Go to...\n2. Click on...\n3. See error"></textarea>
             </div>
 
+            ${config.collectEmail ? `
+              <div class="swarm-bug-field">
+                <label for="swarm-bug-email">Email (optional)</label>
+                <input type="email" id="swarm-bug-email" placeholder="you@example.com" maxlength="254">
+                <label class="swarm-bug-consent">
+                  <input type="checkbox" id="swarm-bug-consent">
+                  <span>Email me when this bug is fixed. My address is used for nothing else.</span>
+                </label>
+              </div>
+            ` : ''}
+
+            ${config.collectScreenshot ? `
+              <div class="swarm-bug-field">
+                <label>Screenshot (optional)</label>
+                <div class="swarm-bug-screenshot-actions">
+                  <button type="button" class="swarm-bug-capture">📸 Capture this page</button>
+                  <input type="file" class="swarm-bug-file" accept="image/png,image/jpeg,image/gif,image/webp">
+                </div>
+                <div class="swarm-bug-screenshot-preview" style="display: none;">
+                  <img alt="Screenshot to attach">
+                  <button type="button" class="swarm-bug-screenshot-remove">Remove</button>
+                </div>
+              </div>
+            ` : ''}
+
             <div class="swarm-bug-errors-info" style="display: none;"></div>
 
             <button type="submit" class="swarm-bug-submit">Submit Report</button>
@@ -376,13 +485,433 @@
     });
   }
 
+  // URLs are kept without their query string and fragment, which often carry tokens and personal data
+  function stripQuery(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return parsed.origin + parsed.pathname;
+    } catch (error) {
+      return String(url).split(/[?#]/)[0];
+    }
+  }
+
+  function recordRequest(request) {
+    // The widget's own report submissions aren't part of the bug
+    if (stripQuery(request.url) === stripQuery(config.endpoint)) return;
+
+    collectedRequests.push({
+      method: String(request.method || 'GET').toUpperCase(),
+      url: stripQuery(request.url),
+      status: request.status,
+      durationMs: Date.now() - request.started,
+      error: request.error || null,
+      responseBody: request.responseBody ? request.responseBody.slice(0, config.responseBodyLimit) : null,
+      timestamp: new Date(request.started).toISOString()
+    });
+    if (collectedRequests.length > config.maxRequests) collectedRequests.shift();
+  }
+
+  function shouldRecord(status, started) {
+    return status === null || status >= 400 || Date.now() - started >= config.slowRequestMs;
+  }
+
+  // Set up network collection: wraps fetch and XMLHttpRequest to note failed and slow requests.
+  // Aborted requests are left out - something on the page cancelled them on purpose
+  function setupNetworkCollection() {
+    if (!config.collectNetwork) return;
+
+    if (window.fetch) {
+      const originalFetch = window.fetch;
+      window.fetch = function(input, init) {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        const request = {
+          method: (init && init.method) || (isRequest ? input.method : 'GET'),
+          url: isRequest ? input.url : String(input),
+          started: Date.now()
+        };
+
+        return originalFetch.apply(this, arguments).then(response => {
+          if (shouldRecord(response.status, request.started)) {
+            const done = responseBody => recordRequest({ ...request, status: response.status, responseBody });
+            if (config.captureResponseBody && response.status >= 400) {
+              response.clone().text().then(done, () => done(null));
+            } else {
+              done(null);
+            }
+          }
+          return response;
+        }, error => {
+          if (error.name !== 'AbortError') {
+            recordRequest({ ...request, status: null, error: error.message || String(error) });
+          }
+          throw error;
+        });
+      };
+    }
+
+    if (window.XMLHttpRequest) {
+      const originalOpen = XMLHttpRequest.prototype.open;
+      const originalSend = XMLHttpRequest.prototype.send;
+
+      XMLHttpRequest.prototype.open = function(method, url) {
+        this._swarmRequest = { method, url: String(url) };
+        return originalOpen.apply(this, arguments);
+      };
+
+      XMLHttpRequest.prototype.send = function() {
+        const xhr = this;
+        const request = xhr._swarmRequest;
+        if (request) {
+          let error = null;
+          let aborted = false;
+          request.started = Date.now();
+          xhr.addEventListener('error', () => { error = 'Network error'; });
+          xhr.addEventListener('timeout', () => { error = 'Timed out'; });
+          xhr.addEventListener('abort', () => { aborted = true; });
+          xhr.addEventListener('loadend', () => {
+            if (aborted) return;
+            const status = error ? null : xhr.status;
+            if (!shouldRecord(status, request.started)) return;
+
+            const readable = xhr.responseType === '' || xhr.responseType === 'text';
+            recordRequest({
+              ...request,
+              status,
+              error,
+              responseBody: config.captureResponseBody && status >= 400 && readable ? xhr.responseText : null
+            });
+          });
+        }
+        return originalSend.apply(this, arguments);
+      };
+    }
+  }
+
+  function addBreadcrumb(breadcrumb) {
+    breadcrumbs.push({ ...breadcrumb, timestamp: new Date().toISOString() });
+    if (breadcrumbs.length > config.maxBreadcrumbs) breadcrumbs.shift();
+  }
+
+  // Short CSS selector for an element: up to three levels, stopping at the nearest ID
+  function describeElement(element) {
+    const parts = [];
+    for (let el = element; el && el.nodeType === 1 && parts.length < 3; el = el.parentElement) {
+      let part = el.tagName.toLowerCase();
+      if (el.id) {
+        parts.unshift(`${part}#${el.id}`);
+        break;
+      }
+      const classes = Array.from(el.classList).slice(0, 2);
+      if (classes.length > 0) part += '.' + classes.join('.');
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  }
+
+  // Page address as recorded: path only, plus the fragment when it's a hash router's route ("#/settings")
+  function pageRoute(url) {
+    const parsed = new URL(url, window.location.href);
+    return parsed.pathname + (/^#!?\//.test(parsed.hash) ? parsed.hash.split('?')[0] : '');
+  }
+
+  // Set up breadcrumbs: what the reporter did before reporting. Form field values are never recorded,
+  // and neither is anything done inside the widget itself
+  function setupBreadcrumbs(widget) {
+    if (!config.collectBreadcrumbs) return;
+
+    let lastRoute = pageRoute(window.location.href);
+    addBreadcrumb({ type: 'navigation', url: lastRoute, via: 'load' });
+
+    function navigated(via) {
+      const route = pageRoute(window.location.href);
+      if (route === lastRoute) return;
+      lastRoute = route;
+      addBreadcrumb({ type: 'navigation', url: route, via });
+    }
+
+    // Single-page apps change pages through the History API without any event
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+      history[method] = function() {
+        const result = original.apply(this, arguments);
+        navigated(method);
+        return result;
+      };
+    });
+    window.addEventListener('popstate', () => navigated('popstate'));
+    window.addEventListener('hashchange', () => navigated('hashchange'));
+
+    document.addEventListener('click', event => {
+      if (!(event.target instanceof Element) || widget.contains(event.target)) return;
+      const target = event.target.closest('a, button, [role="button"], input, select, textarea, label, summary') || event.target;
+      const isField = /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName);
+      addBreadcrumb({
+        type: 'click',
+        selector: describeElement(target),
+        text: isField ? null : (target.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80) || null
+      });
+    }, true);
+
+    document.addEventListener('submit', event => {
+      if (widget.contains(event.target)) return;
+      addBreadcrumb({ type: 'submit', selector: describeElement(event.target) });
+    }, true);
+
+    document.addEventListener('visibilitychange', () => {
+      addBreadcrumb({ type: 'visibility', state: document.visibilityState });
+    });
+  }
+
+  function generateIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+  }
+
+  // Send a report - resolves to the response, rejects when the request never reached the server
+  function sendReport(report, image, idempotencyKey) {
+    const headers = { 'Idempotency-Key': idempotencyKey };
+    let body;
+
+    // With a screenshot the report goes as multipart/form-data (the browser sets its Content-Type)
+    if (image) {
+      body = new FormData();
+      Object.keys(report).forEach(key => {
+        body.append(key, typeof report[key] === 'string' ? report[key] : JSON.stringify(report[key]));
+      });
+      const type = image.type || 'image/png';
+      body.append('screenshot', image, image.name || `screenshot.${type.split('/')[1]}`);
+    } else {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(report);
+    }
+
+    if (config.apiKey) {
+      headers['X-API-Key'] = config.apiKey;
+    }
+
+    return fetch(config.endpoint, {
+      method: 'POST',
+      headers,
+      body
+    });
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const bytes = atob(data);
+    const array = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) array[i] = bytes.charCodeAt(i);
+    return new Blob([array], { type: header.slice(5).split(';')[0] });
+  }
+
+  function queueStorageKey() {
+    return `${QUEUE_STORAGE_KEY}:${config.endpoint}`;
+  }
+
+  function loadQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(queueStorageKey())) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveQueue(queue) {
+    try {
+      if (queue.length > 0) {
+        localStorage.setItem(queueStorageKey(), JSON.stringify(queue));
+      } else {
+        localStorage.removeItem(queueStorageKey());
+      }
+      return true;
+    } catch (error) {
+      // Storage is full or disabled
+      return false;
+    }
+  }
+
+  // Change one queued report (null removes it). The queue is re-read each time - other tabs share it
+  function updateQueued(idempotencyKey, changes) {
+    const queue = loadQueue();
+    const index = queue.findIndex(entry => entry.key === idempotencyKey);
+    if (index === -1) return;
+    if (changes) {
+      queue[index] = { ...queue[index], ...changes };
+    } else {
+      queue.splice(index, 1);
+    }
+    saveQueue(queue);
+  }
+
+  // Keep a report that couldn't be sent. Returns false if it couldn't be stored either
+  async function queueReport(report, image, idempotencyKey) {
+    const entry = {
+      key: idempotencyKey,
+      report,
+      screenshot: null,
+      createdAt: Date.now(),
+      attempts: 1,
+      nextAttemptAt: Date.now() + RETRY_BASE_MS
+    };
+    if (image) {
+      try {
+        entry.screenshot = await blobToDataUrl(image);
+      } catch (error) {
+        // Send the report without it
+      }
+    }
+
+    const queue = loadQueue().slice(-(config.maxQueuedReports - 1));
+    queue.push(entry);
+    if (!saveQueue(queue)) {
+      // Screenshots can be too big for localStorage - keep the report without it
+      entry.screenshot = null;
+      if (!saveQueue(queue)) return false;
+    }
+    scheduleFlush();
+    return true;
+  }
+
+  function scheduleFlush() {
+    clearTimeout(retryTimer);
+    const queue = loadQueue();
+    // While offline, the 'online' event sends them
+    if (queue.length === 0 || !navigator.onLine) return;
+    const next = Math.min(...queue.map(entry => entry.nextAttemptAt));
+    retryTimer = setTimeout(flushQueue, Math.max(next - Date.now(), 1000));
+  }
+
+  // Send the queued reports that are due. Reports the server answers (or refuses for good, e.g. a bad
+  // API key) leave the queue; those that still can't get through wait twice as long each time
+  async function flushQueue() {
+    if (flushing) return;
+    flushing = true;
+    try {
+      const now = Date.now();
+      for (const entry of loadQueue()) {
+        if (now - entry.createdAt > QUEUE_MAX_AGE_MS) {
+          updateQueued(entry.key, null);
+          continue;
+        }
+        if (entry.nextAttemptAt > now || !navigator.onLine) continue;
+
+        let status = null;
+        try {
+          const response = await sendReport(entry.report, entry.screenshot ? dataUrlToBlob(entry.screenshot) : null, entry.key);
+          status = response.status;
+          if (response.ok) await rememberReceipt(response);
+        } catch (error) {
+          // Still can't reach the server
+        }
+
+        if (status !== null && status < 500 && status !== 429) {
+          updateQueued(entry.key, null);
+        } else {
+          updateQueued(entry.key, {
+            attempts: entry.attempts + 1,
+            nextAttemptAt: Date.now() + Math.min(RETRY_BASE_MS * Math.pow(2, entry.attempts), RETRY_MAX_MS)
+          });
+        }
+      }
+    } finally {
+      flushing = false;
+      scheduleFlush();
+    }
+  }
+
+  function receiptsStorageKey() {
+    return `${RECEIPTS_STORAGE_KEY}:${config.endpoint}`;
+  }
+
+  function loadReceipts() {
+    try {
+      return JSON.parse(localStorage.getItem(receiptsStorageKey())) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Keep a sent report's receipt token (the most recent MAX_RECEIPTS) so its status can be looked up later
+  async function rememberReceipt(response) {
+    try {
+      const receipt = await response.json();
+      if (!receipt.receiptToken) return;
+      const receipts = loadReceipts().filter(r => r.receiptToken !== receipt.receiptToken);
+      receipts.push({
+        id: receipt.id,
+        receiptToken: receipt.receiptToken,
+        notify: Boolean(receipt.notify),
+        sentAt: new Date().toISOString()
+      });
+      localStorage.setItem(receiptsStorageKey(), JSON.stringify(receipts.slice(-MAX_RECEIPTS)));
+    } catch (error) {
+      // Not a receipt, or storage is full or disabled
+    }
+  }
+
+  // How a sent report is doing: { id, status, statusLabel, resolved, reportedAt, updatedAt, notify }
+  async function checkStatus(receiptToken) {
+    const response = await fetch(`${config.endpoint}/${encodeURIComponent(receiptToken)}`);
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'Bug report not found' : `Status lookup failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  // Grab one frame of the page as a PNG. Pages can't screenshot themselves, so this asks the reporter
+  // to share the tab; hide() and show() take the widget's own modal out of the picture
+  async function captureScreenshot(hide, show) {
+    const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, preferCurrentTab: true });
+    try {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.srcObject = stream;
+      await video.play();
+
+      hide();
+      // Let the modal's fade-out finish before taking the frame
+      await new Promise(resolve => setTimeout(resolve, 400));
+
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      return await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    } finally {
+      stream.getTracks().forEach(track => track.stop());
+      show();
+    }
+  }
+
   // Initialize widget
   function init(userConfig = {}) {
     config = { ...DEFAULT_CONFIG, ...userConfig };
+    if (config.project) {
+      config.endpoint = config.endpoint.replace(/\/api\/bug-report$/, `/api/projects/${encodeURIComponent(config.project)}/bug-report`);
+    }
 
     injectStyles();
     const widget = createWidget();
     setupErrorCollection();
+    setupNetworkCollection();
+    setupBreadcrumbs(widget);
+    if (config.queueOffline) {
+      // Reports left over from an earlier visit go out now; the rest as soon as the connection is back
+      window.addEventListener('online', () => {
+        loadQueue().forEach(entry => updateQueued(entry.key, { nextAttemptAt: 0 }));
+        flushQueue();
+      });
+      flushQueue();
+    }
 
     const button = widget.querySelector('.swarm-bug-button');
     const modal = widget.querySelector('.swarm-bug-modal');
@@ -391,15 +920,23 @@
     const form = widget.querySelector('.swarm-bug-form');
     const errorsInfo = widget.querySelector('.swarm-bug-errors-info');
     const status = widget.querySelector('.swarm-bug-status');
+    const captureBtn = widget.querySelector('.swarm-bug-capture');
+    const fileInput = widget.querySelector('.swarm-bug-file');
+    const preview = widget.querySelector('.swarm-bug-screenshot-preview');
+    const emailInput = widget.querySelector('#swarm-bug-email');
+    const consentInput = widget.querySelector('#swarm-bug-consent');
 
     function openModal() {
       isOpen = true;
       modal.classList.add('open');
 
-      // Show error count
-      if (collectedErrors.length > 0) {
+      // Show error and failed request counts
+      const captured = [];
+      if (collectedErrors.length > 0) captured.push(`${collectedErrors.length} error(s)`);
+      if (collectedRequests.length > 0) captured.push(`${collectedRequests.length} failed or slow request(s)`);
+      if (captured.length > 0) {
         errorsInfo.style.display = 'block';
-        errorsInfo.textContent = `📋 ${collectedErrors.length} error(s) captured from this session will be included.`;
+        errorsInfo.textContent = `📋 ${captured.join(' and ')} captured from this session will be included.`;
       } else {
         errorsInfo.style.display = 'none';
       }
@@ -412,6 +949,47 @@
       modal.classList.remove('open');
     }
 
+    function setScreenshot(blob) {
+      screenshot = blob;
+      const img = preview.querySelector('img');
+      if (img.src) URL.revokeObjectURL(img.src);
+      if (blob) {
+        img.src = URL.createObjectURL(blob);
+        preview.style.display = 'flex';
+      } else {
+        img.removeAttribute('src');
+        preview.style.display = 'none';
+        fileInput.value = '';
+      }
+    }
+
+    if (config.collectScreenshot) {
+      // Browsers without screen capture can still pick a file
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+        captureBtn.style.display = 'none';
+      }
+      captureBtn.addEventListener('click', async () => {
+        try {
+          setScreenshot(await captureScreenshot(
+            () => modal.classList.remove('open'),
+            () => modal.classList.add('open')
+          ));
+        } catch (error) {
+          // The reporter declined to share the screen
+          console.warn('Screenshot capture failed:', error);
+        }
+      });
+      fileInput.addEventListener('change', () => setScreenshot(fileInput.files[0] || null));
+      preview.querySelector('.swarm-bug-screenshot-remove').addEventListener('click', () => setScreenshot(null));
+    }
+
+    if (config.collectEmail) {
+      // An email is only sent along with the reporter's consent to be contacted
+      emailInput.addEventListener('input', () => {
+        consentInput.required = emailInput.value.trim() !== '';
+      });
+    }
+
     button.addEventListener('click', openModal);
     overlay.addEventListener('click', closeModal);
     closeBtn.addEventListener('click', closeModal);
@@ -437,41 +1015,53 @@
         clientError: collectedErrors.length > 0
           ? collectedErrors.map(e => `[${e.type}] ${e.message}`).join('\n')
           : '',
+        networkErrors: [...collectedRequests],
+        breadcrumbs: [...breadcrumbs],
         userAgent: navigator.userAgent,
         timestamp: new Date().toISOString(),
         viewport: `${window.innerWidth}x${window.innerHeight}`
       };
+      if (config.collectEmail && emailInput.value.trim() && consentInput.checked) {
+        report.contactEmail = emailInput.value.trim();
+        report.contactConsent = true;
+      }
 
-      try {
-        const headers = {
-          'Content-Type': 'application/json'
-        };
+      const idempotencyKey = generateIdempotencyKey();
 
-        if (config.apiKey) {
-          headers['X-API-Key'] = config.apiKey;
-        }
-
-        const response = await fetch(config.endpoint, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(report)
-        });
+      function reportDone(className, message) {
+        status.className = `swarm-bug-status ${className}`;
+        status.textContent = message;
+        status.style.display = 'block';
+        form.reset();
+        if (config.collectEmail) consentInput.required = false;
+        collectedErrors = []; // Clear errors and requests once the report is sent (or queued)
+        collectedRequests = [];
+        if (config.collectScreenshot) setScreenshot(null);
 
-        const data = await response.json();
+        setTimeout(() => closeModal(), 2000);
+      }
 
-        if (response.ok) {
-          status.className = 'swarm-bug-status success';
-          status.textContent = config.successMessage;
-          status.style.display = 'block';
-          form.reset();
-          collectedErrors = []; // Clear errors after successful submit
+      try {
+        let response = null;
+        try {
+          response = await sendReport(report, screenshot, idempotencyKey);
+        } catch (error) {
+          // Never reached the server: offline, DNS failure, dropped connection
+          console.warn('Bug report could not be sent:', error);
+        }
 
-          setTimeout(() => closeModal(), 2000);
-        } else if (response.status === 429) {
+        if (response && response.ok) {
+          await rememberReceipt(response);
+          reportDone('success', config.successMessage);
+        } else if (response && response.status === 429) {
           status.className = 'swarm-bug-status error';
           status.textContent = config.rateLimitMessage;
           status.style.display = 'block';
+        } else if ((!response || response.status >= 500) && config.queueOffline &&
+            await queueReport(report, screenshot, idempotencyKey)) {
+          reportDone('queued', config.queuedMessage);
         } else {
+          const data = response ? await response.json().catch(() => ({})) : {};
           throw new Error(data.error || 'Unknown error');
         }
       } catch (error) {
@@ -486,6 +1076,11 @@
     });
   }
 
+  // A flag attribute: present means true unless its value is "false"; absent means use the default (null)
+  function booleanAttribute(script, name) {
+    return script.hasAttribute(name) ? script.getAttribute(name) !== 'false' : null;
+  }
+
   // Auto-initialize from script tag attributes
   function autoInit() {
     const script = document.currentScript || document.querySelector('script[data-endpoint]');
@@ -494,6 +1089,13 @@
     const attrs = {
       endpoint: script.getAttribute('data-endpoint'),
       apiKey: script.getAttribute('data-api-key'),
+      project: script.getAttribute('data-project'),
+      collectScreenshot: booleanAttribute(script, 'data-collect-screenshot'),
+      collectEmail: booleanAttribute(script, 'data-collect-email'),
+      collectNetwork: booleanAttribute(script, 'data-collect-network'),
+      collectBreadcrumbs: booleanAttribute(script, 'data-collect-breadcrumbs'),
+      queueOffline: booleanAttribute(script, 'data-queue-offline'),
+      captureResponseBody: booleanAttribute(script, 'data-capture-response-body'),
       position: script.getAttribute('data-position'),
       theme: script.getAttribute('data-theme'),
       buttonText: script.getAttribute('data-button-text'),
@@ -528,7 +1130,14 @@
       if (modal) modal.classList.remove('open');
     },
     getErrors: () => [...collectedErrors],
-    clearErrors: () => { collectedErrors = []; }
+    clearErrors: () => { collectedErrors = []; },
+    getRequests: () => [...collectedRequests],
+    clearRequests: () => { collectedRequests = []; },
+    getBreadcrumbs: () => [...breadcrumbs],
+    getQueuedReports: () => loadQueue().map(entry => ({ ...entry, screenshot: Boolean(entry.screenshot) })),
+    flushQueue,
+    getReceipts: () => loadReceipts(),
+    checkStatus
   };
 
   // Auto-initialize
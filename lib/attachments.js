@@ -0,0 +1,280 @@
+/**
+ * Attachments
+ * Files attached to tickets - screenshots, HAR files, log dumps - kept on local disk next to the ticket
+ * store whatever the storage backend: <dir>/<ticketId>/<attachmentId> holds the file and
+ * <attachmentId>.json what's known about it (name, type, size, who uploaded it)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_ATTACHMENTS_DIR = './ticket-attachments';
+const DEFAULT_MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_TICKET_ATTACHMENT_BYTES = 50 * 1024 * 1024;
+
+// f12Errors / serverErrors longer than this are cut down and the full text attached as a log file
+const DEFAULT_MAX_ERROR_TEXT = 16 * 1024;
+
+/**
+ * Accepted content types. Files sent without a type (or as application/octet-stream) get the type of
+ * their extension; images must start with their format's signature, text must not contain NUL bytes.
+ * SVG and HTML are left out on purpose: they can carry scripts
+ */
+const ATTACHMENT_TYPES = {
+  'image/png': { extensions: ['.png'], signature: [[0, '89504e470d0a1a0a']] },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], signature: [[0, 'ffd8ff']] },
+  'image/gif': { extensions: ['.gif'], signature: [[0, '47494638']] },
+  'image/webp': { extensions: ['.webp'], signature: [[0, '52494646'], [8, '57454250']] },
+  'text/plain': { extensions: ['.txt', '.log'], text: true },
+  'application/json': { extensions: ['.json', '.har'], text: true },
+  'application/gzip': { extensions: ['.gz'], signature: [[0, '1f8b']] },
+  'application/zip': { extensions: ['.zip'], signature: [[0, '504b0304']] }
+};
+
+// Where an attachment came from
+const ATTACHMENT_SOURCES = ['upload', 'bug-report', 'f12Errors', 'serverErrors'];
+
+/**
+ * An attachment the store refuses - status is the HTTP status to answer with (413 or 415)
+ */
+class AttachmentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+// IDs and ticket IDs become file names, so only plain characters get through
+const SAFE_ID = /^[\w-]+$/;
+
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') throw error;
+}
+
+function sanitizeFilename(filename) {
+  const base = path.basename(String(filename || '').replace(/\\/g, '/')).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+  return base.slice(-100);
+}
+
+function matchesSignature(data, signature) {
+  return signature.every(([offset, hex]) => {
+    const bytes = Buffer.from(hex, 'hex');
+    return data.slice(offset, offset + bytes.length).equals(bytes);
+  });
+}
+
+/**
+ * Work out and check an upload's content type
+ * @param {string} filename - File name as uploaded
+ * @param {string} contentType - Content type as uploaded (may be empty)
+ * @param {Buffer} data - File contents
+ * @returns {string} Content type to store
+ * @throws {AttachmentError} 415 if the type isn't accepted or the contents don't match it
+ */
+function resolveContentType(filename, contentType, data) {
+  const extension = path.extname(filename || '').toLowerCase();
+  let type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type || type === 'application/octet-stream') {
+    type = Object.keys(ATTACHMENT_TYPES).find(t => ATTACHMENT_TYPES[t].extensions.includes(extension)) || type;
+  }
+
+  const accepted = ATTACHMENT_TYPES[type];
+  if (!accepted) {
+    throw new AttachmentError(`Attachment type ${type || 'unknown'} isn't accepted (accepted: ${Object.keys(ATTACHMENT_TYPES).join(', ')})`, 415);
+  }
+  if (accepted.signature && !matchesSignature(data, accepted.signature)) {
+    throw new AttachmentError(`Attachment ${filename} isn't a valid ${type} file`, 415);
+  }
+  if (accepted.text && data.includes(0)) {
+    throw new AttachmentError(`Attachment ${filename} is sent as ${type} but isn't text`, 415);
+  }
+  return type;
+}
+
+class AttachmentStore {
+  /**
+   * @param {string} dir - Directory holding one subdirectory of attachments per ticket
+   * @param {Object} options - { maxBytes: per file, maxTicketBytes: all of a ticket's attachments together }
+   */
+  constructor(dir, options = {}) {
+    this.dir = path.resolve(dir || DEFAULT_ATTACHMENTS_DIR);
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_ATTACHMENT_BYTES;
+    this.maxTicketBytes = options.maxTicketBytes || DEFAULT_MAX_TICKET_ATTACHMENT_BYTES;
+  }
+
+  _ticketDir(ticketId) {
+    if (!SAFE_ID.test(ticketId)) throw new Error(`Invalid ticket ID ${ticketId}`);
+    return path.join(this.dir, ticketId);
+  }
+
+  /**
+   * Generate a unique attachment ID
+   * @returns {string} Attachment ID
+   */
+  generateAttachmentId() {
+    return 'ATT-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Get a ticket's attachments, oldest first
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Array>} Attachments ({ id, ticketId, filename, contentType, size, sha256, source, uploadedBy, createdAt })
+   */
+  async list(ticketId) {
+    const dir = this._ticketDir(ticketId);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const attachments = await Promise.all(names
+      .filter(name => name.endsWith('.json'))
+      .map(async name => JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'))));
+    return attachments.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get an attachment
+   * @param {string} ticketId - Ticket ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Object|null>} Attachment, with path set to its file, or null if not found
+   */
+  async get(ticketId, attachmentId) {
+    if (!SAFE_ID.test(attachmentId)) return null;
+    const file = path.join(this._ticketDir(ticketId), attachmentId);
+    try {
+      const attachment = JSON.parse(await fs.promises.readFile(`${file}.json`, 'utf8'));
+      return { ...attachment, path: file };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Check files before storing any of them, so an upload is taken whole or not at all
+   * @param {string|null} ticketId - Ticket the files are for (null for a ticket that's about to be created)
+   * @param {Array<Object>} files - [{ filename, contentType, data (Buffer) }]
+   * @throws {AttachmentError} 413 if a file is too big or they'd take the ticket over its limit, 415 if a type isn't accepted
+   */
+  async check(ticketId, files) {
+    files.forEach(file => {
+      const filename = sanitizeFilename(file.filename) || 'attachment';
+      resolveContentType(filename, file.contentType, file.data);
+      if (file.data.length > this.maxBytes) {
+        throw new AttachmentError(`Attachment ${filename} is ${file.data.length} bytes; the limit is ${this.maxBytes}`, 413);
+      }
+    });
+
+    const stored = ticketId ? (await this.list(ticketId)).reduce((total, a) => total + a.size, 0) : 0;
+    const total = files.reduce((sum, file) => sum + file.data.length, stored);
+    if (total > this.maxTicketBytes) {
+      throw new AttachmentError(`Ticket attachments would total ${total} bytes; the limit is ${this.maxTicketBytes}`, 413);
+    }
+  }
+
+  /**
+   * Store a file for a ticket
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} file - { filename, contentType, data (Buffer), source, uploadedBy }
+   * @returns {Promise<Object>} The attachment
+   * @throws {AttachmentError} 413 if it's too big (alone or with the ticket's other attachments), 415 if its type isn't accepted
+   */
+  async add(ticketId, file) {
+    const dir = this._ticketDir(ticketId);
+    await this.check(ticketId, [file]);
+    const filename = sanitizeFilename(file.filename) || 'attachment';
+
+    const attachment = {
+      id: this.generateAttachmentId(),
+      ticketId,
+      filename,
+      contentType: resolveContentType(filename, file.contentType, file.data),
+      size: file.data.length,
+      sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+      source: file.source || 'upload',
+      uploadedBy: file.uploadedBy || null,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, attachment.id), file.data);
+    // Metadata last: an attachment only shows up once its file is complete
+    await fs.promises.writeFile(path.join(dir, `${attachment.id}.json`), JSON.stringify(attachment, null, 2));
+    return attachment;
+  }
+
+  /**
+   * Delete an attachment
+   * @param {string} ticketId - Ticket ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async remove(ticketId, attachmentId) {
+    const attachment = await this.get(ticketId, attachmentId);
+    if (!attachment) return false;
+
+    await fs.promises.unlink(`${attachment.path}.json`);
+    await fs.promises.unlink(attachment.path).catch(ignoreMissing);
+    return true;
+  }
+
+  /**
+   * Delete all of a ticket's attachments (when the ticket is deleted)
+   * @param {string} ticketId - Ticket ID
+   */
+  async removeAll(ticketId) {
+    const dir = this._ticketDir(ticketId);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      return ignoreMissing(error);
+    }
+    await Promise.all(names.map(name => fs.promises.unlink(path.join(dir, name)).catch(ignoreMissing)));
+    await fs.promises.rmdir(dir).catch(ignoreMissing);
+  }
+}
+
+/**
+ * Cut f12Errors and serverErrors down to maxLength, so huge pasted logs don't bloat the ticket store and
+ * its backups - the full text is returned separately, to be attached as a log file
+ * @param {Object} data - Ticket fields
+ * @param {number} maxLength - Longest error text kept on the ticket
+ * @returns {Object} { data: fields with the errors cut down, logs: [{ source, filename, text }] }
+ */
+function splitLongErrors(data, maxLength = DEFAULT_MAX_ERROR_TEXT) {
+  const result = { ...data };
+  const logs = [];
+
+  [['f12Errors', 'f12-errors.log'], ['serverErrors', 'server-errors.log']].forEach(([field, filename]) => {
+    const text = data[field];
+    if (typeof text !== 'string' || text.length <= maxLength) return;
+
+    // Keep whole lines where possible - the first lines usually name the error
+    const cut = text.lastIndexOf('\n', maxLength);
+    const kept = text.slice(0, cut > maxLength / 2 ? cut : maxLength);
+    result[field] = `${kept}\n[... ${text.length - kept.length} more characters - full text attached as ${filename}]`;
+    logs.push({ source: field, filename, text });
+  });
+
+  return { data: result, logs };
+}
+
+module.exports = {
+  DEFAULT_ATTACHMENTS_DIR,
+  DEFAULT_MAX_ATTACHMENT_BYTES,
+  DEFAULT_MAX_TICKET_ATTACHMENT_BYTES,
+  DEFAULT_MAX_ERROR_TEXT,
+  ATTACHMENT_TYPES,
+  ATTACHMENT_SOURCES,
+  AttachmentError,
+  AttachmentStore,
+  resolveContentType,
+  splitLongErrors
+};
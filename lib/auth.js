@@ -0,0 +1,132 @@
+/**
+ * Authentication & Roles
+ * Bearer tokens with a role, checked per route
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Roles from least to most privileged - each role can do everything the ones before it can
+ *   reporter - submit bug reports
+ *   viewer   - read tickets, comments, stats and the live event stream
+ *   agent    - create and work on tickets (update, close/reopen, swarm actions, comments)
+ *   admin    - delete tickets and manage API keys, webhooks and storage
+ */
+const ROLES = ['reporter', 'viewer', 'agent', 'admin'];
+
+const Role = {
+  REPORTER: 'reporter',
+  VIEWER: 'viewer',
+  AGENT: 'agent',
+  ADMIN: 'admin'
+};
+
+// Don't write lastUsed on every request; once a minute per token is enough
+const LAST_USED_INTERVAL_MS = 60000;
+
+/**
+ * Generate a new plaintext token (only shown once - adapters store its hash)
+ * @returns {string} Token
+ */
+function generateAuthToken() {
+  return 'stt_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether a role grants at least the required role
+ * @param {string} role - Role the caller has
+ * @param {string} required - Minimum role for the route
+ * @returns {boolean} True if allowed
+ */
+function hasRole(role, required) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(required);
+}
+
+/**
+ * Read the bearer token from a request
+ * @param {Object} req - Express request
+ * @param {boolean} allowQuery - Also accept ?access_token= (for EventSource, which can't set headers)
+ * @returns {string|null} Token or null
+ */
+function getRequestToken(req, allowQuery = false) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  if (allowQuery && req.query.access_token) return String(req.query.access_token);
+  return null;
+}
+
+/**
+ * Create the requireRole() middleware factory
+ * @param {Function} getStorage - Returns the storage adapter (it's created after routes are registered)
+ * @param {Object} options - { enabled } - when false every request is let through as admin
+ * @returns {Function} requireRole(role, { allowQueryToken, optional }) => Express middleware
+ */
+function createRequireRole(getStorage, options = {}) {
+  const enabled = options.enabled !== false;
+
+  return (role, routeOptions = {}) => {
+    const middleware = async (req, res, next) => {
+      if (!enabled) {
+        req.auth = { role: Role.ADMIN, name: 'auth-disabled' };
+        return next();
+      }
+
+      const token = getRequestToken(req, routeOptions.allowQueryToken);
+      if (!token && routeOptions.optional) {
+        return next();
+      }
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required. Send "Authorization: Bearer <token>"' });
+      }
+
+      try {
+        const storage = getStorage();
+        const record = await storage.findAuthToken(hashToken(token));
+        if (!record) {
+          return res.status(401).json({ error: 'Invalid or revoked token' });
+        }
+        if (!hasRole(record.role, role)) {
+          return res.status(403).json({ error: `This action requires the ${role} role (token has ${record.role})` });
+        }
+
+        if (!record.lastUsed || Date.now() - Date.parse(record.lastUsed) > LAST_USED_INTERVAL_MS) {
+          storage.touchAuthToken(record.id).catch(error => {
+            console.error('Error updating token usage:', error);
+          });
+        }
+
+        req.auth = { id: record.id, name: record.name, role: record.role };
+        next();
+      } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: error.message });
+      }
+    };
+
+    // Read by lib/openapi.js to document each route's security
+    middleware.requiredRole = role;
+    middleware.optionalAuth = Boolean(routeOptions.optional);
+    return middleware;
+  };
+}
+
+module.exports = {
+  ROLES,
+  Role,
+  generateAuthToken,
+  hashToken,
+  hasRole,
+  getRequestToken,
+  createRequireRole
+};
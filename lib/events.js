@@ -0,0 +1,137 @@
+/**
+ * Ticket Event Bus
+ * In-process publish/subscribe for ticket changes, plus a Server-Sent Events endpoint
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Event types published when the API mutates storage
+ */
+const TicketEvent = {
+  CREATED: 'ticket-created',
+  UPDATED: 'ticket-updated',
+  DELETED: 'ticket-deleted',
+  STATUS_CHANGED: 'status-changed',
+  COMMENT_ADDED: 'comment-added',
+  SWARM_ACTION_ADDED: 'swarm-action-added',
+  BUG_REPORT_RECEIVED: 'bug-report-received',
+  OCCURRENCE_RECORDED: 'occurrence-recorded',
+  ATTACHMENT_ADDED: 'attachment-added'
+};
+
+// Recent events kept for clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+class TicketEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.lastId = 0;
+    this.recent = [];
+    // Every SSE client is a listener; don't warn about "leaks" with many open trackers
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event to all subscribers
+   * @param {string} type - One of TicketEvent
+   * @param {Object} data - Event payload
+   * @returns {Object} The published event ({ id, type, timestamp, data })
+   */
+  publish(type, data) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.recent.push(event);
+    if (this.recent.length > REPLAY_BUFFER_SIZE) {
+      this.recent.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Events published after a given event ID (for reconnecting clients)
+   * @param {number} lastId - Last event ID the client saw
+   * @returns {Array<Object>} Missed events still in the replay buffer
+   */
+  since(lastId) {
+    return this.recent.filter(event => event.id > lastId);
+  }
+
+  /**
+   * Publish the events for a ticket update, including status-changed when the status moved
+   * @param {string} previousStatus - Status before the update
+   * @param {Object} ticket - Ticket after the update
+   */
+  publishTicketChange(previousStatus, ticket) {
+    this.publish(TicketEvent.UPDATED, { ticket });
+
+    if (ticket && previousStatus !== ticket.status) {
+      this.publish(TicketEvent.STATUS_CHANGED, {
+        ticketId: ticket.id,
+        from: previousStatus,
+        to: ticket.status,
+        ticket
+      });
+    }
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Create an Express handler streaming bus events as Server-Sent Events
+ * Supports ?types=a,b to subscribe to a subset of event types
+ * @param {Function} getBus - Returns the event bus to stream for a request (each project has its own)
+ * @returns {Function} Express route handler
+ */
+function createEventStreamHandler(getBus) {
+  return (req, res) => {
+    const bus = getBus(req);
+    const types = req.query.types ? new Set(String(req.query.types).split(',')) : null;
+    const wanted = event => !types || types.has(event.type);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Replay what a reconnecting client missed
+    const lastEventId = parseInt(req.headers['last-event-id'], 10);
+    if (!isNaN(lastEventId)) {
+      bus.since(lastEventId).filter(wanted).forEach(event => writeEvent(res, event));
+    }
+
+    const onEvent = event => {
+      if (wanted(event)) writeEvent(res, event);
+    };
+    bus.on('event', onEvent);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      bus.off('event', onEvent);
+    });
+  };
+}
+
+module.exports = {
+  TicketEvent,
+  TicketEventBus,
+  createEventStreamHandler
+};
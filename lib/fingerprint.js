@@ -0,0 +1,68 @@
+/**
+ * Error Fingerprints
+ * Reduces a ticket's f12Errors and serverErrors to a stable hash, so the same error reported from
+ * different pages, at different times or from different builds is recognized as one problem
+ */
+
+const crypto = require('crypto');
+
+// Applied in order - timestamps before line/column numbers, since "12:04:33" looks like ":04:33"
+const NORMALIZERS = [
+  // URLs keep their origin and file name (https://x.com/static/js/app.js?v=3 -> https://x.com/app.js), so errors
+  // from different scripts stay apart; the rest of the path carries routes and IDs, the query and hash vary
+  [/\b([a-z][a-z0-9+.-]*:\/\/[^/?#\s'"`()<>]+)((?:\/[^/?#\s'"`()<>]*)*)(?:[?#][^\s'"`()<>]*)?/gi, (match, origin, path) => {
+    const file = path.split('/').pop();
+    return /\.\w+(?::\d+)*$/.test(file) ? `${origin}/${file}` : origin;
+  }],
+  // ISO 8601 timestamps and times of day
+  [/\b\d{4}-\d{2}-\d{2}(?:[t ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})?)?\b/gi, '<time>'],
+  [/\b\d{1,2}:\d{2}:\d{2}(?:\.\d+)?\b/g, '<time>'],
+  // UUIDs
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>'],
+  // Absolute file paths are reduced to the file name (/srv/app/src/db.js -> db.js, C:\app\x.js -> x.js)
+  [/(^|[\s('"`@])(?:[a-z]:)?(?:[\\/][\w.@~+-]+)*[\\/]([\w@~+-]+(?:\.[\w-]+)*\.\w+)/gi, '$1$2'],
+  // Line and column numbers: "app.js:12:5", "(12:5)", "line 12, column 5"
+  [/(\.\w+):\d+(?::\d+)?/g, '$1'],
+  [/\(\d+:\d+\)/g, ''],
+  [/\b(line|col|column)\s*\d+/gi, '$1'],
+  // Memory addresses, hashes and hex IDs (at least one digit and one letter), long numbers (IDs, epoch times)
+  [/\b0x[0-9a-f]+\b/gi, '<addr>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<id>'],
+  [/\d{4,}/g, '<n>']
+];
+
+/**
+ * Normalize error text: strip what varies between reports of the same error
+ * Lines are trimmed, lowercased, deduplicated and sorted, so the order errors were logged in doesn't matter
+ * @param {string} text - f12Errors or serverErrors
+ * @returns {string} Normalized text ('' if there's nothing left)
+ */
+function normalizeErrors(text) {
+  if (!text) return '';
+
+  const lines = String(text).split(/\r?\n/).map(line => {
+    const normalized = NORMALIZERS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), line);
+    return normalized.replace(/\s+/g, ' ').trim().toLowerCase();
+  }).filter(Boolean);
+
+  return [...new Set(lines)].sort().join('\n');
+}
+
+/**
+ * Fingerprint of a ticket's errors
+ * @param {string} f12Errors - Browser console errors
+ * @param {string} serverErrors - Server errors
+ * @returns {string|null} Hex hash, or null when the ticket has no error text to group by
+ */
+function fingerprintErrors(f12Errors, serverErrors) {
+  const f12 = normalizeErrors(f12Errors);
+  const server = normalizeErrors(serverErrors);
+  if (!f12 && !server) return null;
+
+  return crypto.createHash('sha256').update(`${f12}\n--\n${server}`).digest('hex').slice(0, 32);
+}
+
+module.exports = {
+  normalizeErrors,
+  fingerprintErrors
+};
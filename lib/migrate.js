@@ -37,6 +37,7 @@ async function migrate(targetStorage, options = {}) {
   }
 
   const tickets = sourceData.tickets || [];
+  const history = sourceData.history || {};
   if (tickets.length === 0) {
     console.log('ℹ️  No tickets to migrate.');
     return;
@@ -87,6 +88,8 @@ async function migrate(targetStorage, options = {}) {
   let migrated = 0;
   let skipped = 0;
   let failed = 0;
+  // Related tickets are linked once every ticket is in (they may point at tickets later in the file)
+  const pendingLinks = [];
 
   for (const ticket of tickets) {
     process.stdout.write(`  Migrating ${ticket.id}... `);
@@ -106,11 +109,19 @@ async function migrate(targetStorage, options = {}) {
         route: ticket.route || '',
         f12Errors: ticket.f12Errors || '',
         serverErrors: ticket.serverErrors || '',
+        networkErrors: ticket.networkErrors || [],
+        breadcrumbs: ticket.breadcrumbs || [],
         description: ticket.description || '',
         status: ticket.status || 'open',
         priority: ticket.priority || null,
         namespace: ticket.namespace || null,
-        relatedTickets: ticket.relatedTickets || [],
+        assignee: ticket.assignee || null,
+        reporter: ticket.reporter || null,
+        occurrenceCount: ticket.occurrenceCount || 1,
+        firstSeenAt: ticket.firstSeenAt || null,
+        lastSeenAt: ticket.lastSeenAt || null,
+        relatedTickets: [],
+        labels: ticket.labels || [],
         swarmActions: (ticket.swarmActions || []).map(a => {
           if (typeof a === 'string') {
             return { action: a, result: null, timestamp: ticket.createdAt };
@@ -118,6 +129,12 @@ async function migrate(targetStorage, options = {}) {
           return {
             action: a.action,
             result: a.result || null,
+            agent: a.agent || null,
+            files: a.files || [],
+            commit: a.commit || null,
+            durationMs: a.durationMs,
+            outcome: a.outcome || null,
+            metadata: a.metadata || {},
             timestamp: a.timestamp || ticket.createdAt
           };
         }),
@@ -129,18 +146,43 @@ async function migrate(targetStorage, options = {}) {
           metadata: c.metadata || {},
           timestamp: c.timestamp
         })),
+        history: history[ticket.id] || [],
         createdAt: ticket.createdAt,
         updatedAt: ticket.updatedAt
-      });
+      }, { imported: true });
 
+      if (ticket.relatedTickets && ticket.relatedTickets.length > 0) {
+        pendingLinks.push(ticket);
+      }
       console.log('✅');
       migrated++;
     } catch (error) {
-      console.log(`❌ ${error.message}`);
+      // Validation errors say which fields were wrong
+      const details = (error.details || []).map(d => `${d.field} ${d.message}`).join('; ');
+      console.log(`❌ ${error.message}${details ? ` (${details})` : ''}`);
       failed++;
     }
   }
 
+  if (pendingLinks.length > 0) {
+    console.log(`\n🔗 Linking related tickets...`);
+  }
+  for (const ticket of pendingLinks) {
+    process.stdout.write(`  Linking ${ticket.id}... `);
+    try {
+      const relatedIds = [];
+      for (const relatedId of ticket.relatedTickets) {
+        if (await targetAdapter.getTicket(relatedId)) relatedIds.push(relatedId);
+      }
+      await targetAdapter.linkRelatedTickets(ticket.id, relatedIds);
+
+      const missing = ticket.relatedTickets.length - relatedIds.length;
+      console.log(missing > 0 ? `✅ (${missing} related ticket(s) not found, left out)` : '✅');
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+    }
+  }
+
   // Summary
   console.log('\n' + '─'.repeat(40));
   console.log('📊 Migration Summary:');
@@ -0,0 +1,136 @@
+/**
+ * Multipart Uploads
+ * Reads multipart/form-data request bodies (file uploads from forms and the bug report widget) into
+ * req.body (text fields) and req.files
+ */
+
+const express = require('express');
+const { ValidationError } = require('./validation');
+
+const MULTIPART_TYPE = 'multipart/form-data';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Content-Disposition parameters: name="file"; filename="screen shot.png"
+function parseDisposition(header) {
+  const params = {};
+  const pattern = /;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+  return params;
+}
+
+function parseHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * Split a multipart/form-data body into its fields and files
+ * @param {Buffer} body - Raw request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Object} { fields: { name: value }, files: [{ field, filename, contentType, data }] }
+ * @throws {ValidationError} If the body isn't well-formed
+ */
+function parseMultipart(body, boundary) {
+  const malformed = () => new ValidationError([{ field: 'body', message: 'must be valid multipart/form-data' }]);
+  const delimiter = Buffer.from(`--${boundary}`);
+  const nextDelimiter = Buffer.concat([CRLF, delimiter]);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) throw malformed();
+
+  for (;;) {
+    position += delimiter.length;
+    // "--" after a delimiter closes the body
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    if (!body.slice(position, position + 2).equals(CRLF)) throw malformed();
+    position += 2;
+
+    const end = body.indexOf(nextDelimiter, position);
+    const headerEnd = body.indexOf(HEADER_END, position);
+    if (end === -1 || headerEnd === -1 || headerEnd > end) throw malformed();
+
+    const headers = parseHeaders(body.slice(position, headerEnd).toString('utf8'));
+    const disposition = parseDisposition(headers['content-disposition'] || '');
+    const data = body.slice(headerEnd + HEADER_END.length, end);
+
+    if (disposition.name !== undefined) {
+      if (disposition.filename !== undefined) {
+        files.push({
+          field: disposition.name,
+          filename: disposition.filename,
+          contentType: (headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+          data
+        });
+      } else {
+        fields[disposition.name] = data.toString('utf8');
+      }
+    }
+    position = end + CRLF.length;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Middleware reading multipart/form-data bodies: text fields become req.body (so validateRequest checks
+ * them like JSON fields) and uploaded files req.files. Other bodies are left to express.json()
+ * @param {Object} options - { limit: max body size (bytes or "10mb"), maxFiles, jsonFields: text fields
+ *   holding JSON (arrays, objects), parsed so they validate like the JSON body's fields }
+ * @returns {Function} Express middleware
+ */
+function multipartBody(options = {}) {
+  const readBody = express.raw({ type: MULTIPART_TYPE, limit: options.limit || '10mb' });
+
+  return (req, res, next) => {
+    req.files = [];
+    if (!req.is(MULTIPART_TYPE)) return next();
+
+    const match = (req.get('Content-Type') || '').match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    if (!match) {
+      return res.status(400).json(new ValidationError([{ field: 'body', message: 'multipart/form-data needs a boundary' }]).toJSON());
+    }
+
+    readBody(req, res, error => {
+      if (error) return next(error);
+      try {
+        const { fields, files } = parseMultipart(req.body, match[1] || match[2]);
+        if (options.maxFiles !== undefined && files.length > options.maxFiles) {
+          throw new ValidationError([{ field: 'body', message: `must have at most ${options.maxFiles} files` }]);
+        }
+        (options.jsonFields || []).forEach(name => {
+          if (fields[name] === undefined) return;
+          try {
+            fields[name] = JSON.parse(fields[name]);
+          } catch (jsonError) {
+            throw new ValidationError([{ field: name, message: 'must be JSON' }]);
+          }
+        });
+        req.body = fields;
+        req.files = files;
+        next();
+      } catch (parseError) {
+        if (parseError instanceof ValidationError) {
+          return res.status(400).json(parseError.toJSON());
+        }
+        next(parseError);
+      }
+    });
+  };
+}
+
+module.exports = {
+  MULTIPART_TYPE,
+  parseMultipart,
+  multipartBody
+};
@@ -0,0 +1,191 @@
+/**
+ * OpenAPI Document
+ * Generated from the registered Express routes - their validateRequest() specs and requireRole() checks -
+ * so it can't drift from what the server actually accepts
+ */
+
+const { components } = require('./schemas');
+const { ROLES } = require('./auth');
+
+const JSON_TYPE = 'application/json';
+const MULTIPART_TYPE = 'multipart/form-data';
+
+/**
+ * Convert a validation schema to an OpenAPI 3.0 schema, referencing named components
+ * @param {Object} schema - Schema from lib/schemas.js
+ * @param {Map} names - Schema object -> component name
+ * @param {boolean} inline - Don't replace the top-level schema with a $ref (used for components themselves)
+ */
+function toOpenApiSchema(schema, names, inline = false) {
+  if (!inline && names.has(schema)) {
+    return { $ref: `#/components/schemas/${names.get(schema)}` };
+  }
+
+  const result = { ...schema };
+  if (result.format === 'http-url') result.format = 'uri';
+  if (result.properties) {
+    result.properties = {};
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      result.properties[key] = toOpenApiSchema(property, names);
+    });
+  }
+  if (result.items) result.items = toOpenApiSchema(schema.items, names);
+  return result;
+}
+
+function errorResponse(description, name = 'Error') {
+  return {
+    description,
+    content: { [JSON_TYPE]: { schema: { $ref: `#/components/schemas/${name}` } } }
+  };
+}
+
+// "/api/tickets/:id/comments" -> "/api/tickets/{id}/comments"
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:(\w+)/g, '{$1}');
+}
+
+// "post", "/api/tickets/:id/close" -> "postTicketsIdClose"
+function toOperationId(method, routePath) {
+  const words = routePath.replace(/^\/api\//, '').split(/[/\-.:]+/).filter(Boolean);
+  return method + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+function buildOperation(method, routePath, spec, auth, names) {
+  const pathParams = (routePath.match(/:(\w+)/g) || []).map(p => p.slice(1));
+  const operation = {
+    operationId: spec.operationId || toOperationId(method, routePath),
+    summary: spec.summary,
+    tags: spec.tags || [routePath.split('/')[2]]
+  };
+  if (spec.description) operation.description = spec.description;
+
+  const parameters = pathParams.map(name => ({
+    name, in: 'path', required: true, schema: { type: 'string' }
+  }));
+  [['query', spec.query], ['header', spec.headers]].forEach(([location, schema]) => {
+    if (!schema) return;
+    const required = schema.required || [];
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      const { description, ...rest } = property;
+      const parameter = { name, in: location, required: required.includes(name), schema: toOpenApiSchema(rest, names) };
+      if (description) parameter.description = description;
+      parameters.push(parameter);
+    });
+  });
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (spec.body || spec.multipartBody) {
+    const content = {};
+    if (spec.body) content[JSON_TYPE] = { schema: toOpenApiSchema(spec.body, names) };
+    if (spec.multipartBody) content[MULTIPART_TYPE] = { schema: toOpenApiSchema(spec.multipartBody, names) };
+    operation.requestBody = {
+      required: Boolean(spec.multipartBody || (spec.body.required && spec.body.required.length > 0)),
+      content
+    };
+  }
+
+  const success = { description: spec.responseDescription || 'Success' };
+  if (spec.response) {
+    success.content = { [spec.responseType || JSON_TYPE]: { schema: toOpenApiSchema(spec.response, names) } };
+  }
+  if (spec.responseHeaders) success.headers = spec.responseHeaders;
+  operation.responses = { [spec.status || 200]: success };
+
+  if (spec.query || spec.body) {
+    operation.responses[400] = errorResponse('Invalid request - details lists each offending field', 'ValidationError');
+  }
+  if (auth.role) {
+    operation.responses[401] = errorResponse('Missing, invalid or revoked token');
+    if (!auth.optional) operation.responses[403] = errorResponse(`Token role is below ${auth.role}`);
+  }
+  if (pathParams.length > 0) {
+    operation.responses[404] = errorResponse('Not found');
+  }
+  (spec.errors || []).forEach(({ status, description, schema }) => {
+    operation.responses[status] = errorResponse(description, schema);
+  });
+
+  if (auth.role) {
+    operation.security = auth.optional ? [{}, { bearerAuth: [] }] : [{ bearerAuth: [] }];
+    operation['x-required-role'] = auth.role;
+  } else {
+    operation.security = [];
+  }
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document for an Express app
+ * @param {Object} app - Express app with its routes registered
+ * @param {Object} info - { version, serverUrl }
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument(app, info = {}) {
+  const names = new Map(Object.entries(components).map(([name, schema]) => [schema, name]));
+  const paths = {};
+  // app.use(prefix, requireRole(...)) layers apply to every route registered after them under that prefix
+  const scopedRoles = [];
+
+  app._router.stack.forEach(layer => {
+    if (!layer.route) {
+      if (layer.handle.requiredRole) {
+        scopedRoles.push({ regexp: layer.regexp, role: layer.handle.requiredRole });
+      }
+      return;
+    }
+
+    const routePath = layer.route.path;
+    if (typeof routePath !== 'string' || !routePath.startsWith('/api/')) return;
+
+    const handlers = layer.route.stack.map(l => l.handle);
+    const spec = handlers.map(h => h.openapi).find(Boolean) || {};
+    const guard = handlers.find(h => h.requiredRole);
+    const auth = guard ? { role: guard.requiredRole, optional: guard.optionalAuth } : {};
+
+    scopedRoles.forEach(scope => {
+      if (scope.regexp.test(routePath) && (!auth.role || ROLES.indexOf(scope.role) > ROLES.indexOf(auth.role))) {
+        auth.role = scope.role;
+        auth.optional = false;
+      }
+    });
+
+    const openApiPath = toOpenApiPath(routePath);
+    paths[openApiPath] = paths[openApiPath] || {};
+    Object.keys(layer.route.methods).forEach(method => {
+      paths[openApiPath][method] = buildOperation(method, routePath, spec, auth, names);
+    });
+  });
+
+  const schemas = {};
+  Object.entries(components).forEach(([name, schema]) => {
+    schemas[name] = toOpenApiSchema(schema, names, true);
+  });
+
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: 'Swarm Tickets API',
+      version: info.version || '0.0.0',
+      description: 'Ticket tracking for AI swarm workflows. Send "Authorization: Bearer <token>"; ' +
+        'x-required-role on each operation lists the minimum token role (' + ROLES.join(' < ') + '). ' +
+        'Paths are for the default project; prefix them with /api/projects/{project} (e.g. ' +
+        '/api/projects/shop/tickets) for another project - see GET /api/projects.'
+    },
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from "npx swarm-tickets token create"' }
+      }
+    }
+  };
+  if (info.serverUrl) document.servers = [{ url: info.serverUrl }];
+
+  return document;
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,227 @@
+/**
+ * Projects
+ * One server can serve the tickets of several repositories. Each project has its own storage - a
+ * directory with its own tickets.json / tickets.db, or its own Postgres schema on Supabase - and so
+ * its own tickets, attachments, widget API keys, webhooks and agent registry, plus its own settings.
+ *
+ * The "default" project is the storage the server was configured with (SWARM_TICKETS_STORAGE and
+ * friends); it's always there and is what /api/... without a project prefix reaches. The list of
+ * other projects is kept in the default project's storage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStorageAdapter } = require('./storage');
+const { DEFAULT_ATTACHMENTS_DIR } = require('./attachments');
+
+const DEFAULT_PROJECT_ID = 'default';
+
+// Lowercase letters, digits, "-" and "_" - project IDs end up in URLs, paths and schema names
+const PROJECT_ID_PATTERN = '^[a-z0-9][a-z0-9_-]{0,39}$';
+
+// Where projects without an explicit directory keep their files (JSON and SQLite storage)
+const DEFAULT_PROJECTS_DIR = './projects';
+
+/**
+ * Storage config for a project, derived from the server's storage config
+ * @param {Object} config - Server storage config from getStorageConfig()
+ * @param {Object} project - Project ({ id, directory, schema })
+ * @returns {Object} Storage config for createStorageAdapter()
+ */
+function getProjectStorageConfig(config, project) {
+  if (project.id === DEFAULT_PROJECT_ID) return config;
+
+  switch (config.type.toLowerCase()) {
+    case 'sqlite':
+      return {
+        ...config,
+        sqlitePath: path.join(project.directory, 'tickets.db'),
+        attachmentsDir: path.join(project.directory, 'ticket-attachments')
+      };
+    case 'supabase':
+      return {
+        ...config,
+        supabaseSchema: project.schema,
+        attachmentsDir: path.join(config.attachmentsDir || DEFAULT_ATTACHMENTS_DIR, project.id)
+      };
+    default:
+      return {
+        ...config,
+        jsonPath: path.join(project.directory, 'tickets.json'),
+        backupDir: path.join(project.directory, 'ticket-backups'),
+        metaPath: undefined,
+        attachmentsDir: path.join(project.directory, 'ticket-attachments')
+      };
+  }
+}
+
+class ProjectRegistry {
+  /**
+   * @param {BaseAdapter} serverStorage - Storage of the default project (also keeps the project list)
+   * @param {Object} config - Server storage config from getStorageConfig()
+   * @param {Object} options - { projectsDir, onOpen } - onOpen(project) is called once for each project
+   *   opened, to attach what the server keeps per project (event bus, webhook dispatcher)
+   */
+  constructor(serverStorage, config, options = {}) {
+    this.serverStorage = serverStorage;
+    this.config = config;
+    this.projectsDir = path.resolve(options.projectsDir || DEFAULT_PROJECTS_DIR);
+    this.onOpen = options.onOpen || (() => {});
+    // Project ID -> Promise of { id, storage, ... } (promises, so concurrent requests open it once)
+    this.opened = new Map();
+    this.ready = new Map();
+
+    this._track(DEFAULT_PROJECT_ID, Promise.resolve(this._createContext(DEFAULT_PROJECT_ID, serverStorage)));
+  }
+
+  // The default project has no stored record until its name or settings are changed
+  _defaultProject(stored) {
+    return {
+      id: DEFAULT_PROJECT_ID,
+      name: stored ? stored.name : 'Default',
+      description: stored ? stored.description : '',
+      directory: null,
+      schema: null,
+      settings: stored ? stored.settings : {},
+      createdAt: stored ? stored.createdAt : null,
+      updatedAt: stored ? stored.updatedAt : null
+    };
+  }
+
+  _createContext(id, storage) {
+    const context = { id, storage };
+    this.onOpen(context);
+    return context;
+  }
+
+  _track(id, promise) {
+    this.opened.set(id, promise);
+    promise.then(context => this.ready.set(id, context), () => this.opened.delete(id));
+    return promise;
+  }
+
+  /**
+   * Get all projects, the default project first
+   * @returns {Promise<Array>} Projects
+   */
+  async list() {
+    const stored = await this.serverStorage.listProjects();
+    const defaultRecord = stored.find(p => p.id === DEFAULT_PROJECT_ID);
+    return [this._defaultProject(defaultRecord), ...stored.filter(p => p.id !== DEFAULT_PROJECT_ID)];
+  }
+
+  /**
+   * Get a project
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Project or null if there's no such project
+   */
+  async get(id) {
+    const stored = await this.serverStorage.getProject(id);
+    if (id === DEFAULT_PROJECT_ID) return this._defaultProject(stored);
+    return stored;
+  }
+
+  /**
+   * Register a project and open its storage (creating its files or checking its tables)
+   * @param {Object} data - { id, name, description, directory, schema, settings }; directory defaults to
+   *   <projectsDir>/<id> (JSON/SQLite), schema to project_<id> (Supabase)
+   * @returns {Promise<Object>} The project
+   * @throws {Error} If its storage can't be opened (the project isn't registered then)
+   */
+  async create(data) {
+    const supabase = this.config.type.toLowerCase() === 'supabase';
+    const project = await this.serverStorage.createProject({
+      id: data.id,
+      name: data.name || data.id,
+      description: data.description || '',
+      directory: supabase ? null : path.resolve(data.directory || path.join(this.projectsDir, data.id)),
+      schema: supabase ? (data.schema || `project_${data.id.replace(/-/g, '_')}`) : null,
+      settings: data.settings || {}
+    });
+
+    try {
+      await this.open(project.id);
+    } catch (error) {
+      await this.serverStorage.deleteProject(project.id);
+      throw error;
+    }
+    return project;
+  }
+
+  /**
+   * Change a project's name, description or settings (settings are replaced as a whole)
+   * @param {string} id - Project ID
+   * @param {Object} changes - { name, description, settings }
+   * @returns {Promise<Object|null>} Updated project or null if not found
+   */
+  async update(id, changes) {
+    if (id === DEFAULT_PROJECT_ID && !(await this.serverStorage.getProject(id))) {
+      const created = await this.serverStorage.createProject({
+        ...this._defaultProject(null),
+        ...changes
+      });
+      return this._defaultProject(created);
+    }
+
+    const updated = await this.serverStorage.updateProject(id, changes);
+    if (id === DEFAULT_PROJECT_ID) return this._defaultProject(updated);
+    return updated;
+  }
+
+  /**
+   * Unregister a project and close its storage - its files (or schema) are left alone
+   * @param {string} id - Project ID (not the default project)
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async remove(id) {
+    const context = this.opened.has(id) ? await this.opened.get(id).catch(() => null) : null;
+    this.opened.delete(id);
+    this.ready.delete(id);
+    if (context) await context.storage.close();
+    return this.serverStorage.deleteProject(id);
+  }
+
+  /**
+   * Open a project's storage (once - later calls return the same context)
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} { id, storage, ...what onOpen attached } or null if there's no such project
+   */
+  async open(id) {
+    if (this.opened.has(id)) return this.opened.get(id);
+
+    const project = await this.get(id);
+    if (!project) return null;
+    // Another request may have opened it while we looked it up
+    if (this.opened.has(id)) return this.opened.get(id);
+
+    return this._track(id, (async () => {
+      if (project.directory) fs.mkdirSync(project.directory, { recursive: true });
+      const storage = await createStorageAdapter(getProjectStorageConfig(this.config, project));
+      return this._createContext(id, storage);
+    })());
+  }
+
+  /**
+   * Projects whose storage is open
+   * @returns {Array<Object>} Contexts returned by open()
+   */
+  openProjects() {
+    return [...this.ready.values()];
+  }
+
+  /**
+   * Close the storage of every open project
+   */
+  async closeAll() {
+    const contexts = await Promise.all([...this.opened.values()].map(p => p.catch(() => null)));
+    await Promise.all(contexts.filter(Boolean).map(context => context.storage.close()));
+  }
+}
+
+module.exports = {
+  DEFAULT_PROJECT_ID,
+  PROJECT_ID_PATTERN,
+  DEFAULT_PROJECTS_DIR,
+  getProjectStorageConfig,
+  ProjectRegistry
+};
@@ -0,0 +1,216 @@
+/**
+ * Reporter Follow-up
+ * Every bug report gets a receipt token: with it the reporter can look up how their report is doing
+ * (GET /api/bug-report/:token, which shows nothing of what's in the ticket), and if they left an email
+ * and agreed to be contacted, they're emailed when the ticket reaches one of the notify statuses
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { TicketEvent } = require('./events');
+const { hashToken } = require('./auth');
+const { SmtpClient } = require('./smtp');
+
+const RECEIPT_TOKEN_PATTERN = /^rcpt_[0-9a-f]{48}$/;
+
+// Statuses reporters are told about when their workflow has them (SWARM_TICKETS_NOTIFY_STATUSES overrides)
+const DEFAULT_NOTIFY_STATUSES = ['fixed', 'closed'];
+
+/**
+ * Generate a receipt token for a bug reporter
+ * @returns {string} Token (only its hash is stored)
+ */
+function generateReceiptToken() {
+  return 'rcpt_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Issue a receipt for a bug report
+ * @param {BaseAdapter} storage - Storage of the project the report was filed in
+ * @param {string} ticketId - Ticket the report was filed as (or counted on, for duplicates)
+ * @param {string|null} email - Email to notify - only when the reporter agreed to be contacted
+ * @returns {Promise<Object>} { token, receipt }
+ */
+async function issueReporterReceipt(storage, ticketId, email) {
+  const token = generateReceiptToken();
+  const receipt = await storage.createReporterReceipt({ ticketId, tokenHash: hashToken(token), email });
+  return { token, receipt };
+}
+
+/**
+ * Find the receipt a token was issued with
+ * @param {BaseAdapter} storage - Project storage
+ * @param {string} token - Receipt token
+ * @returns {Promise<Object|null>} Receipt, or null for tokens that weren't issued
+ */
+async function findReporterReceipt(storage, token) {
+  if (!RECEIPT_TOKEN_PATTERN.test(token)) return null;
+  return storage.findReporterReceipt(hashToken(token));
+}
+
+/**
+ * What a reporter may see of their ticket: how far it has come, none of its contents
+ * @param {Object} ticket - Ticket
+ * @param {Object} receipt - The reporter's receipt
+ * @param {Workflow} workflow - Workflow (for the status label)
+ * @param {Array<string>} resolvedStatuses - Statuses that count as done for the reporter
+ * @returns {Object} { id, status, statusLabel, resolved, reportedAt, updatedAt, notify }
+ */
+function toReporterStatus(ticket, receipt, workflow, resolvedStatuses) {
+  const state = workflow.states.find(s => s.id === ticket.status);
+  return {
+    id: ticket.id,
+    status: ticket.status,
+    statusLabel: state ? state.label : ticket.status,
+    resolved: resolvedStatuses.includes(ticket.status),
+    reportedAt: receipt.createdAt,
+    updatedAt: ticket.updatedAt,
+    notify: Boolean(receipt.email)
+  };
+}
+
+/**
+ * The statuses reporters are notified about in a workflow
+ * @param {Workflow} workflow - Workflow
+ * @returns {Array<string>} Statuses (SWARM_TICKETS_NOTIFY_STATUSES, or those of fixed and closed the workflow has)
+ */
+function getNotifyStatuses(workflow) {
+  const configured = (process.env.SWARM_TICKETS_NOTIFY_STATUSES || '')
+    .split(',')
+    .map(status => status.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  return [...new Set([...DEFAULT_NOTIFY_STATUSES.filter(status => workflow.hasStatus(status)), workflow.closed])];
+}
+
+// Prints notifications instead of sending them - for trying things out
+const logTransport = {
+  async send(message) {
+    console.log(`📧 To ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: message.to };
+  }
+};
+
+/**
+ * Create a notification transport - anything with send({ from, to, subject, text }) returning a promise
+ * @param {string} name - "smtp" (needs smtpUrl), "log", "off", or the path of a module exporting send()
+ *   (or exporting the send function itself)
+ * @param {Object} options - { smtpUrl }
+ * @returns {Object|null} Transport, or null when notifications are off
+ * @throws {Error} If the transport can't be set up
+ */
+function createTransport(name, options = {}) {
+  if (!name || name === 'off') return null;
+  if (name === 'log') return logTransport;
+  if (name === 'smtp') {
+    if (!options.smtpUrl) throw new Error('The smtp notifier needs SWARM_TICKETS_SMTP_URL');
+    return new SmtpClient(options.smtpUrl);
+  }
+
+  const custom = require(path.resolve(name));
+  const transport = typeof custom === 'function' ? { send: custom } : custom;
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Notifier module ${name} must export a send(message) function`);
+  }
+  return transport;
+}
+
+let configuredTransport;
+
+/**
+ * The notification transport configured for this process, created on first use:
+ * SWARM_TICKETS_NOTIFIER (default smtp when SWARM_TICKETS_SMTP_URL is set, otherwise off)
+ * @returns {Object|null} Transport, or null when notifications are off
+ */
+function getNotificationTransport() {
+  if (configuredTransport === undefined) {
+    const smtpUrl = process.env.SWARM_TICKETS_SMTP_URL;
+    configuredTransport = createTransport(process.env.SWARM_TICKETS_NOTIFIER || (smtpUrl ? 'smtp' : 'off'), { smtpUrl });
+  }
+  return configuredTransport;
+}
+
+class ReporterNotifier {
+  /**
+   * @param {BaseAdapter} storage - Storage holding the project's tickets and reporter receipts
+   * @param {Object} transport - Sends the emails (see createTransport)
+   * @param {Object} options - Optional { from: sender, statuses: statuses to notify about }
+   */
+  constructor(storage, transport, options = {}) {
+    this.storage = storage;
+    this.transport = transport;
+    this.from = options.from || process.env.SWARM_TICKETS_NOTIFY_FROM || `swarm-tickets@${os.hostname()}`;
+    this.statuses = options.statuses || getNotifyStatuses(storage.workflow);
+  }
+
+  /**
+   * Notify reporters of the bus's status changes
+   * @param {TicketEventBus} bus - Event bus
+   */
+  attach(bus) {
+    bus.on('event', event => {
+      this.handleEvent(event).catch(error => {
+        console.error('Error notifying reporters:', error);
+      });
+    });
+  }
+
+  async handleEvent(event) {
+    if (event.type !== TicketEvent.STATUS_CHANGED) return;
+
+    // Moving on from one notified status to another (fixed -> closed) isn't news to the reporter
+    const { from, to, ticket } = event.data;
+    if (!this.statuses.includes(to) || this.statuses.includes(from)) return;
+
+    const receipts = await this.storage.listReporterReceipts(ticket.id);
+    // Someone who reported the same error twice gets one email
+    const emails = [...new Set(receipts.map(receipt => receipt.email).filter(Boolean))];
+    for (const email of emails) {
+      try {
+        await this.transport.send(this.buildMessage(email, ticket));
+      } catch (error) {
+        console.error(`Error notifying the reporter of ${ticket.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * The email telling a reporter their ticket reached a notified status
+   * @param {string} email - Reporter's email
+   * @param {Object} ticket - Ticket
+   * @returns {Object} { from, to, subject, text }
+   */
+  buildMessage(email, ticket) {
+    const state = this.storage.workflow.states.find(s => s.id === ticket.status);
+    const label = state ? state.label : ticket.status;
+    return {
+      from: this.from,
+      to: email,
+      subject: `Your bug report ${ticket.id} is now ${label.toLowerCase()}`,
+      text: [
+        'Hello,',
+        '',
+        `Thank you for reporting a problem. The ticket filed for your report (${ticket.id}) is now: ${label}.`,
+        '',
+        'If you still run into the problem, please report it again.',
+        '',
+        'You are getting this email because you asked to be told how your bug report turns out.'
+      ].join('\n')
+    };
+  }
+}
+
+module.exports = {
+  RECEIPT_TOKEN_PATTERN,
+  DEFAULT_NOTIFY_STATUSES,
+  generateReceiptToken,
+  issueReporterReceipt,
+  findReporterReceipt,
+  toReporterStatus,
+  getNotifyStatuses,
+  createTransport,
+  getNotificationTransport,
+  ReporterNotifier
+};
@@ -0,0 +1,966 @@
+/**
+ * API Schemas
+ * Request and response shapes shared by request validation and the OpenAPI document
+ */
+
+const BaseAdapter = require('./storage/base-adapter');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { getWorkflow, GUARD_TYPES } = require('./workflow');
+const { PROJECT_ID_PATTERN } = require('./projects');
+const { PATTERN_MATCHERS, RELATED_BY } = require('./triage');
+const { ATTACHMENT_SOURCES } = require('./attachments');
+
+const STATUS = { type: 'string', enum: getWorkflow().statuses };
+const PRIORITY = { type: 'string', enum: BaseAdapter.PRIORITIES, nullable: true };
+const TIMESTAMP = { type: 'string', description: 'ISO 8601 timestamp' };
+const LABEL = { type: 'string', minLength: 1, maxLength: 50 };
+
+// ==================== RESPONSE SCHEMAS ====================
+
+const SwarmAction = {
+  type: 'object',
+  properties: {
+    timestamp: TIMESTAMP,
+    action: { type: 'string' },
+    result: { type: 'string', nullable: true },
+    agent: { type: 'string', nullable: true, description: 'Who did it' },
+    files: { type: 'array', items: { type: 'string' }, description: 'Files touched' },
+    commit: { type: 'string', nullable: true, description: 'Commit SHA' },
+    durationMs: { type: 'integer', nullable: true },
+    outcome: { type: 'string', enum: BaseAdapter.SWARM_ACTION_OUTCOMES, nullable: true },
+    metadata: { type: 'object' }
+  }
+};
+
+const Comment = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    timestamp: TIMESTAMP,
+    type: { type: 'string', enum: ['human', 'ai'] },
+    author: { type: 'string' },
+    content: { type: 'string' },
+    metadata: { type: 'object' },
+    editedAt: { ...TIMESTAMP, nullable: true }
+  }
+};
+
+const Attachment = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    ticketId: { type: 'string' },
+    filename: { type: 'string' },
+    contentType: { type: 'string' },
+    size: { type: 'integer', description: 'Bytes' },
+    sha256: { type: 'string' },
+    source: {
+      type: 'string',
+      enum: ATTACHMENT_SOURCES,
+      description: 'upload, bug-report, or the error field a long log was moved out of (f12Errors, serverErrors)'
+    },
+    uploadedBy: { type: 'string', nullable: true },
+    createdAt: TIMESTAMP
+  }
+};
+
+// A failed (HTTP error or no response) or slow request captured by the bug report widget
+const NetworkRequest = {
+  type: 'object',
+  properties: {
+    method: { type: 'string' },
+    url: { type: 'string', description: 'Without its query string' },
+    status: { type: 'integer', nullable: true, description: 'null when no response came back' },
+    durationMs: { type: 'integer', nullable: true },
+    error: { type: 'string', nullable: true, description: 'Why no response came back (e.g. "Failed to fetch")' },
+    responseBody: { type: 'string', nullable: true, description: 'Start of the response body, when the widget captures it' },
+    timestamp: { ...TIMESTAMP, nullable: true }
+  }
+};
+
+// Something the reporter did before a bug report, recorded by the widget
+const Breadcrumb = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: BaseAdapter.BREADCRUMB_TYPES },
+    timestamp: { ...TIMESTAMP, nullable: true },
+    selector: { type: 'string', nullable: true, description: 'click, submit: CSS selector of the element, e.g. "form#checkout > button.primary"' },
+    text: { type: 'string', nullable: true, description: 'click: text of the element (never the value of a form field)' },
+    url: { type: 'string', nullable: true, description: 'navigation: page navigated to, without its query string' },
+    via: { type: 'string', nullable: true, description: 'navigation: load, pushState, replaceState, popstate or hashchange' },
+    state: { type: 'string', nullable: true, description: 'visibility: hidden or visible' }
+  }
+};
+
+const Ticket = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    route: { type: 'string' },
+    f12Errors: { type: 'string' },
+    serverErrors: { type: 'string' },
+    networkErrors: { type: 'array', items: NetworkRequest, description: 'Failed and slow requests captured with a bug report' },
+    breadcrumbs: { type: 'array', items: Breadcrumb, description: 'What the reporter did before a bug report, oldest first' },
+    description: { type: 'string' },
+    status: STATUS,
+    priority: PRIORITY,
+    relatedTickets: { type: 'array', items: { type: 'string' } },
+    swarmActions: { type: 'array', items: SwarmAction },
+    comments: { type: 'array', items: Comment },
+    namespace: { type: 'string', nullable: true },
+    labels: { type: 'array', items: { type: 'string' }, description: 'Lowercased and sorted' },
+    claimedBy: { type: 'string', nullable: true, description: 'Agent holding the lease' },
+    claimExpiresAt: { ...TIMESTAMP, nullable: true },
+    assignee: { type: 'string', nullable: true, description: 'Agent or person responsible for the ticket' },
+    reporter: { type: 'string', nullable: true, description: 'Who filed the ticket' },
+    fingerprint: {
+      type: 'string',
+      nullable: true,
+      description: 'Hash of the normalized f12Errors/serverErrors; new tickets with the same one are counted as occurrences'
+    },
+    occurrenceCount: { type: 'integer', description: 'How many times this error was reported (1 for the ticket itself)' },
+    firstSeenAt: TIMESTAMP,
+    lastSeenAt: TIMESTAMP,
+    version: { type: 'integer', description: 'Incremented on every change; the ETag is this version in quotes' },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP
+  }
+};
+
+const HistoryEntry = {
+  type: 'object',
+  properties: {
+    timestamp: TIMESTAMP,
+    actor: { type: 'string', nullable: true, description: 'Agent (X-Swarm-Agent) or API token name that made the change' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', enum: BaseAdapter.HISTORY_FIELDS },
+          from: { nullable: true, description: 'Value before the change' },
+          to: { nullable: true, description: 'Value after the change' }
+        }
+      }
+    }
+  }
+};
+
+const SearchResults = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    total: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ticket: Ticket,
+          score: { type: 'number' },
+          matchedFields: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const Stats = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer' },
+    byStatus: { type: 'object' },
+    byPriority: { type: 'object' }
+  }
+};
+
+const BugReportReceipt = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string' },
+    message: { type: 'string' },
+    duplicate: { type: 'boolean', description: 'The error was already reported; counted as an occurrence of ticket id' },
+    attachments: { type: 'integer', description: 'Files attached to the new ticket' },
+    replayed: { type: 'boolean', description: 'The Idempotency-Key was already used; this is the first report\'s receipt, without its receiptToken' },
+    receiptToken: { type: 'string', description: 'Lets the reporter look up the report\'s status - shown only here, not on replays' },
+    statusUrl: { type: 'string', description: 'Where to look up the status with the receipt token' },
+    notify: { type: 'boolean', description: 'The reporter will be emailed when the ticket is resolved' }
+  }
+};
+
+// What GET /api/bug-report/:token tells a reporter - the ticket's progress, none of its contents
+const ReporterStatus = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string' },
+    statusLabel: { type: 'string' },
+    resolved: { type: 'boolean', description: 'The ticket has reached a status reporters are notified about' },
+    reportedAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    notify: { type: 'boolean', description: 'The reporter will be emailed when the ticket is resolved' }
+  }
+};
+
+const ApiKey = {
+  type: 'object',
+  properties: {
+    key: { type: 'string', description: 'Only returned when the key is created' },
+    name: { type: 'string', nullable: true },
+    createdAt: TIMESTAMP
+  }
+};
+
+const Webhook = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string' },
+    events: { type: 'array', items: { type: 'string' } },
+    secret: { type: 'string', description: 'Only returned when the webhook is created' },
+    hasSecret: { type: 'boolean' },
+    description: { type: 'string' },
+    enabled: { type: 'boolean' },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP
+  }
+};
+
+const Agent = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string', enum: BaseAdapter.AGENT_TYPES },
+    role: { type: 'string', nullable: true, description: 'Swarm role, e.g. queen-coordinator, analyst, researcher, coder' },
+    lastActiveAt: { ...TIMESTAMP, nullable: true, description: 'Last change made through the API' },
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP
+  }
+};
+
+const ProjectSettings = {
+  type: 'object',
+  description: 'Free-form; the tracker uses fieldLabels and promptTemplate',
+  properties: {
+    fieldLabels: {
+      type: 'object',
+      properties: { route: { type: 'string' }, f12: { type: 'string' }, server: { type: 'string' } }
+    },
+    promptTemplate: { type: 'string', description: 'Quick prompt; {TICKET_ID} is replaced with the ticket ID' }
+  }
+};
+
+const Project = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    directory: { type: 'string', nullable: true, description: 'Where its tickets.json / tickets.db live (JSON and SQLite storage)' },
+    schema: { type: 'string', nullable: true, description: 'Postgres schema holding its tables (Supabase storage)' },
+    settings: ProjectSettings,
+    createdAt: { ...TIMESTAMP, nullable: true },
+    updatedAt: { ...TIMESTAMP, nullable: true }
+  }
+};
+
+const LabelCount = {
+  type: 'object',
+  properties: {
+    label: { type: 'string' },
+    count: { type: 'integer', description: 'Tickets with this label' }
+  }
+};
+
+const WebhookDelivery = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    webhookId: { type: 'string' },
+    deliveryId: { type: 'string' },
+    event: { type: 'string' },
+    attempt: { type: 'integer' },
+    status: { type: 'string', enum: ['success', 'retrying', 'failed'] },
+    responseStatus: { type: 'integer', nullable: true },
+    error: { type: 'string', nullable: true },
+    durationMs: { type: 'integer' },
+    timestamp: TIMESTAMP
+  }
+};
+
+const BulkResult = {
+  type: 'object',
+  properties: {
+    operation: { type: 'string' },
+    total: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          ok: { type: 'boolean' },
+          previousStatus: STATUS,
+          ticket: Ticket,
+          comment: Comment,
+          error: { type: 'string', description: 'Why this ticket was skipped' }
+        }
+      }
+    }
+  }
+};
+
+const TriageActions = {
+  type: 'object',
+  properties: {
+    priority: { type: 'string', enum: BaseAdapter.PRIORITIES },
+    labels: { type: 'array', items: { type: 'string' } },
+    namespace: { type: 'string' },
+    assignee: { type: 'string' }
+  }
+};
+
+const TRIAGE_RANGE = {
+  type: 'object',
+  properties: { min: { type: 'number' }, max: { type: 'number' } }
+};
+
+const TriageRules = {
+  type: 'object',
+  properties: {
+    defaultPriority: { ...PRIORITY, description: 'Priority when no rule sets one (null: leave it alone)' },
+    related: {
+      type: 'object',
+      properties: {
+        by: { type: 'array', items: { type: 'string', enum: RELATED_BY } },
+        limit: { type: 'integer' }
+      }
+    },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          when: {
+            type: 'object',
+            description: `All must match. ${PATTERN_MATCHERS.join(', ')}: case-insensitive regular expressions`,
+            properties: {
+              ...Object.fromEntries(PATTERN_MATCHERS.map(key => [key, { type: 'string' }])),
+              occurrences: TRIAGE_RANGE,
+              ageHours: { ...TRIAGE_RANGE, description: 'Hours since the ticket was first seen' }
+            }
+          },
+          then: TriageActions
+        }
+      }
+    }
+  }
+};
+
+const ScrubRules = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    rules: {
+      type: 'array',
+      description: 'Applied in order to incoming tickets, bug reports and comments',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          pattern: { type: 'string', description: 'Regular expression' },
+          flags: { type: 'string' },
+          replacement: { type: 'string', description: 'Default: [REDACTED:<name>]' },
+          validate: { type: 'string', description: 'Extra check of a match (luhn: card number checksum)' }
+        }
+      }
+    }
+  }
+};
+
+// What triage did (or would do) to a ticket
+const TriageOutcome = {
+  type: 'object',
+  properties: {
+    rules: {
+      type: 'array',
+      description: 'Rules that fired, in file order',
+      items: { type: 'object', properties: { name: { type: 'string' }, then: TriageActions } }
+    },
+    changes: {
+      type: 'object',
+      description: 'Fields set on the ticket - the most urgent priority of the rules that fired (or defaultPriority), ' +
+        'the ticket\'s labels and related tickets with the new ones added',
+      properties: {
+        ...TriageActions.properties,
+        relatedTickets: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const AnalyzedTicket = {
+  type: 'object',
+  properties: {
+    ...Ticket.properties,
+    triage: TriageOutcome
+  }
+};
+
+const TriageResult = {
+  type: 'object',
+  properties: {
+    dryRun: { type: 'boolean' },
+    total: { type: 'integer', description: 'Untriaged tickets found' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          ok: { type: 'boolean' },
+          ticket: Ticket,
+          ...TriageOutcome.properties,
+          error: { type: 'string', description: 'Why this ticket was skipped' }
+        }
+      }
+    }
+  }
+};
+
+const Message = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' }
+  }
+};
+
+const ErrorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' }
+  }
+};
+
+const LeaseConflict = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    claimedBy: { type: 'string' },
+    claimExpiresAt: TIMESTAMP
+  }
+};
+
+const PreconditionFailed = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    version: { type: 'integer', description: 'The ticket\'s current version' }
+  }
+};
+
+const TransitionRejected = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    reasons: { type: 'array', items: { type: 'string' }, description: 'Why the workflow rejected the change' },
+    allowed: { type: 'array', items: { type: 'string' }, description: 'Statuses the ticket can move to now' }
+  }
+};
+
+const WorkflowState = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    label: { type: 'string' },
+    color: { type: 'string' },
+    statKey: { type: 'string', description: 'Key the status is counted under in stats byStatus' }
+  }
+};
+
+const Workflow = {
+  type: 'object',
+  properties: {
+    initial: { type: 'string', description: 'Status of new and reopened tickets, and of the work queue' },
+    inProgress: { type: 'string', description: 'Status a ticket moves to when taken from the work queue' },
+    closed: { type: 'string', description: 'Status set by the close shortcut; hidden from ticket lists by default' },
+    states: { type: 'array', items: WorkflowState },
+    transitions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          from: { description: 'Source statuses, or "*" for any' },
+          to: { type: 'string' },
+          guards: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: GUARD_TYPES },
+                action: { type: 'string', description: 'For swarm-action guards' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ValidationErrorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', description: 'Offending field, e.g. "status" or "query.limit"' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// ==================== REQUEST SCHEMAS ====================
+
+const ticketFields = {
+  route: { type: 'string' },
+  f12Errors: { type: 'string' },
+  serverErrors: { type: 'string' },
+  description: { type: 'string' },
+  status: STATUS,
+  priority: PRIORITY,
+  relatedTickets: { type: 'array', items: { type: 'string' } },
+  namespace: { type: 'string', nullable: true },
+  labels: { type: 'array', items: LABEL, description: 'Replaces the ticket\'s labels' },
+  assignee: { type: 'string', minLength: 1, nullable: true },
+  reporter: { type: 'string', minLength: 1, nullable: true }
+};
+
+const networkErrors = {
+  type: 'array',
+  maxItems: BaseAdapter.MAX_NETWORK_ERRORS,
+  items: { ...NetworkRequest, required: ['url'] }
+};
+
+// Types aren't checked here - breadcrumbs of types this server doesn't know (from a newer widget) are dropped
+const breadcrumbs = {
+  type: 'array',
+  maxItems: BaseAdapter.MAX_BREADCRUMBS,
+  items: {
+    ...Breadcrumb,
+    properties: { ...Breadcrumb.properties, type: { type: 'string' } },
+    required: ['type']
+  }
+};
+
+const TicketCreate = {
+  type: 'object',
+  properties: {
+    ...ticketFields,
+    networkErrors,
+    breadcrumbs
+  },
+  additionalProperties: false
+};
+
+const TicketUpdate = {
+  type: 'object',
+  properties: {
+    ...ticketFields,
+    comment: { type: 'string', minLength: 1, description: 'Added as a comment with the change (satisfies "comment" workflow guards)' }
+  },
+  additionalProperties: false,
+  minProperties: 1
+};
+
+const StatusChange = {
+  type: 'object',
+  properties: {
+    reason: { type: 'string', description: 'Recorded in the swarm action log' },
+    comment: { type: 'string', minLength: 1, description: 'Added as a comment with the change (satisfies "comment" workflow guards)' }
+  },
+  additionalProperties: false
+};
+
+const SwarmActionCreate = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', minLength: 1 },
+    result: { type: 'string', nullable: true },
+    agent: { type: 'string', minLength: 1, description: 'Defaults to X-Swarm-Agent (or the token name)' },
+    files: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Files touched' },
+    commit: { type: 'string', minLength: 1, description: 'Commit SHA' },
+    durationMs: { type: 'integer', minimum: 0, description: 'How long the action took' },
+    outcome: { type: 'string', enum: BaseAdapter.SWARM_ACTION_OUTCOMES },
+    metadata: { type: 'object', description: 'Anything else worth keeping (free-form)' }
+  },
+  required: ['action'],
+  additionalProperties: false
+};
+
+const ProjectCreate = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: PROJECT_ID_PATTERN, description: 'Used in URLs: /api/projects/{id}/tickets' },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    directory: { type: 'string', minLength: 1, description: 'Default ./projects/{id}; point it at a repository to serve its existing tickets' },
+    schema: { type: 'string', pattern: '^[a-z_][a-z0-9_]{0,62}$', description: 'Default project_{id}' },
+    settings: ProjectSettings
+  },
+  required: ['id'],
+  additionalProperties: false
+};
+
+const ProjectUpdate = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    settings: { ...ProjectSettings, description: 'Replaces the current settings' }
+  },
+  additionalProperties: false,
+  minProperties: 1
+};
+
+const TriageRun = {
+  type: 'object',
+  properties: {
+    dryRun: { type: 'boolean', description: 'Report what the rules would change without changing anything' }
+  },
+  additionalProperties: false
+};
+
+const LabelsAdd = {
+  type: 'object',
+  properties: {
+    labels: { type: 'array', items: LABEL, minItems: 1 }
+  },
+  required: ['labels'],
+  additionalProperties: false
+};
+
+const CommentCreate = {
+  type: 'object',
+  properties: {
+    content: { type: 'string', minLength: 1 },
+    type: { type: 'string', enum: ['human', 'ai'] },
+    author: { type: 'string', description: 'Only used when auth is off - otherwise the author is your X-Swarm-Agent or token name' },
+    metadata: { type: 'object' }
+  },
+  required: ['content'],
+  additionalProperties: false
+};
+
+const CommentUpdate = {
+  type: 'object',
+  properties: {
+    content: { type: 'string', minLength: 1 },
+    metadata: { type: 'object' }
+  },
+  additionalProperties: false,
+  minProperties: 1
+};
+
+const Claim = {
+  type: 'object',
+  properties: {
+    agent: { type: 'string', minLength: 1, description: 'Identity of the claiming agent' },
+    ttl: { type: 'integer', minimum: 1, maximum: 86400, description: 'Lease length in seconds (default 900)' }
+  },
+  required: ['agent'],
+  additionalProperties: false
+};
+
+const Release = {
+  type: 'object',
+  properties: {
+    agent: { type: 'string', minLength: 1 },
+    force: { type: 'boolean', description: 'Release another agent\'s lease (admin only)' }
+  },
+  required: ['agent'],
+  additionalProperties: false
+};
+
+const QueueNext = {
+  type: 'object',
+  properties: {
+    agent: { type: 'string', minLength: 1, description: 'Identity of the agent taking the ticket' },
+    ttl: { type: 'integer', minimum: 1, maximum: 86400, description: 'Lease length in seconds (default 900)' },
+    namespace: { type: 'string' },
+    route: { type: 'string', description: 'Substring match' }
+  },
+  required: ['agent'],
+  additionalProperties: false
+};
+
+const BulkUpdate = {
+  type: 'object',
+  properties: {
+    ids: { type: 'array', minItems: 1, maxItems: 500, items: { type: 'string', minLength: 1 } },
+    operation: { type: 'string', enum: BaseAdapter.BULK_OPERATIONS },
+    status: { ...STATUS, description: 'For set-status' },
+    priority: { ...PRIORITY, description: 'For set-priority (null clears it)' },
+    namespace: { type: 'string', nullable: true, description: 'For set-namespace' },
+    assignee: { type: 'string', minLength: 1, nullable: true, description: 'For set-assignee (null unassigns)' },
+    swarmAction: SwarmActionCreate,
+    comment: CommentCreate,
+    reason: { type: 'string', description: 'For close - recorded in the swarm action log' }
+  },
+  required: ['ids', 'operation'],
+  additionalProperties: false
+};
+
+// Public endpoint used by deployed widgets - unknown fields are ignored rather than rejected
+const BugReport = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    location: { type: 'string' },
+    route: { type: 'string' },
+    clientError: { type: 'string' },
+    f12Errors: { type: 'string' },
+    networkErrors: { ...networkErrors, description: 'Sent as a JSON string in multipart/form-data' },
+    breadcrumbs: { ...breadcrumbs, description: 'Sent as a JSON string in multipart/form-data' },
+    userAgent: { type: 'string' },
+    timestamp: { type: 'string' },
+    viewport: { type: 'string' },
+    apiKey: { type: 'string' },
+    contactEmail: {
+      type: 'string',
+      maxLength: 254,
+      pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+      description: 'Email to notify when the ticket is resolved - only kept when contactConsent is true'
+    },
+    contactConsent: { type: 'boolean', description: 'The reporter agreed to be contacted at contactEmail' }
+  }
+};
+
+// Multipart form of BugReport: the same text fields plus files (a screenshot, logs)
+const BugReportUpload = {
+  type: 'object',
+  properties: {
+    ...BugReport.properties,
+    screenshot: { type: 'string', format: 'binary' },
+    attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+  }
+};
+
+// Files to attach - any field name works; each file part needs a filename
+const AttachmentUpload = {
+  type: 'object',
+  properties: {
+    file: { type: 'array', items: { type: 'string', format: 'binary' } }
+  }
+};
+
+const ApiKeyCreate = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const AgentUpdate = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: BaseAdapter.AGENT_TYPES },
+    role: { type: 'string', minLength: 1, nullable: true }
+  },
+  additionalProperties: false
+};
+
+const webhookFields = {
+  url: { type: 'string', format: 'http-url' },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] }
+  },
+  secret: { type: 'string', minLength: 1, description: 'HMAC signing secret (generated when omitted)' },
+  description: { type: 'string' },
+  enabled: { type: 'boolean' }
+};
+
+const WebhookCreate = {
+  type: 'object',
+  properties: webhookFields,
+  required: ['url', 'events'],
+  additionalProperties: false
+};
+
+const WebhookUpdate = {
+  type: 'object',
+  properties: webhookFields,
+  additionalProperties: false,
+  minProperties: 1
+};
+
+// ==================== QUERY SCHEMAS ====================
+
+const TicketListQuery = {
+  type: 'object',
+  properties: {
+    status: STATUS,
+    priority: { type: 'string', enum: BaseAdapter.PRIORITIES },
+    route: { type: 'string', description: 'Substring match' },
+    namespace: { type: 'string' },
+    assignee: { type: 'string' },
+    label: { type: 'string', description: 'Only tickets with this label' },
+    fingerprint: { type: 'string', description: 'Only tickets with this error fingerprint' },
+    include_closed: { type: 'boolean', description: 'Closed tickets are excluded unless true or ?status=closed' },
+    limit: { type: 'integer', minimum: 1, description: 'Page size (max 500); the next page cursor is returned in X-Next-Cursor' },
+    cursor: { type: 'string' },
+    sort: { type: 'string', description: 'createdAt, updatedAt or priority; prefix "-" to reverse (default -createdAt)' },
+    fields: { type: 'string', description: 'Comma-separated fields to return' }
+  }
+};
+
+const SearchQuery = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', minLength: 1 },
+    status: STATUS,
+    limit: { type: 'integer', minimum: 1, description: 'Max results (default 20, capped at 100)' }
+  },
+  required: ['q']
+};
+
+const QueueQuery = {
+  type: 'object',
+  properties: {
+    namespace: { type: 'string' },
+    route: { type: 'string', description: 'Substring match' }
+  }
+};
+
+const EventStreamQuery = {
+  type: 'object',
+  properties: {
+    types: { type: 'string', description: 'Comma-separated event types to receive' },
+    access_token: { type: 'string', description: 'Token for clients that cannot send headers (EventSource)' }
+  }
+};
+
+// Sent on changes to a ticket so the holder of its lease isn't blocked by it
+const AgentHeaders = {
+  type: 'object',
+  properties: {
+    'X-Swarm-Agent': { type: 'string', description: 'Your agent identity - required to change a ticket you have claimed' }
+  }
+};
+
+const IfMatchHeaders = {
+  type: 'object',
+  properties: {
+    'If-Match': { type: 'string', description: 'ETag from a previous read - the change fails with 412 if the ticket has changed since' }
+  }
+};
+
+const TicketWriteHeaders = {
+  type: 'object',
+  properties: { ...AgentHeaders.properties, ...IfMatchHeaders.properties }
+};
+
+const BugReportHeaders = {
+  type: 'object',
+  properties: {
+    'Idempotency-Key': {
+      type: 'string',
+      description: 'Unique per report (e.g. a UUID), reused on every retry of it - letters, digits, _ . : - (up to 200)'
+    }
+  }
+};
+
+const LimitQuery = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1 }
+  }
+};
+
+/**
+ * Named schemas - published under components.schemas and referenced by name in the OpenAPI document
+ */
+const components = {
+  Ticket,
+  SwarmAction,
+  Comment,
+  Attachment,
+  NetworkRequest,
+  Breadcrumb,
+  HistoryEntry,
+  SearchResults,
+  Stats,
+  BugReportReceipt,
+  ReporterStatus,
+  ApiKey,
+  Webhook,
+  WebhookDelivery,
+  Agent,
+  LabelCount,
+  Project,
+  ProjectSettings,
+  BulkResult,
+  TriageRules,
+  ScrubRules,
+  TriageOutcome,
+  AnalyzedTicket,
+  TriageResult,
+  Message,
+  Error: ErrorResponse,
+  ValidationError: ValidationErrorResponse,
+  LeaseConflict,
+  PreconditionFailed,
+  TransitionRejected,
+  Workflow,
+  TicketCreate,
+  TicketUpdate,
+  StatusChange,
+  SwarmActionCreate,
+  LabelsAdd,
+  CommentCreate,
+  CommentUpdate,
+  Claim,
+  Release,
+  QueueNext,
+  BulkUpdate,
+  TriageRun,
+  BugReport,
+  BugReportUpload,
+  AttachmentUpload,
+  ApiKeyCreate,
+  AgentUpdate,
+  ProjectCreate,
+  ProjectUpdate,
+  WebhookCreate,
+  WebhookUpdate
+};
+
+module.exports = {
+  ...components,
+  TicketListQuery,
+  SearchQuery,
+  QueueQuery,
+  EventStreamQuery,
+  AgentHeaders,
+  IfMatchHeaders,
+  TicketWriteHeaders,
+  BugReportHeaders,
+  LimitQuery,
+  components
+};
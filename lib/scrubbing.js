@@ -0,0 +1,314 @@
+/**
+ * Scrubbing
+ * Redacts secrets and personal data - emails, tokens, API keys, card numbers - from tickets, bug reports and
+ * comments before they're stored, since every agent reads them. Rules are the built-in ones below plus any from
+ * a JSON file (SWARM_TICKETS_SCRUB_RULES, default ./scrub-rules.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCRUB_PATH = './scrub-rules.json';
+
+/**
+ * Checks a rule can ask for on top of its pattern, for patterns that can't tell a secret from a look-alike
+ *   luhn - the match's digits pass the Luhn checksum (card numbers)
+ */
+const VALIDATORS = {
+  luhn(match) {
+    const digits = match.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+};
+
+/**
+ * Built-in rules, applied in order - credentials inside URLs before emails, since "user:pass@host.com" looks like one.
+ * Secret values another rule already redacted are left alone.
+ * A rule is { name, pattern, flags, replacement, validate }: replacement may use the pattern's groups ($1) and
+ * defaults to [REDACTED:<name>]
+ */
+const DEFAULT_SCRUB_RULES = [
+  {
+    name: 'connection-string',
+    pattern: '\\b([a-z][a-z0-9+.-]*://)[^\\s:/@]+:[^\\s/@]+@',
+    flags: 'i',
+    replacement: '$1[REDACTED:connection-string]@'
+  },
+  { name: 'jwt', pattern: '\\beyJ[\\w-]{5,}\\.eyJ[\\w-]{5,}\\.[\\w-]{10,}' },
+  {
+    name: 'api-key',
+    pattern: '\\b(?:(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{10,}|sk-[\\w-]{20,}|sb_(?:secret|publishable)_[\\w-]{10,}|' +
+      '(?:stk|stt|whsec|rcpt)_[A-Za-z0-9]{16,}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_\\w{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|' +
+      'AKIA[0-9A-Z]{16}|AIza[\\w-]{35})'
+  },
+  {
+    name: 'bearer-token',
+    pattern: '\\b((?:Bearer|Basic|Token)\\s+)(?=[\\w.~+/-]*\\d)[\\w.~+/-]{12,}=*',
+    flags: 'i',
+    replacement: '$1[REDACTED:bearer-token]'
+  },
+  {
+    name: 'query-secret',
+    pattern: '([?&#;](?:access_token|id_token|refresh_token|token|api_key|apikey|key|secret|client_secret|password|pass|pwd|' +
+      'auth|code|signature|sig|session|sessionid|jwt)=)(?!\\[REDACTED:)[^&#\\s"\'<>]+',
+    flags: 'i',
+    replacement: '$1[REDACTED:query-secret]'
+  },
+  {
+    name: 'secret-assignment',
+    pattern: '(["\']?\\b(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|' +
+      'private[_-]?key)["\']?\\s*[:=]\\s*["\']?)(?!\\[REDACTED:)[^\\s"\',;&]+',
+    flags: 'i',
+    replacement: '$1[REDACTED:secret-assignment]'
+  },
+  { name: 'email', pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}' },
+  // 13-19 digits (spaces or dashes between them allowed) starting like a card number does; not IDs like TKT-1712345678901
+  { name: 'credit-card', pattern: '(?<![\\w-])[2-6](?:[ -]?\\d){12,18}(?![\\w-])', validate: 'luhn' }
+];
+
+// Ticket fields that are scrubbed, and the text fields of their entries for the array ones
+const TEXT_FIELDS = ['route', 'description', 'f12Errors', 'serverErrors'];
+const ENTRY_FIELDS = {
+  networkErrors: ['url', 'error', 'responseBody'],
+  breadcrumbs: ['url', 'text'],
+  comments: ['content']
+};
+
+const RULE_NAME = /^[\w-]+$/;
+
+function compileRule(rule) {
+  const flags = (rule.flags || '').replace(/g/g, '');
+  return new RegExp(rule.pattern, `g${flags}`);
+}
+
+class Scrubber {
+  /**
+   * @param {Object} definition - { enabled, disable: built-in rule names to leave out, rules: extra rules }
+   * @throws {Error} If the definition is invalid
+   */
+  constructor(definition = {}) {
+    const problems = Scrubber.check(definition);
+    if (problems.length > 0) {
+      throw new Error(`Invalid scrub rules: ${problems.join('; ')}`);
+    }
+
+    this.enabled = definition.enabled !== false;
+    const disabled = definition.disable || [];
+    this.rules = [
+      ...DEFAULT_SCRUB_RULES.filter(rule => !disabled.includes(rule.name)),
+      ...(definition.rules || [])
+    ];
+    // Compiled once; every incoming ticket and comment goes through them
+    this.patterns = this.rules.map(compileRule);
+  }
+
+  /**
+   * List what's wrong with a scrub rules definition
+   * @param {Object} definition - Scrub rules definition
+   * @returns {Array<string>} Problems, empty when valid
+   */
+  static check(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return ['must be an object'];
+    }
+
+    const problems = [];
+    if (definition.enabled !== undefined && typeof definition.enabled !== 'boolean') {
+      problems.push('"enabled" must be true or false');
+    }
+    const builtIn = DEFAULT_SCRUB_RULES.map(rule => rule.name);
+    if (definition.disable !== undefined &&
+        (!Array.isArray(definition.disable) || definition.disable.some(name => !builtIn.includes(name)))) {
+      problems.push(`"disable" must be a list of: ${builtIn.join(', ')}`);
+    }
+    if (definition.rules !== undefined && !Array.isArray(definition.rules)) {
+      return [...problems, '"rules" must be an array'];
+    }
+
+    (definition.rules || []).forEach((rule, index) => {
+      const at = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof rule.name !== 'string' || !RULE_NAME.test(rule.name)) {
+        problems.push(`${at}.name must be letters, digits, _ and -`);
+      }
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        problems.push(`${at}.pattern must be a regular expression`);
+      } else {
+        try {
+          compileRule(rule);
+        } catch (error) {
+          problems.push(`${at}.pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+      if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+        problems.push(`${at}.replacement must be a string`);
+      }
+      if (rule.validate !== undefined && !VALIDATORS[rule.validate]) {
+        problems.push(`${at}.validate must be one of: ${Object.keys(VALIDATORS).join(', ')}`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Redact a text
+   * @param {string} text - Text
+   * @returns {Object} { text: redacted text, counts: { ruleName: redactions } }
+   */
+  scrubText(text) {
+    const counts = {};
+    if (!this.enabled || typeof text !== 'string' || !text) return { text, counts };
+
+    const scrubbed = this.rules.reduce((result, rule, index) => result.replace(this.patterns[index], (...args) => {
+      const match = args[0];
+      if (rule.validate && !VALIDATORS[rule.validate](match)) return match;
+
+      const groups = args.slice(1, args.findIndex(arg => typeof arg === 'number'));
+      const replacement = (rule.replacement || `[REDACTED:${rule.name}]`)
+        .replace(/\$(\d)/g, (ref, n) => groups[n - 1] || '');
+      // Already redacted (the data went through the scrubber before) - not counted again
+      if (replacement === match) return match;
+
+      counts[rule.name] = (counts[rule.name] || 0) + 1;
+      return replacement;
+    }), text);
+
+    return { text: scrubbed, counts };
+  }
+
+  /**
+   * Redact a ticket's text fields (route, description, errors, network requests, breadcrumbs, comments)
+   * @param {Object} ticketData - Ticket fields
+   * @returns {Object} { data: fields with redactions made, redactions: [{ rule, field, count }] }
+   */
+  scrubTicket(ticketData) {
+    const data = { ...ticketData };
+    const redactions = [];
+    const note = (field, counts) => {
+      Object.keys(counts).forEach(rule => {
+        const existing = redactions.find(r => r.rule === rule && r.field === field);
+        if (existing) {
+          existing.count += counts[rule];
+        } else {
+          redactions.push({ rule, field, count: counts[rule] });
+        }
+      });
+    };
+
+    TEXT_FIELDS.forEach(field => {
+      if (typeof data[field] !== 'string') return;
+      const { text, counts } = this.scrubText(data[field]);
+      data[field] = text;
+      note(field, counts);
+    });
+    Object.keys(ENTRY_FIELDS).forEach(field => {
+      if (!Array.isArray(data[field])) return;
+      data[field] = data[field].map(entry => {
+        if (!entry || typeof entry !== 'object') return entry;
+        const scrubbed = { ...entry };
+        ENTRY_FIELDS[field].forEach(key => {
+          if (typeof entry[key] !== 'string') return;
+          const { text, counts } = this.scrubText(entry[key]);
+          scrubbed[key] = text;
+          note(field, counts);
+        });
+        return scrubbed;
+      });
+    });
+
+    return { data, redactions };
+  }
+
+  /**
+   * Redact a comment's content
+   * @param {Object} commentData - Comment fields
+   * @returns {Object} { data: fields with redactions made, redactions: [{ rule, field: 'content', count }] }
+   */
+  scrubComment(commentData) {
+    const { text, counts } = this.scrubText(commentData.content);
+    return {
+      data: { ...commentData, content: text },
+      redactions: Object.keys(counts).map(rule => ({ rule, field: 'content', count: counts[rule] }))
+    };
+  }
+
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      rules: this.rules
+    };
+  }
+}
+
+/**
+ * Summarize redactions for an audit note: "2 email (description, f12Errors), 1 bearer-token (serverErrors)"
+ * @param {Array<Object>} redactions - [{ rule, field, count }]
+ * @returns {string} Summary
+ */
+function describeRedactions(redactions) {
+  const byRule = {};
+  redactions.forEach(({ rule, field, count }) => {
+    byRule[rule] = byRule[rule] || { count: 0, fields: [] };
+    byRule[rule].count += count;
+    if (!byRule[rule].fields.includes(field)) byRule[rule].fields.push(field);
+  });
+  return Object.keys(byRule)
+    .map(rule => `${byRule[rule].count} ${rule} (${byRule[rule].fields.join(', ')})`)
+    .join(', ');
+}
+
+/**
+ * Load scrub rules
+ * @param {string} filePath - JSON file; when omitted, ./scrub-rules.json is used if it exists
+ * @returns {Scrubber} Scrubber (the built-in rules when no file is configured)
+ * @throws {Error} If the file can't be read or the rules are invalid
+ */
+function loadScrubRules(filePath) {
+  const resolved = path.resolve(filePath || DEFAULT_SCRUB_PATH);
+  if (!filePath && !fs.existsSync(resolved)) {
+    return new Scrubber();
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read scrub rules from ${resolved}: ${error.message}`);
+  }
+  return new Scrubber(definition);
+}
+
+let configuredScrubber = null;
+
+/**
+ * The scrubber configured for this process (SWARM_TICKETS_SCRUB_RULES), loaded on first use
+ * @returns {Scrubber} Scrubber
+ */
+function getScrubber() {
+  if (!configuredScrubber) {
+    configuredScrubber = loadScrubRules(process.env.SWARM_TICKETS_SCRUB_RULES);
+  }
+  return configuredScrubber;
+}
+
+module.exports = {
+  DEFAULT_SCRUB_RULES,
+  VALIDATORS,
+  Scrubber,
+  describeRedactions,
+  loadScrubRules,
+  getScrubber
+};
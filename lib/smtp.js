@@ -0,0 +1,254 @@
+/**
+ * SMTP
+ * A small SMTP client for notification emails, so they can be sent without a mail library:
+ * smtp://[user:pass@]host[:port] upgrades with STARTTLS when the server offers it, smtps:// uses TLS from
+ * the start. Logs in with AUTH PLAIN and sends one plain text message per connection
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * The server refused a command or the connection failed - code is the SMTP reply code (null if there was none)
+ */
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+// "Swarm Tickets <noreply@example.com>" -> "noreply@example.com"
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]*)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+// Header values can't span lines; non-ASCII text is sent as a MIME encoded word
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+/**
+ * Build a plain text message
+ * @param {Object} message - { from, to, subject, text }
+ * @param {string} hostname - Used in the Message-ID
+ * @returns {string} Message with headers, body base64 encoded (so no line needs dot-stuffing)
+ */
+function buildMessage(message, hostname) {
+  const body = Buffer.from(message.text || '').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${encodeHeader(message.from)}`,
+    `To: ${encodeHeader(message.to)}`,
+    `Subject: ${encodeHeader(message.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${hostname}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// One connection's conversation: commands out, replies (possibly multi-line: "250-..." until "250 ...") in
+class SmtpSession {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.replies = [];
+    this.waiting = null;
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => {
+      socket.destroy(new SmtpError(`SMTP server didn't answer within ${this.timeoutMs}ms`));
+    });
+    socket.on('data', data => this._receive(data));
+    socket.on('error', error => this._fail(error));
+    socket.on('close', () => this._fail(new SmtpError('SMTP connection closed')));
+  }
+
+  // Hand the socket over to TLS (after STARTTLS); the plain socket's listeners must not see the handshake
+  async upgrade(options) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+
+    const secure = tls.connect({ ...options, socket: plain });
+    await new Promise((resolve, reject) => {
+      secure.once('secureConnect', resolve);
+      secure.once('error', reject);
+    });
+    this.attach(secure);
+  }
+
+  _receive(data) {
+    this.buffer += data;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newline + 1);
+      this.lines.push(line);
+      // "250-" continues the reply, "250 " (or a bare "250") ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  _fail(error) {
+    if (this.failure) return;
+    this.failure = error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.failure) return Promise.reject(this.failure);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Send a command and check its reply
+   * @param {string|null} command - Command line (null to only read a reply, e.g. the greeting)
+   * @param {Array<number>} expected - Reply codes that mean success
+   * @param {string} name - How to refer to the command in errors (defaults to its verb; passwords stay out of them)
+   * @returns {Promise<Object>} Reply ({ code, lines })
+   * @throws {SmtpError} If the server answers with another code
+   */
+  async command(command, expected, name = command && command.split(' ')[0]) {
+    if (command !== null) this.socket.write(`${command}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${name || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+class SmtpClient {
+  /**
+   * @param {string} url - smtp://[user:pass@]host[:port] (default port 25) or smtps://... (default port 465)
+   * @param {Object} options - { timeoutMs, hostname: name announced in EHLO, tls: extra tls.connect options }
+   * @throws {Error} If the URL isn't an SMTP URL
+   */
+  constructor(url, options = {}) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'smtp:' && parsed.protocol !== 'smtps:') {
+      throw new Error(`SMTP URL must start with smtp:// or smtps:// (got ${parsed.protocol})`);
+    }
+
+    this.secure = parsed.protocol === 'smtps:';
+    this.host = parsed.hostname.replace(/^\[|\]$/g, '');
+    this.port = Number(parsed.port) || (this.secure ? 465 : 25);
+    this.user = decodeURIComponent(parsed.username);
+    this.password = decodeURIComponent(parsed.password);
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.hostname = options.hostname || os.hostname();
+    this.tlsOptions = { servername: net.isIP(this.host) ? undefined : this.host, ...options.tls };
+  }
+
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const onTimeout = () => {
+        socket.destroy(new SmtpError(`Could not connect to ${this.host}:${this.port} within ${this.timeoutMs}ms`));
+      };
+      const onConnect = () => {
+        socket.removeListener('error', reject);
+        socket.removeListener('timeout', onTimeout);
+        resolve(socket);
+      };
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, ...this.tlsOptions }, onConnect)
+        : net.connect({ host: this.host, port: this.port }, onConnect);
+      socket.once('error', reject);
+      socket.setTimeout(this.timeoutMs, onTimeout);
+    });
+  }
+
+  /**
+   * Send a plain text email
+   * @param {Object} message - { from, to, subject, text } (from and to may be "Name <address>")
+   * @returns {Promise<Object>} { accepted: recipient address, response: the server's last reply }
+   * @throws {SmtpError} If the server refuses the message or can't be reached
+   */
+  async send(message) {
+    const from = addressOf(message.from);
+    const to = addressOf(message.to);
+    if (/[\s<>]/.test(from + to) || !from || !to) {
+      throw new SmtpError('SMTP sender and recipient must be email addresses');
+    }
+
+    const session = new SmtpSession(await this._connect(), this.timeoutMs);
+    try {
+      await session.command(null, [220]);
+      let extensions = (await session.command(`EHLO ${this.hostname}`, [250])).lines.map(line => line.toUpperCase());
+
+      let encrypted = this.secure;
+      if (!encrypted && extensions.includes('STARTTLS')) {
+        await session.command('STARTTLS', [220]);
+        await session.upgrade(this.tlsOptions);
+        encrypted = true;
+        extensions = (await session.command(`EHLO ${this.hostname}`, [250])).lines.map(line => line.toUpperCase());
+      }
+
+      if (this.user) {
+        if (!encrypted) {
+          throw new SmtpError(`${this.host} doesn't offer STARTTLS; not sending the SMTP password unencrypted`);
+        }
+        if (!extensions.some(line => /^AUTH\b.*\bPLAIN\b/.test(line))) {
+          throw new SmtpError(`${this.host} doesn't accept AUTH PLAIN`);
+        }
+        const credentials = Buffer.from(`\u0000${this.user}\u0000${this.password}`).toString('base64');
+        await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await session.command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+      await session.command(`RCPT TO:<${to}>`, [250, 251], 'RCPT TO');
+      await session.command('DATA', [354]);
+      const reply = await session.command(`${buildMessage(message, this.hostname)}\r\n.`, [250], 'message');
+      await session.command('QUIT', [221]).catch(() => {});
+      return { accepted: to, response: `${reply.code} ${reply.lines.join(' ')}` };
+    } finally {
+      session.close();
+    }
+  }
+}
+
+module.exports = {
+  SmtpError,
+  SmtpClient,
+  buildMessage
+};
@@ -3,12 +3,67 @@
  * Abstract class defining the interface for all storage backends
  */
 
+const crypto = require('crypto');
+const { ValidationError } = require('../validation');
+const { getSortValue } = require('./list-options');
+const { TransitionError, VersionConflictError } = require('./errors');
+const { getWorkflow } = require('../workflow');
+const { fingerprintErrors } = require('../fingerprint');
+const { AttachmentStore } = require('../attachments');
+const { getScrubber, describeRedactions } = require('../scrubbing');
+
+const TICKET_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+// How a swarm action turned out
+const SWARM_ACTION_OUTCOMES = ['success', 'failed', 'partial'];
+
+// Kinds of entries in the agent registry: people using the tracker or API, and swarm agents
+const AGENT_TYPES = ['human', 'agent'];
+
+// Bulk operation type -> the operation field it needs (null: none)
+const BULK_OPERATIONS = {
+  'set-status': 'status',
+  'set-priority': 'priority',
+  'set-namespace': 'namespace',
+  'set-assignee': 'assignee',
+  'add-swarm-action': 'swarmAction',
+  'add-comment': 'comment',
+  'close': null,
+  'delete': null
+};
+
+// Ticket fields whose changes are recorded in the ticket history. Lease expiry times are left out:
+// they change on every renewal and the claim itself is already recorded through claimedBy
+const HISTORY_FIELDS = [
+  'route', 'f12Errors', 'serverErrors', 'description', 'status', 'priority',
+  'relatedTickets', 'namespace', 'labels', 'claimedBy', 'assignee', 'reporter'
+];
+
+// Failed and slow requests kept per ticket (the widget sends the page's most recent ones), and how much
+// of each response body
+const MAX_NETWORK_ERRORS = 50;
+const MAX_RESPONSE_BODY = 2000;
+
+// Interactions the bug report widget records before a report, and how many (the latest) a ticket keeps
+const BREADCRUMB_TYPES = ['click', 'navigation', 'submit', 'visibility'];
+const MAX_BREADCRUMBS = 100;
+const MAX_BREADCRUMB_TEXT = 200;
+
+// How long the receipt of a bug report sent with an idempotency key is kept for retries of the same report
+const BUG_REPORT_KEY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
 class BaseAdapter {
   constructor(config) {
     this.config = config;
     if (new.target === BaseAdapter) {
       throw new Error('BaseAdapter is abstract and cannot be instantiated directly');
     }
+    // Statuses and allowed transitions (config.workflow overrides the one configured for the process)
+    this.workflow = (config && config.workflow) || getWorkflow();
+    // Redaction of secrets and personal data from incoming tickets and comments (config.scrubber overrides too)
+    this.scrubber = (config && config.scrubber) || getScrubber();
+    // Webhook delivery attempts kept before the oldest are pruned
+    this.maxWebhookDeliveries = 1000;
   }
 
   /**
@@ -35,7 +90,21 @@ class BaseAdapter {
    * @returns {Promise<Array>} Array of tickets
    */
   async getAllTickets(filters = {}) {
-    throw new Error('getAllTickets() must be implemented');
+    const { tickets } = await this.listTickets(filters);
+    return tickets;
+  }
+
+  /**
+   * Get a page of tickets
+   * @param {Object} filters - Optional filters (status, excludeStatus, priority, route, namespace, assignee, label, fingerprint,
+   *   untriaged - only tickets without a priority,
+   *   claimExpiredBefore - ISO time; only tickets whose lease expired by then,
+   *   unclaimedAt - ISO time; only tickets without a lease active at that time)
+   * @param {Object} options - Optional list options from parseListOptions() (limit, cursor, sort, fields)
+   * @returns {Promise<Object>} { tickets, nextCursor } - nextCursor is null on the last page
+   */
+  async listTickets(filters = {}, options = {}) {
+    throw new Error('listTickets() must be implemented');
   }
 
   /**
@@ -50,19 +119,24 @@ class BaseAdapter {
   /**
    * Create a new ticket
    * @param {Object} ticketData - Ticket data
+   * @param {Object} options - { imported: keep a status the workflow doesn't have (migrations and imports) }
    * @returns {Promise<Object>} Created ticket with ID
    */
-  async createTicket(ticketData) {
+  async createTicket(ticketData, options = {}) {
     throw new Error('createTicket() must be implemented');
   }
 
   /**
-   * Update a ticket
+   * Update a ticket, recording the changed fields in its history
+   * Every write to a ticket (including swarm actions and comments) increments its version
    * @param {string} id - Ticket ID
    * @param {Object} updates - Fields to update
+   * @param {Object} context - { actor, expectedVersion } - actor: who made the change (agent or token
+   *   name), for the history; expectedVersion: only update if the ticket is still at this version
    * @returns {Promise<Object|null>} Updated ticket or null if not found
+   * @throws {VersionConflictError} If expectedVersion is set and the ticket has moved on
    */
-  async updateTicket(id, updates) {
+  async updateTicket(id, updates, context = {}) {
     throw new Error('updateTicket() must be implemented');
   }
 
@@ -75,12 +149,600 @@ class BaseAdapter {
     throw new Error('deleteTicket() must be implemented');
   }
 
+  /**
+   * Set a ticket's related tickets without a history entry, new version or updatedAt - for migrations,
+   * which link tickets once all of them exist
+   * @param {string} id - Ticket ID
+   * @param {Array<string>} relatedIds - IDs of existing tickets
+   * @returns {Promise<boolean>} True if the ticket exists
+   */
+  async linkRelatedTickets(id, relatedIds) {
+    throw new Error('linkRelatedTickets() must be implemented');
+  }
+
+  // ==================== BULK OPERATIONS ====================
+
+  /**
+   * Apply one operation to many tickets
+   * The default runs the single-ticket methods in turn; adapters override it to batch writes
+   * @param {Array<string>} ids - Ticket IDs
+   * @param {Object} operation - { type, status, priority, namespace, assignee, swarmAction, comment, reason, agent, actor }
+   *   (agent: caller's identity, so tickets it holds a lease on aren't skipped; actor: recorded in the history)
+   * @returns {Promise<Array>} Per-ticket results in ID order:
+   *   { id, ok: true, previousStatus, ticket, comment } or { id, ok: false, error }
+   * @throws {ValidationError} If the operation type is unknown or its field is missing
+   */
+  async bulkUpdateTickets(ids, operation) {
+    this.assertValidBulkOperation(operation);
+
+    const results = [];
+    for (const id of ids) {
+      results.push(await this._applyBulkOperation(id, operation));
+    }
+    return results;
+  }
+
+  async _applyBulkOperation(id, operation) {
+    const ticket = await this.getTicket(id);
+    const status = this.getBulkOperationStatus(operation);
+    const history = ticket && status !== undefined ? await this.getTicketHistory(id) : [];
+    const error = this.getBulkOperationError(ticket, operation, history);
+    if (error) {
+      return { id, ok: false, error };
+    }
+    // Captured before any change - the JSON adapter hands out live ticket objects
+    const previousStatus = ticket.status;
+
+    switch (operation.type) {
+      case 'set-status':
+      case 'set-priority':
+      case 'set-namespace':
+      case 'set-assignee': {
+        const field = BULK_OPERATIONS[operation.type];
+        const updated = await this.updateTicket(id, { [field]: operation[field] }, { actor: operation.actor });
+        return { id, ok: true, previousStatus, ticket: updated };
+      }
+      case 'add-swarm-action': {
+        const updated = await this.addSwarmAction(id, { agent: operation.actor, ...operation.swarmAction });
+        return { id, ok: true, previousStatus, ticket: updated };
+      }
+      case 'add-comment': {
+        const comment = await this.addComment(id, operation.comment);
+        return { id, ok: true, previousStatus, ticket: await this.getTicket(id), comment };
+      }
+      case 'close': {
+        // Status first, then the swarm action documenting it - as POST /api/tickets/:id/close does
+        await this.updateTicket(id, { status: this.workflow.closed }, { actor: operation.actor });
+        const updated = await this.addSwarmAction(id, this.buildCloseAction(previousStatus, operation));
+        return { id, ok: true, previousStatus, ticket: updated };
+      }
+      case 'delete':
+        await this.deleteTicket(id);
+        return { id, ok: true, previousStatus };
+    }
+  }
+
+  /**
+   * The status a bulk operation moves tickets to
+   * @param {Object} operation - Bulk operation
+   * @returns {string|undefined} Status, or undefined for operations that don't change it
+   */
+  getBulkOperationStatus(operation) {
+    if (operation.type === 'close') return this.workflow.closed;
+    if (operation.type === 'set-status') return operation.status;
+    return undefined;
+  }
+
+  /**
+   * Why a bulk operation can't be applied to a ticket
+   * @param {Object|null} ticket - Ticket
+   * @param {Object} operation - Bulk operation
+   * @param {Array} history - The ticket's history, for operations that change its status (see assertTransitionFrom)
+   * @returns {string|null} Error for the ticket's result, or null if the operation can be applied
+   */
+  getBulkOperationError(ticket, operation, history) {
+    if (!ticket) return 'Ticket not found';
+
+    // Comments are always allowed; every other change respects another agent's lease
+    const lease = this.getActiveLease(ticket);
+    if (lease && lease.agent !== operation.agent && operation.type !== 'add-comment') {
+      return `Claimed by "${lease.agent}" until ${lease.expiresAt}`;
+    }
+
+    // Bulk changes carry no comment, so transitions guarded by one are reported as failures
+    try {
+      this.assertTransitionFrom(ticket, this.getBulkOperationStatus(operation), history);
+    } catch (error) {
+      if (!(error instanceof TransitionError)) throw error;
+      return error.message;
+    }
+    return null;
+  }
+
+  /**
+   * Swarm action recording a bulk close
+   * @param {string} previousStatus - Status before the close
+   * @param {Object} operation - The close operation ({ reason, actor })
+   * @returns {Object} Swarm action
+   */
+  buildCloseAction(previousStatus, operation) {
+    return {
+      action: 'status-change',
+      result: `Status changed from "${previousStatus}" to "${this.workflow.closed}"${operation.reason ? `. Reason: ${operation.reason}` : ''}`,
+      agent: operation.actor
+    };
+  }
+
+  // ==================== LEASE OPERATIONS ====================
+  // A lease (claimedBy + claimExpiresAt) marks a ticket as being worked on by one agent.
+  // The single-ticket methods below set or clear it before anything that waits on I/O, so a
+  // concurrent claim on the same server always sees it
+
+  /**
+   * Claim a ticket for an agent, or renew the lease the agent already holds
+   * @param {string} id - Ticket ID
+   * @param {string} agent - Agent identity
+   * @param {number} ttlSeconds - Lease length
+   * @returns {Promise<Object|null>} { claimed, renewed, ticket } - claimed is false while another agent
+   *   holds an active lease; null if the ticket doesn't exist
+   */
+  async claimTicket(id, agent, ttlSeconds) {
+    const ticket = await this.getTicket(id);
+    if (!ticket) return null;
+
+    const lease = this.getActiveLease(ticket);
+    if (lease && lease.agent !== agent) {
+      return { claimed: false, renewed: false, ticket };
+    }
+
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+    const updated = await this.updateTicket(id, { claimedBy: agent, claimExpiresAt: expiresAt }, { actor: agent });
+    if (lease) {
+      // Renewals (agent heartbeats) aren't logged
+      return { claimed: true, renewed: true, ticket: updated };
+    }
+
+    const withAction = await this.addSwarmAction(id, this.buildClaimAction(agent, expiresAt));
+    return { claimed: true, renewed: false, ticket: withAction };
+  }
+
+  /**
+   * Swarm action recording a new lease
+   * @param {string} agent - Agent identity
+   * @param {string} expiresAt - When the lease expires
+   * @returns {Object} Swarm action
+   */
+  buildClaimAction(agent, expiresAt) {
+    return { action: 'claimed', result: `Claimed by "${agent}" until ${expiresAt}`, agent };
+  }
+
+  /**
+   * Release a ticket's lease
+   * @param {string} id - Ticket ID
+   * @param {string} agent - Agent identity
+   * @param {Object} options - { force } - release another agent's active lease
+   * @returns {Promise<Object|null>} { released, ticket } - released is false while another agent holds
+   *   an active lease (and force isn't set); null if the ticket doesn't exist
+   */
+  async releaseTicket(id, agent, options = {}) {
+    const ticket = await this.getTicket(id);
+    if (!ticket) return null;
+
+    const lease = this.getActiveLease(ticket);
+    if (lease && lease.agent !== agent && !options.force) {
+      return { released: false, ticket };
+    }
+    if (!ticket.claimedBy) {
+      return { released: true, ticket };
+    }
+
+    const holder = ticket.claimedBy;
+    await this.updateTicket(id, { claimedBy: null, claimExpiresAt: null }, { actor: agent });
+    const withAction = await this.addSwarmAction(id, {
+      action: 'released',
+      result: holder === agent ? `Released by "${agent}"` : `Lease held by "${holder}" released by "${agent}"`,
+      agent
+    });
+    return { released: true, ticket: withAction };
+  }
+
+  /**
+   * Release every lease whose TTL has passed, logging each as a "lease-expired" swarm action
+   * @returns {Promise<Array>} Released tickets
+   */
+  async releaseExpiredLeases() {
+    const now = new Date().toISOString();
+    const expired = await this.getAllTickets({ claimExpiredBefore: now });
+
+    const released = [];
+    for (const { id } of expired) {
+      // Re-read: a claim or another sweep may have got to it since the list was loaded
+      const ticket = await this.getTicket(id);
+      if (!ticket || !ticket.claimedBy || this.getActiveLease(ticket)) continue;
+
+      const { claimedBy, claimExpiresAt } = ticket;
+      await this.updateTicket(id, { claimedBy: null, claimExpiresAt: null }, { actor: 'lease-expiry' });
+      released.push(await this.addSwarmAction(id, {
+        action: 'lease-expired',
+        result: `Lease held by "${claimedBy}" expired at ${claimExpiresAt}`
+      }));
+    }
+    return released;
+  }
+
+  /**
+   * Get a ticket's lease if it's still active
+   * @param {Object} ticket - Ticket
+   * @returns {Object|null} { agent, expiresAt } or null if unclaimed or expired
+   */
+  getActiveLease(ticket) {
+    if (!ticket.claimedBy || !ticket.claimExpiresAt) return null;
+    if (Date.parse(ticket.claimExpiresAt) <= Date.now()) return null;
+    return { agent: ticket.claimedBy, expiresAt: ticket.claimExpiresAt };
+  }
+
+  // ==================== QUEUE OPERATIONS ====================
+
+  /**
+   * IDs of unclaimed tickets in the workflow's initial status (open), in queue order: most urgent first, then oldest
+   * @param {Object} filters - Optional filters (namespace, route)
+   * @returns {Promise<Array<string>>} Ticket IDs
+   */
+  async getQueue(filters = {}) {
+    const { tickets } = await this.listTickets({
+      status: this.workflow.initial,
+      namespace: filters.namespace,
+      route: filters.route,
+      unclaimedAt: new Date().toISOString()
+    }, { fields: ['id', 'priority', 'createdAt'] });
+
+    const byAge = (a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0);
+    return tickets
+      .sort((a, b) => getSortValue(a, 'priority') - getSortValue(b, 'priority') || byAge(a, b) || (a.id < b.id ? -1 : 1))
+      .map(t => t.id);
+  }
+
+  /**
+   * Get the ticket at the front of the queue without taking it
+   * @param {Object} filters - Optional filters (namespace, route)
+   * @returns {Promise<Object|null>} Ticket or null if the queue is empty
+   */
+  async peekQueue(filters = {}) {
+    const [id] = await this.getQueue(filters);
+    return id ? this.getTicket(id) : null;
+  }
+
+  /**
+   * Take the ticket at the front of the queue: claim it for the agent and move it to the workflow's
+   * in-progress status. Tickets whose move there is blocked by a guard are left in the queue
+   * @param {string} agent - Agent identity
+   * @param {number} ttlSeconds - Lease length
+   * @param {Object} filters - Optional filters (namespace, route)
+   * @returns {Promise<Object|null>} Ticket or null if the queue is empty
+   */
+  async dequeueTicket(agent, ttlSeconds, filters = {}) {
+    for (const id of await this.getQueue(filters)) {
+      // Another agent may have taken or changed it since the queue was read - move on to the next
+      const { initial, inProgress } = this.workflow;
+      const ticket = await this.getTicket(id);
+      if (!ticket || ticket.status !== initial) continue;
+
+      try {
+        await this.assertTransition(ticket, inProgress);
+      } catch (error) {
+        if (error instanceof TransitionError) continue;
+        throw error;
+      }
+
+      const claim = await this.claimTicket(id, agent, ttlSeconds);
+      if (!claim || !claim.claimed) continue;
+
+      await this.updateTicket(id, { status: inProgress }, { actor: agent });
+      return this.addSwarmAction(id, this.buildDequeueAction(agent));
+    }
+    return null;
+  }
+
+  /**
+   * Swarm action recording a ticket taken from the queue
+   * @param {string} agent - Agent that took it
+   * @returns {Object} Swarm action
+   */
+  buildDequeueAction(agent) {
+    const { initial, inProgress } = this.workflow;
+    return {
+      action: 'status-change',
+      result: `Status changed from "${initial}" to "${inProgress}" - taken from the queue by "${agent}"`,
+      agent
+    };
+  }
+
+  // ==================== WORKFLOW OPERATIONS ====================
+
+  /**
+   * Check a status change against the workflow's transitions and guards
+   * Callers check before updating; the storage methods themselves accept any workflow status
+   * (migrations and imports have to)
+   * @param {Object} ticket - Ticket as it is now
+   * @param {string} status - Requested status (undefined or unchanged: nothing to check)
+   * @param {Object} context - { comment } - comment sent with the change, for "comment" guards
+   * @throws {TransitionError} If the workflow doesn't allow the change or a guard isn't met
+   */
+  async assertTransition(ticket, status, context = {}) {
+    if (status === undefined || status === ticket.status) return;
+
+    const history = this.workflow.needsEnteredAt(ticket.status, status)
+      ? (await this.getTicketHistory(ticket.id)) || []
+      : [];
+    this.assertTransitionFrom(ticket, status, history, context);
+  }
+
+  /**
+   * assertTransition() with the ticket's history already loaded - synchronous, so adapters can check
+   * inside a database transaction
+   * @param {Object} ticket - Ticket as it is now
+   * @param {string} status - Requested status (undefined or unchanged: nothing to check)
+   * @param {Array} history - The ticket's history (see getTicketHistory)
+   * @param {Object} context - { comment } as for assertTransition()
+   * @throws {TransitionError} If the workflow doesn't allow the change or a guard isn't met
+   */
+  assertTransitionFrom(ticket, status, history, context = {}) {
+    if (status === undefined || status === ticket.status) return;
+
+    // "swarm-action" guards only count actions since the ticket entered its current status
+    const entered = history.filter(entry => entry.changes.some(change => change.field === 'status')).pop();
+    const enteredAt = entered ? entered.timestamp : null;
+
+    const reasons = this.workflow.checkTransition(ticket, status, { comment: context.comment, enteredAt });
+    if (reasons.length > 0) {
+      throw new TransitionError(ticket, status, reasons);
+    }
+  }
+
+  // ==================== HISTORY OPERATIONS ====================
+
+  /**
+   * Get a ticket's field-level change history, oldest first
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Array|null>} [{ timestamp, actor, changes: [{ field, from, to }] }], or null if
+   *   the ticket doesn't exist
+   */
+  async getTicketHistory(ticketId) {
+    throw new Error('getTicketHistory() must be implemented');
+  }
+
+  /**
+   * Compare an update with the current ticket
+   * @param {Object} ticket - Ticket before the update
+   * @param {Object} updates - Fields to update
+   * @returns {Array<Object>} [{ field, from, to }] for each history field whose value changes
+   */
+  diffTicketFields(ticket, updates) {
+    return HISTORY_FIELDS
+      .filter(field => updates[field] !== undefined)
+      .map(field => ({ field, from: ticket[field] === undefined ? null : ticket[field], to: updates[field] }))
+      .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+  }
+
+  // ==================== LABEL OPERATIONS ====================
+  // Labels are cross-cutting categories ("csp", "regression", ...) - a ticket can have any number.
+  // They're stored lowercased, without duplicates and in sorted order (see normalizeLabels)
+
+  /**
+   * Add labels to a ticket (labels it already has are ignored)
+   * @param {string} id - Ticket ID
+   * @param {Array<string>} labels - Labels to add
+   * @param {Object} context - { actor, expectedVersion } as for updateTicket()
+   * @returns {Promise<Object|null>} Updated ticket or null if not found
+   * @throws {VersionConflictError} If expectedVersion is given and the ticket is at another version
+   */
+  async addLabels(id, labels, context = {}) {
+    const ticket = await this.getTicket(id);
+    if (!ticket) return null;
+    return this._setLabels(ticket, [...(ticket.labels || []), ...labels], context);
+  }
+
+  /**
+   * Remove labels from a ticket (labels it doesn't have are ignored)
+   * @param {string} id - Ticket ID
+   * @param {Array<string>} labels - Labels to remove
+   * @param {Object} context - { actor, expectedVersion } as for updateTicket()
+   * @returns {Promise<Object|null>} Updated ticket or null if not found
+   * @throws {VersionConflictError} If expectedVersion is given and the ticket is at another version
+   */
+  async removeLabels(id, labels, context = {}) {
+    const ticket = await this.getTicket(id);
+    if (!ticket) return null;
+    const removed = this.normalizeLabels(labels);
+    return this._setLabels(ticket, (ticket.labels || []).filter(l => !removed.includes(l)), context);
+  }
+
+  // Replace a ticket's labels, leaving it (and its version) alone when nothing changes
+  async _setLabels(ticket, labels, context) {
+    const normalized = this.normalizeLabels(labels);
+    if (JSON.stringify(normalized) === JSON.stringify(ticket.labels || [])) return ticket;
+    return this.updateTicket(ticket.id, { labels: normalized }, context);
+  }
+
+  /**
+   * Get every label in use with the number of tickets that have it
+   * @returns {Promise<Array>} [{ label, count }], most used first
+   */
+  async listLabels() {
+    throw new Error('listLabels() must be implemented');
+  }
+
+  // ==================== OCCURRENCE OPERATIONS ====================
+  // Tickets carry a fingerprint of their errors (see lib/fingerprint.js). A new ticket whose errors match
+  // a ticket that isn't closed is counted as another occurrence of that ticket instead of being created
+
+  /**
+   * Find the ticket that isn't closed with an error fingerprint (the oldest one, if there are several)
+   * @param {string} fingerprint - Error fingerprint
+   * @returns {Promise<Object|null>} Ticket ({ id } only) or null
+   */
+  async findTicketByFingerprint(fingerprint) {
+    const { tickets } = await this.listTickets(
+      { fingerprint, excludeStatus: this.workflow.closed },
+      { limit: 1, sort: { field: 'createdAt', descending: false }, fields: ['id'] }
+    );
+    return tickets[0] || null;
+  }
+
+  /**
+   * Create a ticket, or record an occurrence on the open ticket that already has the same errors
+   * @param {Object} ticketData - Ticket data, as for createTicket()
+   * @returns {Promise<Object>} { ticket, created } - created is false when an occurrence was recorded
+   */
+  async createOrRecordTicket(ticketData) {
+    // Scrubbed before fingerprinting, so the fingerprint matches the text that's stored
+    ticketData = this.scrubTicketData(ticketData);
+    const fingerprint = fingerprintErrors(ticketData.f12Errors, ticketData.serverErrors);
+    const existing = fingerprint ? await this.findTicketByFingerprint(fingerprint) : null;
+    if (existing) {
+      const ticket = await this.recordOccurrence(existing.id);
+      // Deleted in the meantime - create it after all
+      if (ticket) return { ticket, created: false };
+    }
+    return { ticket: await this.createTicket(ticketData), created: true };
+  }
+
+  /**
+   * Count another occurrence of a ticket's error: bumps occurrenceCount and lastSeenAt
+   * @param {string} id - Ticket ID
+   * @returns {Promise<Object|null>} Updated ticket or null if not found
+   */
+  async recordOccurrence(id) {
+    for (let attempt = 1; ; attempt++) {
+      const ticket = await this.getTicket(id);
+      if (!ticket) return null;
+      try {
+        return await this.updateTicket(id, {
+          occurrenceCount: (ticket.occurrenceCount || 1) + 1,
+          lastSeenAt: new Date().toISOString()
+        }, { expectedVersion: ticket.version });
+      } catch (error) {
+        // Someone else wrote to the ticket in between (another report of the same error, most likely)
+        if (!(error instanceof VersionConflictError) || attempt >= 5) throw error;
+      }
+    }
+  }
+
+  // ==================== TRIAGE OPERATIONS ====================
+
+  /**
+   * Run triage rules on a ticket: set what the rules that fire say, link related tickets and record
+   * the outcome as an auto-analysis swarm action
+   * @param {string} id - Ticket ID
+   * @param {TriageRules} rules - Triage rules (see lib/triage.js)
+   * @param {Object} context - { actor, dryRun } - dryRun: work out the changes without making them
+   * @returns {Promise<Object|null>} { ticket, previousStatus, rules, changes } or null if not found -
+   *   rules: [{ name, then }] that fired; changes: the fields set (labels and relatedTickets as they end up)
+   */
+  async triageTicket(id, rules, context = {}) {
+    const ticket = await this.getTicket(id);
+    if (!ticket) return null;
+    // Captured before any change - the JSON adapter hands out live ticket objects
+    const previousStatus = ticket.status;
+
+    const evaluation = rules.evaluate(ticket);
+    const changes = { ...evaluation.changes };
+    if (changes.labels) {
+      changes.labels = this.normalizeLabels([...(ticket.labels || []), ...changes.labels]);
+    }
+    const related = await this.findRelatedTickets(ticket, rules.related);
+    changes.relatedTickets = [...new Set([...(ticket.relatedTickets || []), ...related])];
+
+    if (context.dryRun) {
+      return { ticket, previousStatus, rules: evaluation.rules, changes };
+    }
+
+    // Changes first, so a refused update (workflow, version) leaves no auto-analysis action behind
+    const updated = await this.updateTicket(id, changes, { actor: context.actor });
+    if (!updated) return null;
+    const withAction = await this.addSwarmAction(id, {
+      action: 'auto-analysis',
+      result: this._describeTriage(evaluation.rules, changes, related),
+      agent: context.actor
+    });
+    return { ticket: withAction, previousStatus, rules: evaluation.rules, changes };
+  }
+
+  /**
+   * Run triage rules on every untriaged ticket (no priority yet, not closed), oldest first
+   * @param {TriageRules} rules - Triage rules (see lib/triage.js)
+   * @param {Object} context - { agent, actor, dryRun } - agent: caller's identity, so tickets it holds a
+   *   lease on aren't skipped
+   * @returns {Promise<Array>} Per-ticket results: { id, ok: true, ...triageTicket() result } or { id, ok: false, error }
+   */
+  async triageTickets(rules, context = {}) {
+    const { tickets } = await this.listTickets(
+      { untriaged: true, excludeStatus: this.workflow.closed },
+      { sort: { field: 'createdAt', descending: false }, fields: ['id', 'claimedBy', 'claimExpiresAt'] }
+    );
+
+    const results = [];
+    for (const ticket of tickets) {
+      const lease = this.getActiveLease(ticket);
+      if (lease && lease.agent !== context.agent) {
+        results.push({ id: ticket.id, ok: false, error: `Claimed by "${lease.agent}" until ${lease.expiresAt}` });
+        continue;
+      }
+      const result = await this.triageTicket(ticket.id, rules, context);
+      results.push(result ? { id: ticket.id, ok: true, ...result } : { id: ticket.id, ok: false, error: 'Ticket not found' });
+    }
+    return results;
+  }
+
+  /**
+   * Find tickets related to a ticket: same route, error fingerprint or namespace (closed ones included)
+   * @param {Object} ticket - Ticket
+   * @param {Object} related - { by, limit } from the triage rules
+   * @returns {Promise<Array<string>>} Ticket IDs, most recent first within each criterion
+   */
+  async findRelatedTickets(ticket, related) {
+    const found = [];
+    for (const field of related.by) {
+      if (found.length >= related.limit) break;
+      if (!ticket[field]) continue;
+
+      // The route filter matches substrings, so keep exact matches only
+      const { tickets } = await this.listTickets({ [field]: ticket[field] }, { fields: ['id', field] });
+      tickets
+        .filter(t => t.id !== ticket.id && t[field] === ticket[field] && !found.includes(t.id))
+        .forEach(t => found.push(t.id));
+    }
+    return found.slice(0, related.limit);
+  }
+
+  _describeTriage(rules, changes, related) {
+    const parts = [rules.length > 0 ? `Rules fired: ${rules.map(rule => rule.name).join(', ')}` : 'No rules fired'];
+    if (changes.priority) parts.push(`priority set to ${changes.priority}`);
+    if (changes.labels) parts.push(`labels: ${changes.labels.join(', ')}`);
+    if (changes.namespace) parts.push(`namespace set to ${changes.namespace}`);
+    if (changes.assignee) parts.push(`assigned to ${changes.assignee}`);
+    parts.push(`found ${related.length} related tickets`);
+    return parts.join('; ');
+  }
+
+  // ==================== SEARCH OPERATIONS ====================
+
+  /**
+   * Full-text search across description, errors, route, swarm action results and comments
+   * @param {string} query - Free-text query
+   * @param {Object} options - Optional (limit, status)
+   * @returns {Promise<Array>} Ranked results: [{ ticket, score, matchedFields }]
+   */
+  async searchTickets(query, options = {}) {
+    throw new Error('searchTickets() must be implemented');
+  }
+
   // ==================== SWARM ACTION OPERATIONS ====================
 
   /**
    * Add a swarm action to a ticket
    * @param {string} ticketId - Ticket ID
-   * @param {Object} action - Action data (action, result)
+   * @param {Object} action - Action data (action, result, agent, files, commit, durationMs, outcome, metadata)
    * @returns {Promise<Object>} Updated ticket
    */
   async addSwarmAction(ticketId, action) {
@@ -113,9 +775,11 @@ class BaseAdapter {
    * @param {string} ticketId - Ticket ID
    * @param {string} commentId - Comment ID
    * @param {Object} updates - Fields to update
+   * @param {Object} context - { expectedVersion } - only update if the ticket is still at this version
    * @returns {Promise<Object|null>} Updated comment or null
+   * @throws {VersionConflictError} If expectedVersion is set and the ticket has moved on
    */
-  async updateComment(ticketId, commentId, updates) {
+  async updateComment(ticketId, commentId, updates, context = {}) {
     throw new Error('updateComment() must be implemented');
   }
 
@@ -142,17 +806,314 @@ class BaseAdapter {
   // ==================== BUG REPORT OPERATIONS ====================
 
   /**
-   * Create a bug report (limited access endpoint)
+   * Check a bug report may be filed and count it against the hourly rate limit - before anything else is
+   * done with it, including answering a retry from its idempotency key
+   * @param {string|null} apiKey - API key the report was sent with
+   * @param {string|null} ip - Reporter's IP (the rate limit without an API key)
+   * @throws {Error} "Invalid API key" or "Rate limit exceeded"
+   */
+  async admitBugReport(apiKey, ip) {
+    throw new Error('admitBugReport() must be implemented');
+  }
+
+  /**
+   * Create a bug report (limited access endpoint) - after admitBugReport()
    * @param {Object} reportData - Bug report data
-   * @param {string} apiKey - Optional API key for validation
    * @returns {Promise<Object>} Created ticket (limited info)
    */
-  async createBugReport(reportData, apiKey = null) {
+  async createBugReport(reportData) {
     throw new Error('createBugReport() must be implemented');
   }
 
+  /**
+   * Who a bug report counts against for rate limiting: its API key, otherwise its IP - hashed, since the
+   * rate limit records are stored and the IP itself isn't needed to count requests
+   * @param {string|null} apiKey - API key the report was sent with
+   * @param {string|null} ip - Reporter's IP
+   * @returns {string} Identifier
+   */
+  rateLimitIdentifier(apiKey, ip) {
+    if (apiKey) return apiKey;
+    if (!ip) return 'anonymous';
+    return 'ip:' + crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Get the receipt of a bug report sent with an idempotency key, so a retry of it gets the same answer
+   * instead of filing it again
+   * @param {string} key - Idempotency key chosen by the client
+   * @returns {Promise<Object|null>} Receipt, or null if no report used the key in the last BUG_REPORT_KEY_TTL_MS
+   */
+  async getBugReportReceipt(key) {
+    throw new Error('getBugReportReceipt() must be implemented');
+  }
+
+  /**
+   * Remember a bug report's receipt under its idempotency key (receipts past BUG_REPORT_KEY_TTL_MS are pruned)
+   * @param {string} key - Idempotency key chosen by the client
+   * @param {Object} receipt - What createBugReport returned
+   */
+  async saveBugReportReceipt(key, receipt) {
+    throw new Error('saveBugReportReceipt() must be implemented');
+  }
+
+  // ==================== REPORTER RECEIPT OPERATIONS ====================
+
+  /**
+   * Store the receipt token handed to a bug reporter (only its hash is kept), with the email to notify
+   * when the reporter consented to being contacted
+   * @param {Object} receiptData - Receipt data (ticketId, tokenHash, email)
+   * @returns {Promise<Object>} Created receipt ({ id, ticketId, email, createdAt } - without hash)
+   */
+  async createReporterReceipt(receiptData) {
+    throw new Error('createReporterReceipt() must be implemented');
+  }
+
+  /**
+   * Find a reporter receipt by token hash
+   * @param {string} tokenHash - SHA-256 hash of the receipt token
+   * @returns {Promise<Object|null>} Receipt or null
+   */
+  async findReporterReceipt(tokenHash) {
+    throw new Error('findReporterReceipt() must be implemented');
+  }
+
+  /**
+   * Get the reporter receipts of a ticket (one per report counted on it), oldest first
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Array>} Receipts (without hashes)
+   */
+  async listReporterReceipts(ticketId) {
+    throw new Error('listReporterReceipts() must be implemented');
+  }
+
+  // ==================== WEBHOOK OPERATIONS ====================
+
+  /**
+   * Get all webhook subscriptions (including secrets - don't return these from the API as-is)
+   * @returns {Promise<Array>} Array of webhooks
+   */
+  async listWebhooks() {
+    throw new Error('listWebhooks() must be implemented');
+  }
+
+  /**
+   * Get a single webhook subscription
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object|null>} Webhook or null if not found
+   */
+  async getWebhook(id) {
+    throw new Error('getWebhook() must be implemented');
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {Object} webhookData - Webhook data (url, events, secret, description)
+   * @returns {Promise<Object>} Created webhook
+   */
+  async createWebhook(webhookData) {
+    throw new Error('createWebhook() must be implemented');
+  }
+
+  /**
+   * Update a webhook subscription
+   * @param {string} id - Webhook ID
+   * @param {Object} updates - Fields to update (url, events, secret, description, enabled)
+   * @returns {Promise<Object|null>} Updated webhook or null if not found
+   */
+  async updateWebhook(id, updates) {
+    throw new Error('updateWebhook() must be implemented');
+  }
+
+  /**
+   * Delete a webhook subscription and its delivery log
+   * @param {string} id - Webhook ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteWebhook(id) {
+    throw new Error('deleteWebhook() must be implemented');
+  }
+
+  /**
+   * Record a webhook delivery attempt
+   * @param {Object} delivery - Delivery data (webhookId, deliveryId, event, attempt, status, responseStatus, error, durationMs)
+   * @returns {Promise<Object>} Recorded delivery
+   */
+  async recordWebhookDelivery(delivery) {
+    throw new Error('recordWebhookDelivery() must be implemented');
+  }
+
+  /**
+   * Get recent delivery attempts for a webhook, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {number} limit - Maximum number of attempts to return
+   * @returns {Promise<Array>} Array of deliveries
+   */
+  async listWebhookDeliveries(webhookId, limit = 50) {
+    throw new Error('listWebhookDeliveries() must be implemented');
+  }
+
+  // ==================== AUTH TOKEN OPERATIONS ====================
+
+  /**
+   * Store a new API token (only its hash is kept)
+   * @param {Object} tokenData - Token data (name, role, tokenHash)
+   * @returns {Promise<Object>} Created token record (without hash)
+   */
+  async createAuthToken(tokenData) {
+    throw new Error('createAuthToken() must be implemented');
+  }
+
+  /**
+   * Get all API tokens, including revoked ones (without hashes)
+   * @returns {Promise<Array>} Array of token records
+   */
+  async listAuthTokens() {
+    throw new Error('listAuthTokens() must be implemented');
+  }
+
+  /**
+   * Find an active (not revoked) token by hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findAuthToken(tokenHash) {
+    throw new Error('findAuthToken() must be implemented');
+  }
+
+  /**
+   * Record that a token was just used
+   * @param {string} id - Token ID
+   * @returns {Promise<void>}
+   */
+  async touchAuthToken(id) {
+    throw new Error('touchAuthToken() must be implemented');
+  }
+
+  /**
+   * Revoke a token
+   * @param {string} id - Token ID
+   * @returns {Promise<boolean>} True if an active token was revoked
+   */
+  async revokeAuthToken(id) {
+    throw new Error('revokeAuthToken() must be implemented');
+  }
+
+  // ==================== AGENT OPERATIONS ====================
+  // The agent registry lists the humans and swarm agents known to the tracker, their role in the
+  // swarm (queen-coordinator, analyst, researcher, coder, ...) and when they were last active.
+  // Agents are registered explicitly or on their first change through the API.
+
+  /**
+   * Get all registered agents, most recently active first
+   * @returns {Promise<Array>} Array of agents ({ name, type, role, lastActiveAt, createdAt, updatedAt })
+   */
+  async listAgents() {
+    throw new Error('listAgents() must be implemented');
+  }
+
+  /**
+   * Get a single agent
+   * @param {string} name - Agent name (as used in X-Swarm-Agent, assignee, etc.)
+   * @returns {Promise<Object|null>} Agent or null if not registered
+   */
+  async getAgent(name) {
+    throw new Error('getAgent() must be implemented');
+  }
+
+  /**
+   * Register an agent, or update its type and role
+   * @param {string} name - Agent name
+   * @param {Object} data - { type, role } - fields left out keep their current value
+   *   (a new agent defaults to type "agent" and no role)
+   * @returns {Promise<Object>} The agent
+   */
+  async upsertAgent(name, data) {
+    throw new Error('upsertAgent() must be implemented');
+  }
+
+  /**
+   * Record that an agent just did something, registering it if it's unknown
+   * @param {string} name - Agent name
+   * @param {string} type - Type for a newly registered agent (human or agent)
+   * @returns {Promise<void>}
+   */
+  async touchAgent(name, type) {
+    throw new Error('touchAgent() must be implemented');
+  }
+
+  /**
+   * Remove an agent from the registry (tickets assigned to it keep their assignee)
+   * @param {string} name - Agent name
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteAgent(name) {
+    throw new Error('deleteAgent() must be implemented');
+  }
+
+  // ==================== PROJECT OPERATIONS ====================
+  // The list of projects a server hosts is kept in the default project's storage (see lib/projects.js).
+  // Each project is { id, name, description, directory, schema, settings, createdAt, updatedAt }
+
+  /**
+   * Get all stored projects, by ID
+   * @returns {Promise<Array>} Array of projects
+   */
+  async listProjects() {
+    throw new Error('listProjects() must be implemented');
+  }
+
+  /**
+   * Get a single project
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Project or null if not found
+   */
+  async getProject(id) {
+    throw new Error('getProject() must be implemented');
+  }
+
+  /**
+   * Store a new project
+   * @param {Object} project - { id, name, description, directory, schema, settings }
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(project) {
+    throw new Error('createProject() must be implemented');
+  }
+
+  /**
+   * Update a project's name, description or settings (its storage location can't change)
+   * @param {string} id - Project ID
+   * @param {Object} changes - { name, description, settings }
+   * @returns {Promise<Object|null>} Updated project or null if not found
+   */
+  async updateProject(id, changes) {
+    throw new Error('updateProject() must be implemented');
+  }
+
+  /**
+   * Delete a stored project (its tickets are kept where they are)
+   * @param {string} id - Project ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteProject(id) {
+    throw new Error('deleteProject() must be implemented');
+  }
+
   // ==================== UTILITY METHODS ====================
 
+  /**
+   * Open the store for this storage's attachment files (each adapter sets this.attachments)
+   * @param {string} defaultDir - Directory next to the ticket store, used unless config.attachmentsDir is set
+   * @returns {AttachmentStore} Attachment store
+   */
+  createAttachmentStore(defaultDir) {
+    return new AttachmentStore(this.config.attachmentsDir || defaultDir, {
+      maxBytes: this.config.maxAttachmentBytes,
+      maxTicketBytes: this.config.maxTicketAttachmentBytes
+    });
+  }
+
   /**
    * Generate a unique ticket ID
    * @returns {string} Ticket ID
@@ -170,12 +1131,174 @@ class BaseAdapter {
   }
 
   /**
-   * Validate ticket status
+   * Generate a unique webhook ID
+   * @returns {string} Webhook ID
+   */
+  generateWebhookId() {
+    return 'WHK-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Generate a unique API token ID (short enough to type in the CLI)
+   * @returns {string} Token ID
+   */
+  generateAuthTokenId() {
+    return 'TOK-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4);
+  }
+
+  /**
+   * Generate a unique reporter receipt ID
+   * @returns {string} Receipt ID
+   */
+  generateReporterReceiptId() {
+    return 'RCP-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Fill in a swarm action's optional fields, so every adapter stores and returns the same shape
+   * @param {Object} action - Action data (action, result, agent, files, commit, durationMs, outcome, metadata)
+   * @param {string} timestamp - When it happened, unless the action has its own timestamp
+   * @returns {Object} Swarm action
+   */
+  buildSwarmAction(action, timestamp) {
+    return {
+      timestamp: action.timestamp || timestamp,
+      action: action.action,
+      result: action.result || null,
+      agent: action.agent || null,
+      files: action.files || [],
+      commit: action.commit || null,
+      durationMs: Number.isInteger(action.durationMs) ? action.durationMs : null,
+      outcome: action.outcome || null,
+      metadata: action.metadata || {}
+    };
+  }
+
+  /**
+   * Redact secrets and personal data from a new ticket's fields (see lib/scrubbing.js), noting what was
+   * redacted as a "scrubbed" swarm action. Scrubbed data comes through unchanged, so it's safe to call twice
+   * @param {Object} ticketData - Ticket fields
+   * @returns {Object} Ticket fields to store
+   */
+  scrubTicketData(ticketData) {
+    const { data, redactions } = this.scrubber.scrubTicket(ticketData);
+    if (redactions.length === 0) return ticketData;
+    return {
+      ...data,
+      swarmActions: [...(data.swarmActions || []), this.buildScrubNote(redactions, 'Redacted before storing')]
+    };
+  }
+
+  /**
+   * Redact secrets and personal data from a ticket update, as scrubTicketData() does for new tickets
+   * @param {Object} updates - Fields to update
+   * @returns {Object} { updates: fields to store, note: "scrubbed" swarm action to add once they're stored
+   *   (null when nothing was redacted) }
+   */
+  scrubTicketUpdates(updates) {
+    const { data, redactions } = this.scrubber.scrubTicket(updates);
+    if (redactions.length === 0) return { updates, note: null };
+    return { updates: data, note: this.buildScrubNote(redactions, 'Redacted from an update') };
+  }
+
+  /**
+   * Swarm action noting redactions - the audit trail of what the scrubber took out of a ticket
+   * @param {Array<Object>} redactions - [{ rule, field, count }]
+   * @param {string} prefix - What was redacted from where
+   * @returns {Object} Swarm action
+   */
+  buildScrubNote(redactions, prefix) {
+    return {
+      timestamp: new Date().toISOString(),
+      action: 'scrubbed',
+      result: `${prefix}: ${describeRedactions(redactions)}`,
+      metadata: { redactions }
+    };
+  }
+
+  /**
+   * Bring labels to their stored form: trimmed, lowercased, without duplicates or blanks, sorted
+   * @param {Array<string>} labels - Labels
+   * @returns {Array<string>} Normalized labels
+   */
+  normalizeLabels(labels) {
+    const normalized = (labels || []).map(label => String(label).trim().toLowerCase()).filter(Boolean);
+    return [...new Set(normalized)].sort();
+  }
+
+  /**
+   * Bring captured network requests to their stored form: known fields only, at most MAX_NETWORK_ERRORS
+   * (the latest), response bodies cut to MAX_RESPONSE_BODY characters
+   * @param {Array<Object>} requests - [{ method, url, status, durationMs, error, responseBody, timestamp }]
+   * @returns {Array<Object>} Normalized requests
+   */
+  normalizeNetworkErrors(requests) {
+    return (requests || []).slice(-MAX_NETWORK_ERRORS).map(request => ({
+      method: String(request.method || 'GET').toUpperCase(),
+      url: String(request.url || ''),
+      status: Number.isInteger(request.status) ? request.status : null,
+      durationMs: Number.isInteger(request.durationMs) ? request.durationMs : null,
+      error: request.error || null,
+      responseBody: request.responseBody ? String(request.responseBody).slice(0, MAX_RESPONSE_BODY) : null,
+      timestamp: request.timestamp || null
+    }));
+  }
+
+  /**
+   * Bring breadcrumbs to their stored form: known types and fields only, at most MAX_BREADCRUMBS (the latest),
+   * text cut to MAX_BREADCRUMB_TEXT characters
+   * @param {Array<Object>} breadcrumbs - [{ type, timestamp, selector, text, url, via, state }]
+   * @returns {Array<Object>} Normalized breadcrumbs
+   */
+  normalizeBreadcrumbs(breadcrumbs) {
+    const text = value => (value ? String(value).slice(0, MAX_BREADCRUMB_TEXT) : null);
+    return (breadcrumbs || [])
+      .filter(breadcrumb => BREADCRUMB_TYPES.includes(breadcrumb.type))
+      .slice(-MAX_BREADCRUMBS)
+      .map(breadcrumb => ({
+        type: breadcrumb.type,
+        timestamp: breadcrumb.timestamp || null,
+        selector: text(breadcrumb.selector),
+        text: text(breadcrumb.text),
+        url: text(breadcrumb.url),
+        via: breadcrumb.via || null,
+        state: breadcrumb.state || null
+      }));
+  }
+
+  /**
+   * Error fingerprint of a ticket, or of a ticket after an update
+   * @param {Object} ticket - Ticket (or its data)
+   * @param {Object} updates - Optional updates about to be applied
+   * @returns {string|null} Fingerprint (see lib/fingerprint.js)
+   */
+  fingerprintTicket(ticket, updates = {}) {
+    return fingerprintErrors(
+      updates.f12Errors !== undefined ? updates.f12Errors : ticket.f12Errors,
+      updates.serverErrors !== undefined ? updates.serverErrors : ticket.serverErrors
+    );
+  }
+
+  /**
+   * Count how many tickets have each label
+   * @param {Array<string>} labels - Every label of every ticket (one entry per ticket that has it)
+   * @returns {Array<Object>} [{ label, count }], most used first, then alphabetically
+   */
+  countLabels(labels) {
+    const counts = new Map();
+    labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+    return [...counts.entries()]
+      .map(([label, count]) => ({ label, count }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Validate ticket status against the workflow
    * @param {string} status - Status to validate
    * @returns {boolean} True if valid
    */
   isValidStatus(status) {
-    return ['open', 'in-progress', 'fixed', 'closed'].includes(status);
+    return this.workflow.hasStatus(status);
   }
 
   /**
@@ -184,7 +1307,45 @@ class BaseAdapter {
    * @returns {boolean} True if valid
    */
   isValidPriority(priority) {
-    return ['critical', 'high', 'medium', 'low'].includes(priority);
+    return TICKET_PRIORITIES.includes(priority);
+  }
+
+  /**
+   * Check status/priority before they reach storage (the API validates requests too, but
+   * direct adapter users don't go through it)
+   * @param {Object} data - Ticket data or updates
+   * @param {Object} options - { anyStatus: accept statuses the workflow doesn't have, for imported tickets }
+   * @throws {ValidationError} If status or priority is invalid
+   */
+  assertValidTicketFields(data, options = {}) {
+    const details = [];
+    if (data.status !== undefined && !options.anyStatus && !this.isValidStatus(data.status)) {
+      details.push({ field: 'status', message: `must be one of: ${this.workflow.statuses.join(', ')}` });
+    }
+    if (data.priority !== undefined && data.priority !== null && !this.isValidPriority(data.priority)) {
+      details.push({ field: 'priority', message: `must be one of: ${TICKET_PRIORITIES.join(', ')}` });
+    }
+    if (details.length > 0) {
+      throw new ValidationError(details);
+    }
+  }
+
+  /**
+   * Check a bulk operation's type and that the field it needs is present
+   * @param {Object} operation - Bulk operation
+   * @throws {ValidationError} If invalid
+   */
+  assertValidBulkOperation(operation) {
+    const types = Object.keys(BULK_OPERATIONS);
+    if (!types.includes(operation.type)) {
+      throw new ValidationError([{ field: 'operation', message: `must be one of: ${types.join(', ')}` }]);
+    }
+
+    const field = BULK_OPERATIONS[operation.type];
+    if (field && operation[field] === undefined) {
+      throw new ValidationError([{ field, message: `is required for the ${operation.type} operation` }]);
+    }
+    this.assertValidTicketFields(operation);
   }
 
   /**
@@ -197,4 +1358,15 @@ class BaseAdapter {
   }
 }
 
+BaseAdapter.PRIORITIES = TICKET_PRIORITIES;
+BaseAdapter.SWARM_ACTION_OUTCOMES = SWARM_ACTION_OUTCOMES;
+BaseAdapter.AGENT_TYPES = AGENT_TYPES;
+BaseAdapter.BULK_OPERATIONS = Object.keys(BULK_OPERATIONS);
+BaseAdapter.BULK_OPERATION_FIELDS = BULK_OPERATIONS;
+BaseAdapter.HISTORY_FIELDS = HISTORY_FIELDS;
+BaseAdapter.MAX_NETWORK_ERRORS = MAX_NETWORK_ERRORS;
+BaseAdapter.BREADCRUMB_TYPES = BREADCRUMB_TYPES;
+BaseAdapter.MAX_BREADCRUMBS = MAX_BREADCRUMBS;
+BaseAdapter.BUG_REPORT_KEY_TTL_MS = BUG_REPORT_KEY_TTL_MS;
+
 module.exports = BaseAdapter;
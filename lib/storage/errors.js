@@ -0,0 +1,41 @@
+/**
+ * Storage Errors
+ * Errors adapters throw for conditions callers are expected to handle
+ */
+
+/**
+ * A conditional write (If-Match) found the ticket at a different version than expected
+ */
+class VersionConflictError extends Error {
+  /**
+   * @param {Object} ticket - The ticket as it is now
+   */
+  constructor(ticket) {
+    super(`Ticket ${ticket.id} has been changed since you read it (now at version ${ticket.version})`);
+    this.name = 'VersionConflictError';
+    this.ticket = ticket;
+  }
+}
+
+/**
+ * A status change the workflow doesn't allow, or whose guards aren't met
+ */
+class TransitionError extends Error {
+  /**
+   * @param {Object} ticket - The ticket as it is now
+   * @param {string} to - Requested status
+   * @param {Array<string>} reasons - Why the change isn't allowed (from Workflow#checkTransition)
+   */
+  constructor(ticket, to, reasons) {
+    super(`Can't move ticket ${ticket.id} from "${ticket.status}" to "${to}": ${reasons.join(', ')}`);
+    this.name = 'TransitionError';
+    this.from = ticket.status;
+    this.to = to;
+    this.reasons = reasons;
+  }
+}
+
+module.exports = {
+  VersionConflictError,
+  TransitionError
+};
@@ -6,6 +6,7 @@
 const JsonAdapter = require('./json-adapter');
 const SqliteAdapter = require('./sqlite-adapter');
 const SupabaseAdapter = require('./supabase-adapter');
+const { VersionConflictError, TransitionError } = require('./errors');
 
 /**
  * Get storage configuration from environment or config file
@@ -19,6 +20,13 @@ function getStorageConfig() {
     // JSON options
     jsonPath: process.env.SWARM_TICKETS_JSON_PATH || './tickets.json',
     backupDir: process.env.SWARM_TICKETS_BACKUP_DIR || './ticket-backups',
+    // Sidecar for non-ticket data (webhooks, delivery log); defaults to <jsonPath>.meta.json
+    metaPath: process.env.SWARM_TICKETS_JSON_META_PATH,
+
+    // Attachment files (default: ticket-attachments/ next to tickets.json / tickets.db) and their size limits
+    attachmentsDir: process.env.SWARM_TICKETS_ATTACHMENTS_DIR,
+    maxAttachmentBytes: parseInt(process.env.SWARM_TICKETS_ATTACHMENT_MAX_BYTES, 10) || undefined,
+    maxTicketAttachmentBytes: parseInt(process.env.SWARM_TICKETS_TICKET_ATTACHMENT_MAX_BYTES, 10) || undefined,
 
     // SQLite options
     sqlitePath: process.env.SWARM_TICKETS_SQLITE_PATH || './tickets.db',
@@ -83,5 +91,7 @@ module.exports = {
   StorageType,
   JsonAdapter,
   SqliteAdapter,
-  SupabaseAdapter
+  SupabaseAdapter,
+  VersionConflictError,
+  TransitionError
 };
@@ -3,16 +3,39 @@
  * Backwards-compatible with existing tickets.json format
  */
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const BaseAdapter = require('./base-adapter');
+const { hashToken } = require('../auth');
+const { VersionConflictError } = require('./errors');
+const { SearchIndex, parseQuery } = require('./search-index');
+const { parseSort, compareTickets, isAfterCursor, encodeCursor, projectTicket } = require('./list-options');
 
 class JsonAdapter extends BaseAdapter {
   constructor(config) {
     super(config);
     this.ticketsPath = path.resolve(config.jsonPath || './tickets.json');
     this.backupDir = path.resolve(config.backupDir || './ticket-backups');
-    this.data = { tickets: [] };
+    // Webhooks, their delivery log, API tokens and widget API keys live in a sidecar file so secrets stay
+    // out of tickets.json and frequent delivery writes don't churn ticket backups
+    this.metaPath = path.resolve(config.metaPath || this.ticketsPath.replace(/\.json$/, '') + '.meta.json');
+    // Attachment files go next to tickets.json, not in it
+    this.attachments = this.createAttachmentStore(path.join(path.dirname(this.ticketsPath), 'ticket-attachments'));
+    this.data = { tickets: [], history: {} };
+    this.meta = {
+      webhooks: [], webhookDeliveries: [], authTokens: [], agents: [], projects: [], bugReportKeys: [], reporterReceipts: [],
+      apiKeys: []
+    };
+    this.metaMtime = null;
+    // Bug report counts in the current hour by identifier - kept in memory, so a restart starts them over
+    this.rateLimits = new Map();
+    this.metaWrite = Promise.resolve();
+    // Batches running (see _batch()) - writes wait until the last one ends, so the file is written (and
+    // backed up) once for all of them
+    this.batchDepth = 0;
+    this.pendingSave = false;
+    this.searchIndex = new SearchIndex();
   }
 
   async initialize() {
@@ -31,16 +54,46 @@ class JsonAdapter extends BaseAdapter {
       if (!this.data.tickets) {
         this.data.tickets = [];
       }
-      // Migrate: add comments array to existing tickets
+      // Change history by ticket ID (added after the first release)
+      if (!this.data.history) {
+        this.data.history = {};
+      }
+      // Migrate: add comments and labels arrays, lease fields, assignee/reporter, error fingerprint and
+      // occurrence counts, captured network requests and breadcrumbs, and version to existing tickets
       this.data.tickets = this.data.tickets.map(ticket => ({
         ...ticket,
-        comments: ticket.comments || []
+        comments: ticket.comments || [],
+        labels: ticket.labels || [],
+        claimedBy: ticket.claimedBy || null,
+        claimExpiresAt: ticket.claimExpiresAt || null,
+        assignee: ticket.assignee || null,
+        reporter: ticket.reporter || null,
+        fingerprint: ticket.fingerprint !== undefined ? ticket.fingerprint : this.fingerprintTicket(ticket),
+        occurrenceCount: ticket.occurrenceCount || 1,
+        firstSeenAt: ticket.firstSeenAt || ticket.createdAt,
+        lastSeenAt: ticket.lastSeenAt || ticket.createdAt,
+        networkErrors: ticket.networkErrors || [],
+        breadcrumbs: ticket.breadcrumbs || [],
+        version: ticket.version || 1
       }));
     } catch (error) {
       // File doesn't exist, create empty structure
-      this.data = { tickets: [] };
+      this.data = { tickets: [], history: {} };
       await this._save();
     }
+
+    this.searchIndex.rebuild(this.data.tickets);
+    await this._refreshMeta();
+
+    // Migrate: widget API keys were stored in plain text; keep only their hash
+    if (this.meta.apiKeys.some(k => k.key)) {
+      this.meta.apiKeys = this.meta.apiKeys.map(({ key, ...record }) => ({
+        ...record,
+        keyHash: record.keyHash || hashToken(key)
+      }));
+      await this._saveMeta();
+    }
+
   }
 
   async close() {
@@ -48,10 +101,60 @@ class JsonAdapter extends BaseAdapter {
   }
 
   async _save() {
+    if (this.batchDepth > 0) {
+      this.pendingSave = true;
+      return;
+    }
     await this.createBackup();
     await fs.writeFile(this.ticketsPath, JSON.stringify(this.data, null, 2));
   }
 
+  // Run several operations with a single write at the end
+  // Batches may overlap (two bulk requests, a bulk request and a dequeue): a depth count rather than a flag,
+  // so one ending doesn't write the other's half-done changes or drop its pending write
+  async _batch(fn) {
+    this.batchDepth++;
+    try {
+      return await fn();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0 && this.pendingSave) {
+        this.pendingSave = false;
+        await this._save();
+      }
+    }
+  }
+
+  // Reload the sidecar if something else (e.g. the token CLI) changed it since we last read or wrote it
+  async _refreshMeta() {
+    try {
+      const { mtimeMs } = await fs.stat(this.metaPath);
+      if (mtimeMs === this.metaMtime) return;
+
+      const content = await fs.readFile(this.metaPath, 'utf8');
+      this.meta = {
+        webhooks: [], webhookDeliveries: [], authTokens: [], agents: [], projects: [], bugReportKeys: [], reporterReceipts: [],
+        apiKeys: [],
+        ...JSON.parse(content)
+      };
+      this.metaMtime = mtimeMs;
+    } catch (error) {
+      // No sidecar yet; it's written on first use
+    }
+  }
+
+  async _saveMeta() {
+    // Deliveries are logged concurrently; chain writes so they never interleave
+    const write = this.metaWrite.then(async () => {
+      // Webhook signing secrets are kept as they are (signing needs them) - readable by the server's user only
+      await fs.writeFile(this.metaPath, JSON.stringify(this.meta, null, 2), { mode: 0o600 });
+      await fs.chmod(this.metaPath, 0o600);
+      this.metaMtime = (await fs.stat(this.metaPath)).mtimeMs;
+    });
+    this.metaWrite = write.catch(() => {});
+    await write;
+  }
+
   async createBackup() {
     try {
       await fs.access(this.ticketsPath);
@@ -80,7 +183,8 @@ class JsonAdapter extends BaseAdapter {
 
   // ==================== TICKET OPERATIONS ====================
 
-  async getAllTickets(filters = {}) {
+  async listTickets(filters = {}, options = {}) {
+    const sort = options.sort || parseSort();
     let tickets = [...this.data.tickets];
 
     if (filters.status) {
@@ -95,85 +199,243 @@ class JsonAdapter extends BaseAdapter {
     if (filters.route) {
       tickets = tickets.filter(t => t.route && t.route.includes(filters.route));
     }
+    if (filters.namespace) {
+      tickets = tickets.filter(t => t.namespace === filters.namespace);
+    }
+    if (filters.assignee) {
+      tickets = tickets.filter(t => t.assignee === filters.assignee);
+    }
+    if (filters.label) {
+      tickets = tickets.filter(t => t.labels.includes(filters.label));
+    }
+    if (filters.fingerprint) {
+      tickets = tickets.filter(t => t.fingerprint === filters.fingerprint);
+    }
+    if (filters.untriaged) {
+      tickets = tickets.filter(t => !t.priority);
+    }
+    if (filters.claimExpiredBefore) {
+      const cutoff = Date.parse(filters.claimExpiredBefore);
+      tickets = tickets.filter(t => t.claimExpiresAt && Date.parse(t.claimExpiresAt) <= cutoff);
+    }
+    if (filters.unclaimedAt) {
+      const cutoff = Date.parse(filters.unclaimedAt);
+      tickets = tickets.filter(t => !t.claimedBy || !t.claimExpiresAt || Date.parse(t.claimExpiresAt) <= cutoff);
+    }
+
+    tickets.sort(compareTickets(sort));
 
-    return tickets;
+    if (options.cursor) {
+      tickets = tickets.filter(t => isAfterCursor(t, sort, options.cursor));
+    }
+
+    let nextCursor = null;
+    if (options.limit && tickets.length > options.limit) {
+      tickets = tickets.slice(0, options.limit);
+      nextCursor = encodeCursor(tickets[tickets.length - 1], sort);
+    }
+
+    return {
+      tickets: tickets.map(t => projectTicket(t, options.fields)),
+      nextCursor
+    };
   }
 
   async getTicket(id) {
     return this.data.tickets.find(t => t.id === id) || null;
   }
 
-  async createTicket(ticketData) {
+  async createTicket(ticketData, options = {}) {
+    this.assertValidTicketFields(ticketData, { anyStatus: options.imported });
+    ticketData = this.scrubTicketData(ticketData);
     const now = new Date().toISOString();
     const ticket = {
       id: ticketData.id || this.generateTicketId(),  // Allow custom ID for migration
       route: ticketData.route || '',
       f12Errors: ticketData.f12Errors || '',
       serverErrors: ticketData.serverErrors || '',
+      networkErrors: this.normalizeNetworkErrors(ticketData.networkErrors),
+      breadcrumbs: this.normalizeBreadcrumbs(ticketData.breadcrumbs),
       description: ticketData.description || '',
-      status: ticketData.status || 'open',
+      status: ticketData.status || this.workflow.initial,
       priority: ticketData.priority || null,
       relatedTickets: ticketData.relatedTickets || [],
-      swarmActions: ticketData.swarmActions || [],
+      swarmActions: (ticketData.swarmActions || []).map(action => this.buildSwarmAction(action, now)),
       comments: ticketData.comments || [],
       namespace: ticketData.namespace || null,
+      labels: this.normalizeLabels(ticketData.labels),
+      claimedBy: ticketData.claimedBy || null,
+      claimExpiresAt: ticketData.claimExpiresAt || null,
+      assignee: ticketData.assignee || null,
+      reporter: ticketData.reporter || null,
+      fingerprint: this.fingerprintTicket(ticketData),
+      occurrenceCount: ticketData.occurrenceCount || 1,
+      firstSeenAt: ticketData.firstSeenAt || ticketData.createdAt || now,
+      lastSeenAt: ticketData.lastSeenAt || ticketData.createdAt || now,
+      version: 1,
       createdAt: ticketData.createdAt || now,  // Allow custom timestamps for migration
       updatedAt: ticketData.updatedAt || now
     };
 
     this.data.tickets.push(ticket);
+    if (ticketData.history && ticketData.history.length > 0) {
+      ticketData.history.forEach(entry => this._recordHistory(ticket.id, entry));
+    }
+    this.searchIndex.add(ticket);
     await this._save();
 
     return ticket;
   }
 
-  async updateTicket(id, updates) {
+  async updateTicket(id, updates, context = {}) {
+    this.assertValidTicketFields(updates);
+    const scrubbed = this.scrubTicketUpdates(updates);
+    updates = scrubbed.updates;
+    if (updates.labels !== undefined) {
+      updates = { ...updates, labels: this.normalizeLabels(updates.labels) };
+    }
     const ticketIndex = this.data.tickets.findIndex(t => t.id === id);
     if (ticketIndex === -1) return null;
 
     const allowedFields = [
       'status', 'priority', 'relatedTickets', 'swarmActions',
-      'namespace', 'description', 'f12Errors', 'serverErrors', 'route', 'comments'
+      'namespace', 'labels', 'description', 'f12Errors', 'serverErrors', 'route', 'comments',
+      'claimedBy', 'claimExpiresAt', 'assignee', 'reporter', 'occurrenceCount', 'lastSeenAt'
     ];
 
     const ticket = this.data.tickets[ticketIndex];
+    this._assertVersion(ticket, context.expectedVersion);
+    const now = new Date().toISOString();
+    const changes = this.diffTicketFields(ticket, updates);
 
+    if (updates.f12Errors !== undefined || updates.serverErrors !== undefined) {
+      ticket.fingerprint = this.fingerprintTicket(ticket, updates);
+    }
     allowedFields.forEach(field => {
       if (updates[field] !== undefined) {
         ticket[field] = updates[field];
       }
     });
 
-    ticket.updatedAt = new Date().toISOString();
+    if (changes.length > 0) {
+      this._recordHistory(id, { timestamp: now, actor: context.actor || null, changes });
+    }
+
+    this._touch(ticket, now);
+    this.searchIndex.add(ticket);
     await this._save();
 
+    if (scrubbed.note) {
+      return this.addSwarmAction(id, scrubbed.note);
+    }
     return ticket;
   }
 
+  // Record a write to a ticket: bump its timestamp and version
+  _touch(ticket, now = new Date().toISOString()) {
+    ticket.updatedAt = now;
+    ticket.version = (ticket.version || 1) + 1;
+  }
+
+  _assertVersion(ticket, expectedVersion) {
+    if (expectedVersion !== undefined && ticket.version !== expectedVersion) {
+      throw new VersionConflictError(ticket);
+    }
+  }
+
   async deleteTicket(id) {
     const ticketIndex = this.data.tickets.findIndex(t => t.id === id);
     if (ticketIndex === -1) return false;
 
     this.data.tickets.splice(ticketIndex, 1);
+    delete this.data.history[id];
+    this.searchIndex.remove(id);
     await this._save();
 
+    // Reporter emails shouldn't outlive the ticket they were given for
+    await this._refreshMeta();
+    const receipts = this.meta.reporterReceipts.filter(r => r.ticketId !== id);
+    if (receipts.length !== this.meta.reporterReceipts.length) {
+      this.meta.reporterReceipts = receipts;
+      await this._saveMeta();
+    }
+
+    return true;
+  }
+
+  async linkRelatedTickets(id, relatedIds) {
+    const ticket = this.data.tickets.find(t => t.id === id);
+    if (!ticket) return false;
+
+    ticket.relatedTickets = [...relatedIds];
+    await this._save();
     return true;
   }
 
+  // ==================== BULK OPERATIONS ====================
+
+  async bulkUpdateTickets(ids, operation) {
+    return this._batch(() => super.bulkUpdateTickets(ids, operation));
+  }
+
+  // ==================== QUEUE OPERATIONS ====================
+
+  async dequeueTicket(agent, ttlSeconds, filters = {}) {
+    return this._batch(() => super.dequeueTicket(agent, ttlSeconds, filters));
+  }
+
+  // ==================== HISTORY OPERATIONS ====================
+
+  async getTicketHistory(ticketId) {
+    const ticket = await this.getTicket(ticketId);
+    if (!ticket) return null;
+    return this.data.history[ticketId] || [];
+  }
+
+  _recordHistory(ticketId, entry) {
+    if (!this.data.history[ticketId]) {
+      this.data.history[ticketId] = [];
+    }
+    // Copy the values so later in-place edits of a ticket's arrays can't rewrite its history
+    this.data.history[ticketId].push(JSON.parse(JSON.stringify(entry)));
+  }
+
+  // ==================== SEARCH OPERATIONS ====================
+
+  async searchTickets(query, options = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+
+    const limit = options.limit || 20;
+    const results = [];
+
+    for (const hit of this.searchIndex.search(terms)) {
+      const ticket = await this.getTicket(hit.id);
+      if (!ticket) continue;
+      if (options.status && ticket.status !== options.status) continue;
+
+      results.push({ ticket, score: hit.score, matchedFields: hit.matchedFields });
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  // ==================== LABEL OPERATIONS ====================
+
+  async listLabels() {
+    return this.countLabels(this.data.tickets.flatMap(t => t.labels));
+  }
+
   // ==================== SWARM ACTION OPERATIONS ====================
 
   async addSwarmAction(ticketId, action) {
     const ticket = await this.getTicket(ticketId);
     if (!ticket) return null;
 
-    const swarmAction = {
-      timestamp: new Date().toISOString(),
-      action: action.action,
-      result: action.result || null
-    };
-
-    ticket.swarmActions.push(swarmAction);
-    ticket.updatedAt = new Date().toISOString();
+    ticket.swarmActions.push(this.buildSwarmAction(action, new Date().toISOString()));
+    this._touch(ticket);
+    this.searchIndex.add(ticket);
 
     await this._save();
     return ticket;
@@ -184,6 +446,8 @@ class JsonAdapter extends BaseAdapter {
   async addComment(ticketId, commentData) {
     const ticket = await this.getTicket(ticketId);
     if (!ticket) return null;
+    const { data, redactions } = this.scrubber.scrubComment(commentData);
+    commentData = data;
 
     // Ensure comments array exists
     if (!ticket.comments) {
@@ -200,9 +464,13 @@ class JsonAdapter extends BaseAdapter {
     };
 
     ticket.comments.push(comment);
-    ticket.updatedAt = new Date().toISOString();
+    this._touch(ticket);
+    this.searchIndex.add(ticket);
 
     await this._save();
+    if (redactions.length > 0) {
+      await this.addSwarmAction(ticketId, this.buildScrubNote(redactions, `Redacted from comment ${comment.id}`));
+    }
     return comment;
   }
 
@@ -212,19 +480,21 @@ class JsonAdapter extends BaseAdapter {
     return ticket.comments || [];
   }
 
-  async updateComment(ticketId, commentId, updates) {
+  async updateComment(ticketId, commentId, updates, context = {}) {
     const ticket = await this.getTicket(ticketId);
     if (!ticket || !ticket.comments) return null;
 
     const commentIndex = ticket.comments.findIndex(c => c.id === commentId);
     if (commentIndex === -1) return null;
+    this._assertVersion(ticket, context.expectedVersion);
 
     const comment = ticket.comments[commentIndex];
     if (updates.content !== undefined) comment.content = updates.content;
     if (updates.metadata !== undefined) comment.metadata = { ...comment.metadata, ...updates.metadata };
     comment.editedAt = new Date().toISOString();
 
-    ticket.updatedAt = new Date().toISOString();
+    this._touch(ticket);
+    this.searchIndex.add(ticket);
     await this._save();
 
     return comment;
@@ -238,7 +508,8 @@ class JsonAdapter extends BaseAdapter {
     if (commentIndex === -1) return false;
 
     ticket.comments.splice(commentIndex, 1);
-    ticket.updatedAt = new Date().toISOString();
+    this._touch(ticket);
+    this.searchIndex.add(ticket);
     await this._save();
 
     return true;
@@ -251,12 +522,12 @@ class JsonAdapter extends BaseAdapter {
 
     return {
       total: tickets.length,
-      byStatus: {
-        open: tickets.filter(t => t.status === 'open').length,
-        inProgress: tickets.filter(t => t.status === 'in-progress').length,
-        fixed: tickets.filter(t => t.status === 'fixed').length,
-        closed: tickets.filter(t => t.status === 'closed').length
-      },
+      byStatus: this.workflow.countByStatus(
+        [...new Set(tickets.map(t => t.status))].map(status => ({
+          status,
+          count: tickets.filter(t => t.status === status).length
+        }))
+      ),
       byPriority: {
         critical: tickets.filter(t => t.priority === 'critical').length,
         high: tickets.filter(t => t.priority === 'high').length,
@@ -266,17 +537,326 @@ class JsonAdapter extends BaseAdapter {
     };
   }
 
+  // ==================== WEBHOOK OPERATIONS ====================
+
+  async listWebhooks() {
+    await this._refreshMeta();
+    return this.meta.webhooks;
+  }
+
+  async getWebhook(id) {
+    await this._refreshMeta();
+    return this.meta.webhooks.find(w => w.id === id) || null;
+  }
+
+  async createWebhook(webhookData) {
+    await this._refreshMeta();
+
+    const now = new Date().toISOString();
+    const webhook = {
+      id: this.generateWebhookId(),
+      url: webhookData.url,
+      events: webhookData.events,
+      secret: webhookData.secret || null,
+      description: webhookData.description || '',
+      enabled: webhookData.enabled !== undefined ? Boolean(webhookData.enabled) : true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.meta.webhooks.push(webhook);
+    await this._saveMeta();
+
+    return webhook;
+  }
+
+  async updateWebhook(id, updates) {
+    const webhook = await this.getWebhook(id);
+    if (!webhook) return null;
+
+    ['url', 'events', 'secret', 'description'].forEach(field => {
+      if (updates[field] !== undefined) {
+        webhook[field] = updates[field];
+      }
+    });
+    if (updates.enabled !== undefined) webhook.enabled = Boolean(updates.enabled);
+
+    webhook.updatedAt = new Date().toISOString();
+    await this._saveMeta();
+
+    return webhook;
+  }
+
+  async deleteWebhook(id) {
+    await this._refreshMeta();
+
+    const webhookIndex = this.meta.webhooks.findIndex(w => w.id === id);
+    if (webhookIndex === -1) return false;
+
+    this.meta.webhooks.splice(webhookIndex, 1);
+    this.meta.webhookDeliveries = this.meta.webhookDeliveries.filter(d => d.webhookId !== id);
+    await this._saveMeta();
+
+    return true;
+  }
+
+  async recordWebhookDelivery(delivery) {
+    await this._refreshMeta();
+
+    const entry = {
+      id: this.meta.webhookDeliveries.length > 0
+        ? this.meta.webhookDeliveries[this.meta.webhookDeliveries.length - 1].id + 1
+        : 1,
+      webhookId: delivery.webhookId,
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      attempt: delivery.attempt,
+      status: delivery.status,
+      responseStatus: delivery.responseStatus || null,
+      error: delivery.error || null,
+      durationMs: delivery.durationMs || 0,
+      timestamp: new Date().toISOString()
+    };
+
+    this.meta.webhookDeliveries.push(entry);
+    // Keep the log bounded
+    if (this.meta.webhookDeliveries.length > this.maxWebhookDeliveries) {
+      this.meta.webhookDeliveries.splice(0, this.meta.webhookDeliveries.length - this.maxWebhookDeliveries);
+    }
+    await this._saveMeta();
+
+    return entry;
+  }
+
+  async listWebhookDeliveries(webhookId, limit = 50) {
+    await this._refreshMeta();
+    return this.meta.webhookDeliveries
+      .filter(d => d.webhookId === webhookId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // ==================== AUTH TOKEN OPERATIONS ====================
+
+  _toPublicToken(record) {
+    const { tokenHash, ...rest } = record;
+    return { ...rest };
+  }
+
+  async createAuthToken(tokenData) {
+    await this._refreshMeta();
+
+    const record = {
+      id: this.generateAuthTokenId(),
+      name: tokenData.name || null,
+      role: tokenData.role,
+      tokenHash: tokenData.tokenHash,
+      createdAt: new Date().toISOString(),
+      lastUsed: null,
+      revokedAt: null
+    };
+
+    this.meta.authTokens.push(record);
+    await this._saveMeta();
+
+    return this._toPublicToken(record);
+  }
+
+  async listAuthTokens() {
+    await this._refreshMeta();
+    return this.meta.authTokens.map(t => this._toPublicToken(t));
+  }
+
+  async findAuthToken(tokenHash) {
+    await this._refreshMeta();
+
+    const record = this.meta.authTokens.find(t => t.tokenHash === tokenHash && !t.revokedAt);
+    return record ? this._toPublicToken(record) : null;
+  }
+
+  async touchAuthToken(id) {
+    await this._refreshMeta();
+
+    const record = this.meta.authTokens.find(t => t.id === id);
+    if (!record) return;
+
+    record.lastUsed = new Date().toISOString();
+    await this._saveMeta();
+  }
+
+  async revokeAuthToken(id) {
+    await this._refreshMeta();
+
+    const record = this.meta.authTokens.find(t => t.id === id && !t.revokedAt);
+    if (!record) return false;
+
+    record.revokedAt = new Date().toISOString();
+    await this._saveMeta();
+
+    return true;
+  }
+
+  // ==================== AGENT OPERATIONS ====================
+
+  async listAgents() {
+    await this._refreshMeta();
+    return [...this.meta.agents].sort((a, b) =>
+      (b.lastActiveAt || '').localeCompare(a.lastActiveAt || '') || a.name.localeCompare(b.name)
+    );
+  }
+
+  async getAgent(name) {
+    await this._refreshMeta();
+    return this.meta.agents.find(a => a.name === name) || null;
+  }
+
+  async upsertAgent(name, data = {}) {
+    await this._refreshMeta();
+
+    const now = new Date().toISOString();
+    let agent = this.meta.agents.find(a => a.name === name);
+    if (!agent) {
+      agent = { name, type: 'agent', role: null, lastActiveAt: null, createdAt: now, updatedAt: now };
+      this.meta.agents.push(agent);
+    }
+    if (data.type !== undefined) agent.type = data.type;
+    if (data.role !== undefined) agent.role = data.role;
+    agent.updatedAt = now;
+
+    await this._saveMeta();
+    return agent;
+  }
+
+  async touchAgent(name, type) {
+    await this._refreshMeta();
+
+    const now = new Date().toISOString();
+    const agent = this.meta.agents.find(a => a.name === name);
+    if (agent) {
+      agent.lastActiveAt = now;
+    } else {
+      this.meta.agents.push({ name, type, role: null, lastActiveAt: now, createdAt: now, updatedAt: now });
+    }
+    await this._saveMeta();
+  }
+
+  async deleteAgent(name) {
+    await this._refreshMeta();
+
+    const index = this.meta.agents.findIndex(a => a.name === name);
+    if (index === -1) return false;
+
+    this.meta.agents.splice(index, 1);
+    await this._saveMeta();
+    return true;
+  }
+
+  // ==================== PROJECT OPERATIONS ====================
+
+  async listProjects() {
+    await this._refreshMeta();
+    return [...this.meta.projects].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async getProject(id) {
+    await this._refreshMeta();
+    return this.meta.projects.find(p => p.id === id) || null;
+  }
+
+  async createProject(project) {
+    await this._refreshMeta();
+
+    const now = new Date().toISOString();
+    const record = {
+      id: project.id,
+      name: project.name,
+      description: project.description || '',
+      directory: project.directory || null,
+      schema: project.schema || null,
+      settings: project.settings || {},
+      createdAt: now,
+      updatedAt: now
+    };
+    this.meta.projects.push(record);
+
+    await this._saveMeta();
+    return record;
+  }
+
+  async updateProject(id, changes) {
+    await this._refreshMeta();
+
+    const project = this.meta.projects.find(p => p.id === id);
+    if (!project) return null;
+
+    ['name', 'description', 'settings'].forEach(field => {
+      if (changes[field] !== undefined) project[field] = changes[field];
+    });
+    project.updatedAt = new Date().toISOString();
+
+    await this._saveMeta();
+    return project;
+  }
+
+  async deleteProject(id) {
+    await this._refreshMeta();
+
+    const index = this.meta.projects.findIndex(p => p.id === id);
+    if (index === -1) return false;
+
+    this.meta.projects.splice(index, 1);
+    await this._saveMeta();
+    return true;
+  }
+
   // ==================== BUG REPORT OPERATIONS ====================
 
-  async createBugReport(reportData, apiKey = null) {
-    // For JSON adapter, we don't validate API keys (simple mode)
-    // Create a minimal ticket from the bug report
-    const ticket = await this.createTicket({
+  async admitBugReport(apiKey, ip) {
+    // Validate API key if provided
+    if (apiKey) {
+      await this._refreshMeta();
+      const keyHash = hashToken(apiKey);
+      const keyRecord = this.meta.apiKeys.find(k => k.keyHash === keyHash && k.enabled);
+      if (!keyRecord) {
+        throw new Error('Invalid API key');
+      }
+      // Update last used
+      keyRecord.lastUsed = new Date().toISOString();
+      await this._saveMeta();
+    }
+
+    // Check rate limit (IP-based if no API key)
+    const identifier = this.rateLimitIdentifier(apiKey, ip);
+    const windowStart = new Date();
+    windowStart.setMinutes(0, 0, 0); // Hour window
+    const windowKey = windowStart.toISOString();
+
+    // Forget counts from earlier windows
+    for (const [id, record] of this.rateLimits) {
+      if (record.windowStart !== windowKey) this.rateLimits.delete(id);
+    }
+
+    const rateLimit = this.rateLimits.get(identifier);
+    const limit = apiKey ? 1000 : 10; // Higher limit for API key users
+
+    if (rateLimit && rateLimit.requestCount >= limit) {
+      throw new Error('Rate limit exceeded. Please try again later.');
+    }
+
+    // Increment rate limit
+    this.rateLimits.set(identifier, { windowStart: windowKey, requestCount: (rateLimit ? rateLimit.requestCount : 0) + 1 });
+  }
+
+  async createBugReport(reportData) {
+    // Create a minimal ticket from the bug report (or count it on the open ticket with the same errors)
+    const { ticket, created } = await this.createOrRecordTicket({
       route: reportData.location || reportData.route || 'unknown',
       f12Errors: reportData.clientError || reportData.f12Errors || '',
       serverErrors: '', // Bug reports don't include server errors
+      networkErrors: reportData.networkErrors || [],
+      breadcrumbs: reportData.breadcrumbs || [],
       description: reportData.description || '',
-      status: 'open',
+      status: this.workflow.initial,
       priority: null, // Will be set by triage
       swarmActions: [{
         timestamp: new Date().toISOString(),
@@ -289,8 +869,99 @@ class JsonAdapter extends BaseAdapter {
     return {
       id: ticket.id,
       status: 'submitted',
-      message: 'Bug report received. Thank you!'
+      message: 'Bug report received. Thank you!',
+      duplicate: !created
+    };
+  }
+
+  async getBugReportReceipt(key) {
+    await this._refreshMeta();
+
+    const cutoff = new Date(Date.now() - BaseAdapter.BUG_REPORT_KEY_TTL_MS).toISOString();
+    const record = this.meta.bugReportKeys.find(k => k.key === key && k.createdAt >= cutoff);
+    return record ? record.receipt : null;
+  }
+
+  async saveBugReportReceipt(key, receipt) {
+    await this._refreshMeta();
+
+    const cutoff = new Date(Date.now() - BaseAdapter.BUG_REPORT_KEY_TTL_MS).toISOString();
+    this.meta.bugReportKeys = this.meta.bugReportKeys.filter(k => k.createdAt >= cutoff && k.key !== key);
+    this.meta.bugReportKeys.push({ key, receipt, createdAt: new Date().toISOString() });
+    await this._saveMeta();
+  }
+
+  // ==================== REPORTER RECEIPT OPERATIONS ====================
+
+  _toPublicReceipt(record) {
+    const { tokenHash, ...rest } = record;
+    return { ...rest };
+  }
+
+  async createReporterReceipt(receiptData) {
+    await this._refreshMeta();
+    const receipt = {
+      id: this.generateReporterReceiptId(),
+      ticketId: receiptData.ticketId,
+      tokenHash: receiptData.tokenHash,
+      email: receiptData.email || null,
+      createdAt: new Date().toISOString()
     };
+
+    this.meta.reporterReceipts.push(receipt);
+    await this._saveMeta();
+    return this._toPublicReceipt(receipt);
+  }
+
+  async findReporterReceipt(tokenHash) {
+    await this._refreshMeta();
+    const record = this.meta.reporterReceipts.find(r => r.tokenHash === tokenHash);
+    return record ? this._toPublicReceipt(record) : null;
+  }
+
+  async listReporterReceipts(ticketId) {
+    await this._refreshMeta();
+    return this.meta.reporterReceipts
+      .filter(r => r.ticketId === ticketId)
+      .map(record => this._toPublicReceipt(record));
+  }
+
+  // ==================== API KEY MANAGEMENT ====================
+
+  async createApiKey(name = null) {
+    await this._refreshMeta();
+
+    const key = 'stk_' + crypto.randomBytes(24).toString('hex');
+    const now = new Date().toISOString();
+    this.meta.apiKeys.push({
+      id: this.meta.apiKeys.reduce((max, k) => Math.max(max, k.id), 0) + 1,
+      // Only the hash is stored; the key itself is shown once, in the response
+      keyHash: hashToken(key),
+      name,
+      createdAt: now,
+      lastUsed: null,
+      enabled: true
+    });
+
+    await this._saveMeta();
+    return { key, name, createdAt: now };
+  }
+
+  async listApiKeys() {
+    await this._refreshMeta();
+    return this.meta.apiKeys.map(({ keyHash, ...rest }) => rest);
+  }
+
+  async revokeApiKey(key) {
+    await this._refreshMeta();
+
+    const keyHash = hashToken(key);
+    const record = this.meta.apiKeys.find(k => k.keyHash === keyHash);
+    if (!record) return false;
+
+    record.enabled = false;
+    await this._saveMeta();
+    return true;
   }
 }
 
@@ -0,0 +1,207 @@
+/**
+ * Ticket Listing Options
+ * Parsing and helpers for pagination, sorting and field projection on ticket lists
+ */
+
+const { ValidationError } = require('../validation');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'priority'];
+
+// Fields that live in separate tables/arrays and are only loaded when requested
+const RELATION_FIELDS = ['relatedTickets', 'labels', 'swarmActions', 'comments'];
+
+const TICKET_FIELDS = [
+  'id', 'route', 'f12Errors', 'serverErrors', 'networkErrors', 'breadcrumbs', 'description', 'status',
+  'priority', 'namespace', 'claimedBy', 'claimExpiresAt', 'assignee', 'reporter',
+  'fingerprint', 'occurrenceCount', 'firstSeenAt', 'lastSeenAt', 'version', 'createdAt', 'updatedAt',
+  ...RELATION_FIELDS
+];
+
+// Lower rank = more urgent; tickets without a priority sort last
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+const NO_PRIORITY_RANK = 4;
+
+const DEFAULT_SORT = { field: 'createdAt', descending: true };
+const MAX_LIMIT = 500;
+
+/**
+ * Parse a sort expression like "updatedAt" or "-priority"
+ * createdAt/updatedAt sort ascending, priority sorts most urgent first; prefix with "-" to reverse
+ * @param {string} sort - Sort expression
+ * @returns {Object} { field, descending }
+ */
+function parseSort(sort) {
+  if (!sort) return { ...DEFAULT_SORT };
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+
+  if (!SORT_FIELDS.includes(field)) {
+    throw new ValidationError([{ field: 'query.sort', message: `must be one of: ${SORT_FIELDS.join(', ')} (prefix "-" to reverse)` }]);
+  }
+
+  return { field, descending };
+}
+
+/**
+ * Parse a comma-separated field projection
+ * @param {string} fields - e.g. "id,status,priority"
+ * @returns {Array<string>|null} Field list (always including id), or null for all fields
+ */
+function parseFields(fields) {
+  if (!fields) return null;
+
+  const list = fields.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = list.filter(f => !TICKET_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw new ValidationError(unknown.map(f => ({ field: 'query.fields', message: `unknown field "${f}"` })));
+  }
+
+  return [...new Set(['id', ...list])];
+}
+
+/**
+ * Encode the position after a ticket as an opaque cursor
+ * @param {Object} ticket - Last ticket of the page
+ * @param {Object} sort - Parsed sort
+ * @returns {string} Cursor
+ */
+function encodeCursor(ticket, sort) {
+  const payload = JSON.stringify({ s: sort.field, v: getSortValue(ticket, sort.field), id: ticket.id });
+  // URL-safe base64 without padding (Buffer's "base64url" encoding needs Node 14.18+)
+  return Buffer.from(payload).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor()
+ * @param {string} cursor - Cursor
+ * @param {Object} sort - Parsed sort the cursor must belong to
+ * @returns {Object|null} { value, id } or null when no cursor
+ */
+function decodeCursor(cursor, sort) {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    // Node's base64 decoder accepts the URL-safe alphabet as well
+    payload = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError([{ field: 'query.cursor', message: 'is not a valid cursor' }]);
+  }
+
+  if (!payload || typeof payload.id !== 'string' || payload.s !== sort.field) {
+    throw new ValidationError([{ field: 'query.cursor', message: 'belongs to a different sort order' }]);
+  }
+
+  return { value: payload.v, id: payload.id };
+}
+
+/**
+ * Parse list options from request query parameters
+ * @param {Object} query - Query parameters (limit, cursor, sort, fields)
+ * @returns {Object} { limit, cursor, sort, fields }
+ * @throws {ValidationError} If a parameter is invalid
+ */
+function parseListOptions(query = {}) {
+  const options = {
+    limit: null,
+    sort: parseSort(query.sort),
+    fields: parseFields(query.fields)
+  };
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError([{ field: 'query.limit', message: 'must be a positive integer' }]);
+    }
+    options.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  options.cursor = decodeCursor(query.cursor, options.sort);
+
+  return options;
+}
+
+/**
+ * Value a ticket is sorted by (priority is mapped to its rank)
+ */
+function getSortValue(ticket, field) {
+  if (field === 'priority') {
+    return PRIORITY_RANK[ticket.priority] !== undefined ? PRIORITY_RANK[ticket.priority] : NO_PRIORITY_RANK;
+  }
+  return ticket[field];
+}
+
+function compareValues(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+// Compare two (sortValue, id) positions in sort order
+function comparePositions(sort, valueA, idA, valueB, idB) {
+  const direction = sort.descending ? -1 : 1;
+  return direction * (compareValues(valueA, valueB) || compareValues(idA, idB));
+}
+
+/**
+ * Build a comparator for a parsed sort (ticket ID breaks ties in the same direction)
+ * @param {Object} sort - Parsed sort
+ * @returns {Function} Comparator
+ */
+function compareTickets(sort) {
+  return (a, b) => comparePositions(
+    sort, getSortValue(a, sort.field), a.id, getSortValue(b, sort.field), b.id
+  );
+}
+
+/**
+ * Whether a ticket comes after the cursor position in the given sort order
+ */
+function isAfterCursor(ticket, sort, cursor) {
+  return comparePositions(sort, getSortValue(ticket, sort.field), ticket.id, cursor.value, cursor.id) > 0;
+}
+
+/**
+ * Whether the caller asked for a relation field (null fields = everything)
+ */
+function wantsField(fields, field) {
+  return !fields || fields.includes(field);
+}
+
+/**
+ * Reduce a ticket to the requested fields
+ * @param {Object} ticket - Ticket
+ * @param {Array<string>|null} fields - Field list from parseFields()
+ * @returns {Object} Projected ticket
+ */
+function projectTicket(ticket, fields) {
+  if (!fields) return ticket;
+
+  const projected = {};
+  fields.forEach(field => {
+    if (ticket[field] !== undefined) projected[field] = ticket[field];
+  });
+  return projected;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  RELATION_FIELDS,
+  TICKET_FIELDS,
+  PRIORITY_RANK,
+  NO_PRIORITY_RANK,
+  parseListOptions,
+  parseSort,
+  parseFields,
+  encodeCursor,
+  decodeCursor,
+  getSortValue,
+  compareTickets,
+  isAfterCursor,
+  wantsField,
+  projectTicket
+};
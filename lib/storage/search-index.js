@@ -0,0 +1,187 @@
+/**
+ * Full-text Search Helpers
+ * Tokenizer, field extraction and an in-memory inverted index shared by the storage adapters
+ */
+
+// Searchable ticket fields and their ranking weights
+const SEARCH_FIELDS = {
+  description: 3,
+  route: 2,
+  f12Errors: 1.5,
+  serverErrors: 1.5,
+  swarmActions: 1,
+  comments: 1
+};
+
+// Pasted stack traces can be huge - only the first N distinct terms are used as a query
+const MAX_QUERY_TOKENS = 32;
+
+/**
+ * Split text into lowercase search terms (letters and digits only)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const matches = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  return matches ? matches.filter(t => t.length > 1) : [];
+}
+
+/**
+ * Turn a user query into a de-duplicated, size-capped list of terms
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Query terms
+ */
+function parseQuery(query) {
+  return [...new Set(tokenize(query))].slice(0, MAX_QUERY_TOKENS);
+}
+
+/**
+ * Extract the searchable text of a ticket, one string per search field
+ * @param {Object} ticket - Full ticket (with swarmActions and comments)
+ * @returns {Object} Map of field name to text
+ */
+function getSearchableText(ticket) {
+  return {
+    description: ticket.description || '',
+    route: ticket.route || '',
+    f12Errors: ticket.f12Errors || '',
+    serverErrors: ticket.serverErrors || '',
+    swarmActions: (ticket.swarmActions || [])
+      .map(a => typeof a === 'string' ? a : `${a.action || ''} ${a.result || ''}`)
+      .join('\n'),
+    comments: (ticket.comments || []).map(c => c.content || '').join('\n')
+  };
+}
+
+/**
+ * List the search fields of a ticket that contain at least one query term
+ * @param {Object} ticket - Full ticket
+ * @param {Array<string>} terms - Query terms from parseQuery()
+ * @returns {Array<string>} Matching field names
+ */
+function getMatchedFields(ticket, terms) {
+  const text = getSearchableText(ticket);
+  return Object.keys(SEARCH_FIELDS).filter(field => {
+    const fieldTerms = new Set(tokenize(text[field]));
+    return terms.some(term => fieldTerms.has(term));
+  });
+}
+
+/**
+ * In-memory inverted index over tickets
+ * Scores are a field-weighted TF-IDF sum, so tickets matching more (and rarer) terms rank first
+ */
+class SearchIndex {
+  constructor() {
+    // term -> Map(ticketId -> { field: termCount })
+    this.postings = new Map();
+    // ticketId -> Set(term), used to remove a ticket's postings
+    this.docTerms = new Map();
+  }
+
+  get size() {
+    return this.docTerms.size;
+  }
+
+  /**
+   * Replace the whole index contents
+   * @param {Array<Object>} tickets - Full tickets
+   */
+  rebuild(tickets) {
+    this.postings.clear();
+    this.docTerms.clear();
+    tickets.forEach(ticket => this.add(ticket));
+  }
+
+  /**
+   * Index (or re-index) a ticket
+   * @param {Object} ticket - Full ticket
+   */
+  add(ticket) {
+    this.remove(ticket.id);
+
+    const text = getSearchableText(ticket);
+    const terms = new Set();
+
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+      for (const term of tokenize(text[field])) {
+        let docs = this.postings.get(term);
+        if (!docs) {
+          docs = new Map();
+          this.postings.set(term, docs);
+        }
+        let counts = docs.get(ticket.id);
+        if (!counts) {
+          counts = {};
+          docs.set(ticket.id, counts);
+        }
+        counts[field] = (counts[field] || 0) + 1;
+        terms.add(term);
+      }
+    }
+
+    this.docTerms.set(ticket.id, terms);
+  }
+
+  /**
+   * Drop a ticket from the index
+   * @param {string} id - Ticket ID
+   */
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return;
+
+    for (const term of terms) {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    }
+    this.docTerms.delete(id);
+  }
+
+  /**
+   * Rank indexed tickets against query terms
+   * @param {Array<string>} terms - Query terms from parseQuery()
+   * @returns {Array<Object>} [{ id, score, matchedFields }] sorted by descending score
+   */
+  search(terms) {
+    const scores = new Map();
+    const total = this.docTerms.size;
+
+    for (const term of terms) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+
+      const idf = Math.log(1 + total / docs.size);
+      for (const [id, counts] of docs) {
+        let entry = scores.get(id);
+        if (!entry) {
+          entry = { id, score: 0, matchedFields: new Set() };
+          scores.set(id, entry);
+        }
+        for (const field of Object.keys(counts)) {
+          entry.score += SEARCH_FIELDS[field] * (1 + Math.log(counts[field])) * idf;
+          entry.matchedFields.add(field);
+        }
+      }
+    }
+
+    return [...scores.values()]
+      .map(entry => ({
+        id: entry.id,
+        score: Math.round(entry.score * 1000) / 1000,
+        matchedFields: Object.keys(SEARCH_FIELDS).filter(f => entry.matchedFields.has(f))
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SearchIndex,
+  tokenize,
+  parseQuery,
+  getSearchableText,
+  getMatchedFields
+};
@@ -5,11 +5,24 @@
 
 const path = require('path');
 const BaseAdapter = require('./base-adapter');
+const { TransitionError, VersionConflictError } = require('./errors');
+const { parseQuery, getMatchedFields } = require('./search-index');
+const { parseSort, encodeCursor, projectTicket, wantsField, PRIORITY_RANK, NO_PRIORITY_RANK } = require('./list-options');
+
+// SQL expression matching list-options getSortValue() for priority
+const PRIORITY_RANK_SQL = 'CASE priority ' +
+  Object.keys(PRIORITY_RANK).map(p => `WHEN '${p}' THEN ${PRIORITY_RANK[p]}`).join(' ') +
+  ` ELSE ${NO_PRIORITY_RANK} END`;
+
+// Max ticket IDs per IN (...) query when batch-loading relations
+const BATCH_SIZE = 500;
 
 class SqliteAdapter extends BaseAdapter {
   constructor(config) {
     super(config);
     this.dbPath = path.resolve(config.sqlitePath || './tickets.db');
+    // Attachment files go next to the database, not in it
+    this.attachments = this.createAttachmentStore(path.join(path.dirname(this.dbPath), 'ticket-attachments'));
     this.db = null;
   }
 
@@ -37,10 +50,21 @@ class SqliteAdapter extends BaseAdapter {
         route TEXT NOT NULL,
         f12Errors TEXT DEFAULT '',
         serverErrors TEXT DEFAULT '',
+        networkErrors TEXT DEFAULT '[]',
+        breadcrumbs TEXT DEFAULT '[]',
         description TEXT DEFAULT '',
         status TEXT NOT NULL DEFAULT 'open',
         priority TEXT CHECK (priority IS NULL OR priority IN ('critical', 'high', 'medium', 'low')),
         namespace TEXT,
+        claimedBy TEXT,
+        claimExpiresAt TEXT,
+        assignee TEXT,
+        reporter TEXT,
+        fingerprint TEXT,
+        occurrenceCount INTEGER NOT NULL DEFAULT 1,
+        firstSeenAt TEXT,
+        lastSeenAt TEXT,
+        version INTEGER NOT NULL DEFAULT 1,
         createdAt TEXT NOT NULL,
         updatedAt TEXT NOT NULL
       );
@@ -55,6 +79,14 @@ class SqliteAdapter extends BaseAdapter {
         UNIQUE(ticket_id, related_ticket_id)
       );
 
+      -- Ticket labels junction table
+      CREATE TABLE IF NOT EXISTS ticket_labels (
+        ticket_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+        PRIMARY KEY (ticket_id, label)
+      );
+
       -- Swarm actions log
       CREATE TABLE IF NOT EXISTS swarm_actions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -62,6 +94,12 @@ class SqliteAdapter extends BaseAdapter {
         timestamp TEXT NOT NULL,
         action TEXT NOT NULL,
         result TEXT,
+        agent TEXT,
+        files TEXT DEFAULT '[]',
+        commitSha TEXT,
+        durationMs INTEGER,
+        outcome TEXT,
+        metadata TEXT DEFAULT '{}',
         FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
       );
 
@@ -78,6 +116,16 @@ class SqliteAdapter extends BaseAdapter {
         FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
       );
 
+      -- Field-level change history (changes: JSON [{ field, from, to }])
+      CREATE TABLE IF NOT EXISTS ticket_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticket_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        actor TEXT,
+        changes TEXT NOT NULL DEFAULT '[]',
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+      );
+
       -- API Keys for bug report widget
       CREATE TABLE IF NOT EXISTS api_keys (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -98,27 +146,191 @@ class SqliteAdapter extends BaseAdapter {
         UNIQUE(identifier, window_start)
       );
 
+      -- Receipts of bug reports sent with an idempotency key (retries get the same receipt)
+      CREATE TABLE IF NOT EXISTS bug_report_keys (
+        key TEXT PRIMARY KEY,
+        receipt TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      -- Bug reporters' receipt tokens (hashed), with the email to notify if they consented
+      CREATE TABLE IF NOT EXISTS reporter_receipts (
+        id TEXT PRIMARY KEY,
+        ticket_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        email TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+      );
+
+      -- Outbound webhook subscriptions
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '[]',
+        secret TEXT,
+        description TEXT DEFAULT '',
+        enabled INTEGER DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      -- Webhook delivery log (one row per attempt)
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id TEXT NOT NULL,
+        delivery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        response_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER DEFAULT 0,
+        timestamp TEXT NOT NULL,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+      );
+
+      -- API tokens for the management API (only the hash is stored)
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        role TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used TEXT,
+        revoked_at TEXT
+      );
+
+      -- Known humans and swarm agents
+      CREATE TABLE IF NOT EXISTS agents (
+        name TEXT PRIMARY KEY,
+        type TEXT NOT NULL DEFAULT 'agent',
+        role TEXT,
+        last_active_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      -- Other projects served by this server (settings is JSON)
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        directory TEXT,
+        schema_name TEXT,
+        settings TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
       -- Create indexes
       CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status);
       CREATE INDEX IF NOT EXISTS idx_tickets_priority ON tickets(priority);
       CREATE INDEX IF NOT EXISTS idx_tickets_route ON tickets(route);
       CREATE INDEX IF NOT EXISTS idx_tickets_createdAt ON tickets(createdAt);
+      CREATE INDEX IF NOT EXISTS idx_tickets_updatedAt ON tickets(updatedAt);
+      CREATE INDEX IF NOT EXISTS idx_ticket_relations_ticket_id ON ticket_relations(ticket_id);
+      CREATE INDEX IF NOT EXISTS idx_ticket_labels_label ON ticket_labels(label);
       CREATE INDEX IF NOT EXISTS idx_swarm_actions_ticket_id ON swarm_actions(ticket_id);
       CREATE INDEX IF NOT EXISTS idx_comments_ticket_id ON comments(ticket_id);
+      CREATE INDEX IF NOT EXISTS idx_ticket_history_ticket_id ON ticket_history(ticket_id);
       CREATE INDEX IF NOT EXISTS idx_rate_limits_identifier ON rate_limits(identifier);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
+      CREATE INDEX IF NOT EXISTS idx_reporter_receipts_ticket_id ON reporter_receipts(ticket_id);
+
+      -- Full-text search index (one row per ticket, actions and comments concatenated)
+      CREATE VIRTUAL TABLE IF NOT EXISTS tickets_fts USING fts5(
+        ticket_id UNINDEXED,
+        description,
+        route,
+        f12Errors,
+        serverErrors,
+        swarmActions,
+        comments
+      );
+    `);
+
+    this._addMissingColumns();
+
+    // Indexes on added columns can only be created once the columns exist
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_tickets_claimExpiresAt ON tickets(claimExpiresAt);
+      CREATE INDEX IF NOT EXISTS idx_tickets_assignee ON tickets(assignee);
+      CREATE INDEX IF NOT EXISTS idx_tickets_fingerprint ON tickets(fingerprint);
     `);
 
     // Prepare commonly used statements
     this._prepareStatements();
+
+    // Fingerprint tickets created before fingerprints existed
+    this._backfillFingerprints();
+
+    // Build the search index for databases created before it existed
+    const ftsCount = this.db.prepare('SELECT COUNT(*) as count FROM tickets_fts').get().count;
+    const ticketCount = this.db.prepare('SELECT COUNT(*) as count FROM tickets').get().count;
+    if (ftsCount !== ticketCount) {
+      this._rebuildSearchIndex();
+    }
+  }
+
+  // Upgrade databases created by older versions (CREATE TABLE IF NOT EXISTS won't add new columns)
+  _addMissingColumns() {
+    const added = {
+      tickets: {
+        claimedBy: 'TEXT',
+        claimExpiresAt: 'TEXT',
+        version: 'INTEGER NOT NULL DEFAULT 1',
+        assignee: 'TEXT',
+        reporter: 'TEXT',
+        fingerprint: 'TEXT',
+        occurrenceCount: 'INTEGER NOT NULL DEFAULT 1',
+        firstSeenAt: 'TEXT',
+        lastSeenAt: 'TEXT',
+        networkErrors: "TEXT DEFAULT '[]'",
+        breadcrumbs: "TEXT DEFAULT '[]'"
+      },
+      swarm_actions: {
+        agent: 'TEXT',
+        files: "TEXT DEFAULT '[]'",
+        commitSha: 'TEXT',
+        durationMs: 'INTEGER',
+        outcome: 'TEXT',
+        metadata: "TEXT DEFAULT '{}'"
+      }
+    };
+
+    Object.entries(added).forEach(([table, columns]) => {
+      const existing = this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+      Object.entries(columns).forEach(([column, type]) => {
+        if (!existing.includes(column)) {
+          this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+      });
+    });
+  }
+
+  _backfillFingerprints() {
+    const rows = this.db.prepare('SELECT id, f12Errors, serverErrors FROM tickets WHERE firstSeenAt IS NULL').all();
+    if (rows.length === 0) return;
+
+    const update = this.db.prepare(`
+      UPDATE tickets SET fingerprint = ?, firstSeenAt = createdAt, lastSeenAt = createdAt WHERE id = ?
+    `);
+    this.db.transaction(() => {
+      rows.forEach(row => update.run(this.fingerprintTicket(row), row.id));
+    })();
   }
 
   _prepareStatements() {
     this.stmts = {
-      getAllTickets: this.db.prepare('SELECT * FROM tickets ORDER BY createdAt DESC'),
       getTicket: this.db.prepare('SELECT * FROM tickets WHERE id = ?'),
       insertTicket: this.db.prepare(`
-        INSERT INTO tickets (id, route, f12Errors, serverErrors, description, status, priority, namespace, createdAt, updatedAt)
-        VALUES (@id, @route, @f12Errors, @serverErrors, @description, @status, @priority, @namespace, @createdAt, @updatedAt)
+        INSERT INTO tickets (id, route, f12Errors, serverErrors, networkErrors, breadcrumbs, description, status, priority,
+          namespace, claimedBy, claimExpiresAt, assignee, reporter, fingerprint, occurrenceCount, firstSeenAt, lastSeenAt,
+          createdAt, updatedAt)
+        VALUES (@id, @route, @f12Errors, @serverErrors, @networkErrors, @breadcrumbs, @description, @status, @priority,
+          @namespace, @claimedBy, @claimExpiresAt, @assignee, @reporter, @fingerprint, @occurrenceCount, @firstSeenAt, @lastSeenAt,
+          @createdAt, @updatedAt)
       `),
       updateTicket: this.db.prepare(`
         UPDATE tickets SET
@@ -129,21 +341,43 @@ class SqliteAdapter extends BaseAdapter {
           status = COALESCE(@status, status),
           priority = @priority,
           namespace = @namespace,
+          claimedBy = @claimedBy,
+          claimExpiresAt = @claimExpiresAt,
+          assignee = @assignee,
+          reporter = @reporter,
+          fingerprint = @fingerprint,
+          occurrenceCount = @occurrenceCount,
+          lastSeenAt = @lastSeenAt,
+          version = version + 1,
           updatedAt = @updatedAt
         WHERE id = @id
       `),
+      // Record a write to a ticket's swarm actions or comments
+      touchTicket: this.db.prepare('UPDATE tickets SET updatedAt = ?, version = version + 1 WHERE id = ?'),
       deleteTicket: this.db.prepare('DELETE FROM tickets WHERE id = ?'),
 
       // Relations
-      getRelatedTickets: this.db.prepare('SELECT related_ticket_id FROM ticket_relations WHERE ticket_id = ?'),
       insertRelation: this.db.prepare('INSERT OR IGNORE INTO ticket_relations (ticket_id, related_ticket_id) VALUES (?, ?)'),
       deleteRelations: this.db.prepare('DELETE FROM ticket_relations WHERE ticket_id = ?'),
 
+      // Labels
+      insertLabel: this.db.prepare('INSERT OR IGNORE INTO ticket_labels (ticket_id, label) VALUES (?, ?)'),
+      deleteLabels: this.db.prepare('DELETE FROM ticket_labels WHERE ticket_id = ?'),
+      countLabels: this.db.prepare(`
+        SELECT label, COUNT(*) as count FROM ticket_labels GROUP BY label ORDER BY count DESC, label ASC
+      `),
+
       // Swarm actions
-      getSwarmActions: this.db.prepare('SELECT * FROM swarm_actions WHERE ticket_id = ? ORDER BY timestamp ASC'),
       insertSwarmAction: this.db.prepare(`
-        INSERT INTO swarm_actions (ticket_id, timestamp, action, result)
-        VALUES (@ticket_id, @timestamp, @action, @result)
+        INSERT INTO swarm_actions (ticket_id, timestamp, action, result, agent, files, commitSha, durationMs, outcome, metadata)
+        VALUES (@ticket_id, @timestamp, @action, @result, @agent, @files, @commitSha, @durationMs, @outcome, @metadata)
+      `),
+
+      // History
+      getHistory: this.db.prepare('SELECT * FROM ticket_history WHERE ticket_id = ? ORDER BY id ASC'),
+      insertHistory: this.db.prepare(`
+        INSERT INTO ticket_history (ticket_id, timestamp, actor, changes)
+        VALUES (@ticket_id, @timestamp, @actor, @changes)
       `),
 
       // Comments
@@ -174,10 +408,123 @@ class SqliteAdapter extends BaseAdapter {
         VALUES (@identifier, @window_start, 1)
         ON CONFLICT(identifier, window_start) DO UPDATE SET request_count = request_count + 1
       `),
-      cleanOldRateLimits: this.db.prepare('DELETE FROM rate_limits WHERE window_start < ?')
+      cleanOldRateLimits: this.db.prepare('DELETE FROM rate_limits WHERE window_start < ?'),
+
+      // Bug report idempotency keys
+      getBugReportKey: this.db.prepare('SELECT * FROM bug_report_keys WHERE key = ? AND created_at >= ?'),
+      upsertBugReportKey: this.db.prepare(`
+        INSERT INTO bug_report_keys (key, receipt, created_at) VALUES (@key, @receipt, @created_at)
+        ON CONFLICT(key) DO UPDATE SET receipt = excluded.receipt, created_at = excluded.created_at
+      `),
+      cleanOldBugReportKeys: this.db.prepare('DELETE FROM bug_report_keys WHERE created_at < ?'),
+
+      // Reporter receipts
+      insertReporterReceipt: this.db.prepare(`
+        INSERT INTO reporter_receipts (id, ticket_id, token_hash, email, created_at)
+        VALUES (@id, @ticket_id, @token_hash, @email, @created_at)
+      `),
+      findReporterReceipt: this.db.prepare('SELECT * FROM reporter_receipts WHERE token_hash = ?'),
+      listReporterReceipts: this.db.prepare('SELECT * FROM reporter_receipts WHERE ticket_id = ? ORDER BY created_at, id'),
+
+      // Auth tokens
+      insertAuthToken: this.db.prepare(`
+        INSERT INTO auth_tokens (id, name, role, token_hash, created_at)
+        VALUES (@id, @name, @role, @token_hash, @created_at)
+      `),
+      listAuthTokens: this.db.prepare('SELECT * FROM auth_tokens ORDER BY created_at ASC'),
+      findAuthToken: this.db.prepare('SELECT * FROM auth_tokens WHERE token_hash = ? AND revoked_at IS NULL'),
+      touchAuthToken: this.db.prepare('UPDATE auth_tokens SET last_used = ? WHERE id = ?'),
+      revokeAuthToken: this.db.prepare('UPDATE auth_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+
+      // Agents
+      listAgents: this.db.prepare('SELECT * FROM agents ORDER BY last_active_at IS NULL, last_active_at DESC, name ASC'),
+      getAgent: this.db.prepare('SELECT * FROM agents WHERE name = ?'),
+      upsertAgent: this.db.prepare(`
+        INSERT INTO agents (name, type, role, created_at, updated_at)
+        VALUES (@name, @type, @role, @now, @now)
+        ON CONFLICT(name) DO UPDATE SET type = excluded.type, role = excluded.role, updated_at = excluded.updated_at
+      `),
+      touchAgent: this.db.prepare(`
+        INSERT INTO agents (name, type, last_active_at, created_at, updated_at)
+        VALUES (@name, @type, @now, @now, @now)
+        ON CONFLICT(name) DO UPDATE SET last_active_at = excluded.last_active_at
+      `),
+      deleteAgent: this.db.prepare('DELETE FROM agents WHERE name = ?'),
+
+      // Projects
+      listProjects: this.db.prepare('SELECT * FROM projects ORDER BY id ASC'),
+      getProject: this.db.prepare('SELECT * FROM projects WHERE id = ?'),
+      insertProject: this.db.prepare(`
+        INSERT INTO projects (id, name, description, directory, schema_name, settings, created_at, updated_at)
+        VALUES (@id, @name, @description, @directory, @schema_name, @settings, @now, @now)
+      `),
+      updateProject: this.db.prepare(`
+        UPDATE projects SET name = @name, description = @description, settings = @settings, updated_at = @now
+        WHERE id = @id
+      `),
+      deleteProject: this.db.prepare('DELETE FROM projects WHERE id = ?'),
+
+      // Webhooks
+      listWebhooks: this.db.prepare('SELECT * FROM webhooks ORDER BY created_at ASC'),
+      getWebhook: this.db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+      insertWebhook: this.db.prepare(`
+        INSERT INTO webhooks (id, url, events, secret, description, enabled, created_at, updated_at)
+        VALUES (@id, @url, @events, @secret, @description, @enabled, @created_at, @updated_at)
+      `),
+      updateWebhook: this.db.prepare(`
+        UPDATE webhooks SET url = @url, events = @events, secret = @secret,
+          description = @description, enabled = @enabled, updated_at = @updated_at
+        WHERE id = @id
+      `),
+      deleteWebhook: this.db.prepare('DELETE FROM webhooks WHERE id = ?'),
+      insertWebhookDelivery: this.db.prepare(`
+        INSERT INTO webhook_deliveries (webhook_id, delivery_id, event, attempt, status, response_status, error, duration_ms, timestamp)
+        VALUES (@webhook_id, @delivery_id, @event, @attempt, @status, @response_status, @error, @duration_ms, @timestamp)
+      `),
+      getWebhookDeliveries: this.db.prepare(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?'
+      ),
+      pruneWebhookDeliveries: this.db.prepare(
+        'DELETE FROM webhook_deliveries WHERE id <= (SELECT MAX(id) FROM webhook_deliveries) - ?'
+      ),
+
+      // Full-text search
+      deleteSearchEntry: this.db.prepare('DELETE FROM tickets_fts WHERE ticket_id = ?'),
+      insertSearchEntry: this.db.prepare(`
+        INSERT INTO tickets_fts (ticket_id, description, route, f12Errors, serverErrors, swarmActions, comments)
+        SELECT t.id, t.description, t.route, t.f12Errors, t.serverErrors,
+          (SELECT group_concat(COALESCE(action, '') || ' ' || COALESCE(result, ''), ' ')
+            FROM swarm_actions WHERE ticket_id = t.id),
+          (SELECT group_concat(content, ' ') FROM comments WHERE ticket_id = t.id)
+        FROM tickets t WHERE t.id = ?
+      `)
     };
   }
 
+  // Throws before a conditional write - callers check and write without yielding in between
+  _assertVersion(row, expectedVersion) {
+    if (expectedVersion !== undefined && row.version !== expectedVersion) {
+      throw new VersionConflictError(this._buildFullTicket(row));
+    }
+  }
+
+  // Refresh a ticket's row in the full-text index
+  _reindexTicket(id) {
+    this.stmts.deleteSearchEntry.run(id);
+    this.stmts.insertSearchEntry.run(id);
+  }
+
+  _rebuildSearchIndex() {
+    const ids = this.db.prepare('SELECT id FROM tickets').all();
+    const transaction = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM tickets_fts').run();
+      for (const { id } of ids) {
+        this.stmts.insertSearchEntry.run(id);
+      }
+    });
+    transaction();
+  }
+
   async close() {
     if (this.db) {
       this.db.close();
@@ -185,37 +532,167 @@ class SqliteAdapter extends BaseAdapter {
     }
   }
 
-  // Helper to build full ticket object with relations and actions
-  _buildFullTicket(row) {
-    if (!row) return null;
+  _rowToSwarmAction(a) {
+    return {
+      timestamp: a.timestamp,
+      action: a.action,
+      result: a.result,
+      agent: a.agent,
+      files: JSON.parse(a.files || '[]'),
+      commit: a.commitSha,
+      durationMs: a.durationMs,
+      outcome: a.outcome,
+      metadata: JSON.parse(a.metadata || '{}')
+    };
+  }
 
-    const relatedRows = this.stmts.getRelatedTickets.all(row.id);
-    const swarmActions = this.stmts.getSwarmActions.all(row.id);
-    const comments = this.stmts.getComments.all(row.id);
+  // Swarm action -> insertSwarmAction parameters
+  _swarmActionToRow(ticketId, action) {
+    return {
+      ticket_id: ticketId,
+      timestamp: action.timestamp,
+      action: action.action,
+      result: action.result,
+      agent: action.agent,
+      files: JSON.stringify(action.files),
+      commitSha: action.commit,
+      durationMs: action.durationMs,
+      outcome: action.outcome,
+      metadata: JSON.stringify(action.metadata)
+    };
+  }
 
+  _rowToComment(c) {
     return {
-      ...row,
-      relatedTickets: relatedRows.map(r => r.related_ticket_id),
-      swarmActions: swarmActions.map(a => ({
-        timestamp: a.timestamp,
-        action: a.action,
-        result: a.result
-      })),
-      comments: comments.map(c => ({
-        id: c.id,
-        timestamp: c.timestamp,
-        type: c.type,
-        author: c.author,
-        content: c.content,
-        metadata: JSON.parse(c.metadata || '{}'),
-        editedAt: c.editedAt
-      }))
+      id: c.id,
+      timestamp: c.timestamp,
+      type: c.type,
+      author: c.author,
+      content: c.content,
+      metadata: JSON.parse(c.metadata || '{}'),
+      editedAt: c.editedAt
+    };
+  }
+
+  _rowToAuthToken(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role,
+      createdAt: row.created_at,
+      lastUsed: row.last_used,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  _rowToReporterReceipt(row) {
+    return {
+      id: row.id,
+      ticketId: row.ticket_id,
+      email: row.email,
+      createdAt: row.created_at
+    };
+  }
+
+  _rowToAgent(row) {
+    return {
+      name: row.name,
+      type: row.type,
+      role: row.role,
+      lastActiveAt: row.last_active_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _rowToProject(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      directory: row.directory,
+      schema: row.schema_name,
+      settings: JSON.parse(row.settings || '{}'),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
     };
   }
 
+  _rowToWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: JSON.parse(row.events || '[]'),
+      secret: row.secret,
+      description: row.description,
+      enabled: Boolean(row.enabled),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _rowToWebhookDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      deliveryId: row.delivery_id,
+      event: row.event,
+      attempt: row.attempt,
+      status: row.status,
+      responseStatus: row.response_status,
+      error: row.error,
+      durationMs: row.duration_ms,
+      timestamp: row.timestamp
+    };
+  }
+
+  // Load rows of a relation table for many tickets at once, grouped by ticket_id
+  _loadRelationRows(table, ids, orderBy = 'id') {
+    const grouped = new Map(ids.map(id => [id, []]));
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const batch = ids.slice(i, i + BATCH_SIZE);
+      const placeholders = batch.map(() => '?').join(', ');
+      const rows = this.db.prepare(
+        `SELECT * FROM ${table} WHERE ticket_id IN (${placeholders}) ORDER BY ${orderBy} ASC`
+      ).all(...batch);
+      rows.forEach(row => grouped.get(row.ticket_id).push(row));
+    }
+
+    return grouped;
+  }
+
+  // Helper to build full ticket objects with relations and actions
+  // Relations are loaded with one query per relation table, and only when requested by fields
+  _buildFullTickets(rows, fields = null) {
+    if (rows.length === 0) return [];
+
+    const ids = rows.map(row => row.id);
+    const relations = wantsField(fields, 'relatedTickets') ? this._loadRelationRows('ticket_relations', ids) : null;
+    const labels = wantsField(fields, 'labels') ? this._loadRelationRows('ticket_labels', ids, 'label') : null;
+    const actions = wantsField(fields, 'swarmActions') ? this._loadRelationRows('swarm_actions', ids, 'timestamp') : null;
+    const comments = wantsField(fields, 'comments') ? this._loadRelationRows('comments', ids, 'timestamp') : null;
+
+    return rows.map(row => projectTicket({
+      ...row,
+      networkErrors: JSON.parse(row.networkErrors || '[]'),
+      breadcrumbs: JSON.parse(row.breadcrumbs || '[]'),
+      relatedTickets: relations ? relations.get(row.id).map(r => r.related_ticket_id) : undefined,
+      labels: labels ? labels.get(row.id).map(l => l.label) : undefined,
+      swarmActions: actions ? actions.get(row.id).map(a => this._rowToSwarmAction(a)) : undefined,
+      comments: comments ? comments.get(row.id).map(c => this._rowToComment(c)) : undefined
+    }, fields));
+  }
+
+  _buildFullTicket(row) {
+    if (!row) return null;
+    return this._buildFullTickets([row])[0];
+  }
+
   // ==================== TICKET OPERATIONS ====================
 
-  async getAllTickets(filters = {}) {
+  async listTickets(filters = {}, options = {}) {
+    const sort = options.sort || parseSort();
     let query = 'SELECT * FROM tickets WHERE 1=1';
     const params = [];
 
@@ -235,19 +712,77 @@ class SqliteAdapter extends BaseAdapter {
       query += ' AND route LIKE ?';
       params.push(`%${filters.route}%`);
     }
+    if (filters.namespace) {
+      query += ' AND namespace = ?';
+      params.push(filters.namespace);
+    }
+    if (filters.assignee) {
+      query += ' AND assignee = ?';
+      params.push(filters.assignee);
+    }
+    if (filters.label) {
+      query += ' AND id IN (SELECT ticket_id FROM ticket_labels WHERE label = ?)';
+      params.push(filters.label);
+    }
+    if (filters.fingerprint) {
+      query += ' AND fingerprint = ?';
+      params.push(filters.fingerprint);
+    }
+    if (filters.untriaged) {
+      query += ' AND priority IS NULL';
+    }
+    if (filters.claimExpiredBefore) {
+      query += ' AND claimExpiresAt <= ?';
+      params.push(filters.claimExpiredBefore);
+    }
+    if (filters.unclaimedAt) {
+      query += ' AND (claimedBy IS NULL OR claimExpiresAt IS NULL OR claimExpiresAt <= ?)';
+      params.push(filters.unclaimedAt);
+    }
+
+    const sortExpr = sort.field === 'priority' ? PRIORITY_RANK_SQL : sort.field;
+    const direction = sort.descending ? 'DESC' : 'ASC';
 
-    query += ' ORDER BY createdAt DESC';
+    // Keyset pagination: continue strictly after the (sort value, id) of the cursor
+    if (options.cursor) {
+      const op = sort.descending ? '<' : '>';
+      query += ` AND ((${sortExpr}) ${op} ? OR ((${sortExpr}) = ? AND id ${op} ?))`;
+      params.push(options.cursor.value, options.cursor.value, options.cursor.id);
+    }
 
-    const rows = this.db.prepare(query).all(...params);
-    return rows.map(row => this._buildFullTicket(row));
+    query += ` ORDER BY ${sortExpr} ${direction}, id ${direction}`;
+
+    if (options.limit) {
+      // Fetch one extra row to know whether another page exists
+      query += ' LIMIT ?';
+      params.push(options.limit + 1);
+    }
+
+    let rows = this.db.prepare(query).all(...params);
+
+    let nextCursor = null;
+    if (options.limit && rows.length > options.limit) {
+      rows = rows.slice(0, options.limit);
+      nextCursor = encodeCursor(rows[rows.length - 1], sort);
+    }
+
+    return { tickets: this._buildFullTickets(rows, options.fields), nextCursor };
   }
 
+  // The ticket methods below run only synchronous statements; their synchronous versions (_getTicket, _updateTicket,
+  // ...) are what bulk operations and the queue call inside db.transaction(), where nothing may be awaited
+
   async getTicket(id) {
-    const row = this.stmts.getTicket.get(id);
-    return this._buildFullTicket(row);
+    return this._getTicket(id);
   }
 
-  async createTicket(ticketData) {
+  _getTicket(id) {
+    return this._buildFullTicket(this.stmts.getTicket.get(id));
+  }
+
+  async createTicket(ticketData, options = {}) {
+    this.assertValidTicketFields(ticketData, { anyStatus: options.imported });
+    ticketData = this.scrubTicketData(ticketData);
     const now = new Date().toISOString();
     const id = ticketData.id || this.generateTicketId();  // Allow custom ID for migration
 
@@ -256,10 +791,20 @@ class SqliteAdapter extends BaseAdapter {
       route: ticketData.route || '',
       f12Errors: ticketData.f12Errors || '',
       serverErrors: ticketData.serverErrors || '',
+      networkErrors: JSON.stringify(this.normalizeNetworkErrors(ticketData.networkErrors)),
+      breadcrumbs: JSON.stringify(this.normalizeBreadcrumbs(ticketData.breadcrumbs)),
       description: ticketData.description || '',
-      status: ticketData.status || 'open',
+      status: ticketData.status || this.workflow.initial,
       priority: ticketData.priority || null,
       namespace: ticketData.namespace || null,
+      claimedBy: ticketData.claimedBy || null,
+      claimExpiresAt: ticketData.claimExpiresAt || null,
+      assignee: ticketData.assignee || null,
+      reporter: ticketData.reporter || null,
+      fingerprint: this.fingerprintTicket(ticketData),
+      occurrenceCount: ticketData.occurrenceCount || 1,
+      firstSeenAt: ticketData.firstSeenAt || ticketData.createdAt || now,
+      lastSeenAt: ticketData.lastSeenAt || ticketData.createdAt || now,
       createdAt: ticketData.createdAt || now,  // Allow custom timestamps for migration
       updatedAt: ticketData.updatedAt || now
     };
@@ -274,15 +819,14 @@ class SqliteAdapter extends BaseAdapter {
         }
       }
 
+      for (const label of this.normalizeLabels(ticketData.labels)) {
+        this.stmts.insertLabel.run(id, label);
+      }
+
       // Insert swarm actions
       if (ticketData.swarmActions && ticketData.swarmActions.length > 0) {
         for (const action of ticketData.swarmActions) {
-          this.stmts.insertSwarmAction.run({
-            ticket_id: id,
-            timestamp: action.timestamp || now,
-            action: action.action,
-            result: action.result || null
-          });
+          this.stmts.insertSwarmAction.run(this._swarmActionToRow(id, this.buildSwarmAction(action, now)));
         }
       }
 
@@ -300,19 +844,45 @@ class SqliteAdapter extends BaseAdapter {
           });
         }
       }
+
+      // Insert change history (migrations)
+      if (ticketData.history && ticketData.history.length > 0) {
+        for (const entry of ticketData.history) {
+          this.stmts.insertHistory.run({
+            ticket_id: id,
+            timestamp: entry.timestamp || now,
+            actor: entry.actor || null,
+            changes: JSON.stringify(entry.changes || [])
+          });
+        }
+      }
+
+      this._reindexTicket(id);
     });
 
     transaction();
     return this.getTicket(id);
   }
 
-  async updateTicket(id, updates) {
-    const existing = await this.getTicket(id);
+  async updateTicket(id, updates, context = {}) {
+    return this._updateTicket(id, updates, context);
+  }
+
+  _updateTicket(id, updates, context = {}) {
+    this.assertValidTicketFields(updates);
+    const scrubbed = this.scrubTicketUpdates(updates);
+    updates = scrubbed.updates;
+    if (updates.labels !== undefined) {
+      updates = { ...updates, labels: this.normalizeLabels(updates.labels) };
+    }
+    const existing = this._getTicket(id);
     if (!existing) return null;
 
     const now = new Date().toISOString();
+    const changes = this.diffTicketFields(existing, updates);
 
     const transaction = this.db.transaction(() => {
+      this._assertVersion(this.stmts.getTicket.get(id), context.expectedVersion);
       this.stmts.updateTicket.run({
         id,
         route: updates.route,
@@ -322,6 +892,13 @@ class SqliteAdapter extends BaseAdapter {
         status: updates.status,
         priority: updates.priority !== undefined ? updates.priority : existing.priority,
         namespace: updates.namespace !== undefined ? updates.namespace : existing.namespace,
+        claimedBy: updates.claimedBy !== undefined ? updates.claimedBy : existing.claimedBy,
+        claimExpiresAt: updates.claimExpiresAt !== undefined ? updates.claimExpiresAt : existing.claimExpiresAt,
+        assignee: updates.assignee !== undefined ? updates.assignee : existing.assignee,
+        reporter: updates.reporter !== undefined ? updates.reporter : existing.reporter,
+        fingerprint: this.fingerprintTicket(existing, updates),
+        occurrenceCount: updates.occurrenceCount !== undefined ? updates.occurrenceCount : existing.occurrenceCount,
+        lastSeenAt: updates.lastSeenAt !== undefined ? updates.lastSeenAt : existing.lastSeenAt,
         updatedAt: now
       });
 
@@ -332,42 +909,228 @@ class SqliteAdapter extends BaseAdapter {
           this.stmts.insertRelation.run(id, relatedId);
         }
       }
+
+      if (updates.labels !== undefined) {
+        this.stmts.deleteLabels.run(id);
+        for (const label of updates.labels) {
+          this.stmts.insertLabel.run(id, label);
+        }
+      }
+
+      if (changes.length > 0) {
+        this.stmts.insertHistory.run({
+          ticket_id: id,
+          timestamp: now,
+          actor: context.actor || null,
+          changes: JSON.stringify(changes)
+        });
+      }
+
+      this._reindexTicket(id);
     });
 
     transaction();
-    return this.getTicket(id);
+    if (scrubbed.note) {
+      return this._addSwarmAction(id, scrubbed.note);
+    }
+    return this._getTicket(id);
   }
 
   async deleteTicket(id) {
+    return this._deleteTicket(id);
+  }
+
+  _deleteTicket(id) {
     const result = this.stmts.deleteTicket.run(id);
+    this.stmts.deleteSearchEntry.run(id);
     return result.changes > 0;
   }
 
+  async linkRelatedTickets(id, relatedIds) {
+    if (!this.stmts.getTicket.get(id)) return false;
+
+    this.db.transaction(() => {
+      this.stmts.deleteRelations.run(id);
+      for (const relatedId of relatedIds) {
+        this.stmts.insertRelation.run(id, relatedId);
+      }
+    })();
+    return true;
+  }
+
+  // ==================== BULK OPERATIONS ====================
+
+  async bulkUpdateTickets(ids, operation) {
+    this.assertValidBulkOperation(operation);
+
+    // Either every ticket in the batch is changed or none is. Nothing in the transaction is awaited,
+    // so no other request's writes can land in the middle of it
+    const transaction = this.db.transaction(() => ids.map(id => this._applyBulkOperation(id, operation)));
+    return transaction();
+  }
+
+  // The synchronous counterpart of BaseAdapter's _applyBulkOperation
+  _applyBulkOperation(id, operation) {
+    const ticket = this._getTicket(id);
+    const history = ticket ? this._getTicketHistory(id) : [];
+    const error = this.getBulkOperationError(ticket, operation, history);
+    if (error) {
+      return { id, ok: false, error };
+    }
+    const previousStatus = ticket.status;
+    const context = { actor: operation.actor };
+
+    switch (operation.type) {
+      case 'set-status':
+      case 'set-priority':
+      case 'set-namespace':
+      case 'set-assignee': {
+        const field = BaseAdapter.BULK_OPERATION_FIELDS[operation.type];
+        const updated = this._updateTicket(id, { [field]: operation[field] }, context);
+        return { id, ok: true, previousStatus, ticket: updated };
+      }
+      case 'add-swarm-action': {
+        const updated = this._addSwarmAction(id, { agent: operation.actor, ...operation.swarmAction });
+        return { id, ok: true, previousStatus, ticket: updated };
+      }
+      case 'add-comment': {
+        const comment = this._addComment(id, operation.comment);
+        return { id, ok: true, previousStatus, ticket: this._getTicket(id), comment };
+      }
+      case 'close': {
+        this._updateTicket(id, { status: this.workflow.closed }, context);
+        const updated = this._addSwarmAction(id, this.buildCloseAction(previousStatus, operation));
+        return { id, ok: true, previousStatus, ticket: updated };
+      }
+      case 'delete':
+        this._deleteTicket(id);
+        return { id, ok: true, previousStatus };
+    }
+  }
+
+  // ==================== QUEUE OPERATIONS ====================
+
+  async dequeueTicket(agent, ttlSeconds, filters = {}) {
+    const ids = await this.getQueue(filters);
+    const { initial, inProgress } = this.workflow;
+
+    // Checked and claimed in one transaction with nothing awaited, so two agents can't take the same ticket
+    const transaction = this.db.transaction(() => {
+      for (const id of ids) {
+        // Another agent may have taken or changed it since the queue was read - move on to the next
+        const ticket = this._getTicket(id);
+        if (!ticket || ticket.status !== initial) continue;
+        const lease = this.getActiveLease(ticket);
+        if (lease && lease.agent !== agent) continue;
+
+        try {
+          this.assertTransitionFrom(ticket, inProgress, this._getTicketHistory(id));
+        } catch (error) {
+          if (error instanceof TransitionError) continue;
+          throw error;
+        }
+
+        const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+        this._updateTicket(id, { claimedBy: agent, claimExpiresAt: expiresAt }, { actor: agent });
+        if (!lease) {
+          this._addSwarmAction(id, this.buildClaimAction(agent, expiresAt));
+        }
+        this._updateTicket(id, { status: inProgress }, { actor: agent });
+        return this._addSwarmAction(id, this.buildDequeueAction(agent));
+      }
+      return null;
+    });
+    return transaction();
+  }
+
+  // ==================== HISTORY OPERATIONS ====================
+
+  async getTicketHistory(ticketId) {
+    return this._getTicketHistory(ticketId);
+  }
+
+  _getTicketHistory(ticketId) {
+    const ticket = this.stmts.getTicket.get(ticketId);
+    if (!ticket) return null;
+
+    return this.stmts.getHistory.all(ticketId).map(row => ({
+      timestamp: row.timestamp,
+      actor: row.actor,
+      changes: JSON.parse(row.changes)
+    }));
+  }
+
+  // ==================== SEARCH OPERATIONS ====================
+
+  async searchTickets(query, options = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+
+    // Terms are letters/digits only, so quoting each one yields a safe FTS5 query
+    const match = terms.map(t => `"${t}"`).join(' OR ');
+    const params = [match];
+
+    // bm25() weights follow column order: ticket_id, description, route, f12Errors, serverErrors, swarmActions, comments
+    let sql = `
+      SELECT f.ticket_id, bm25(tickets_fts, 0, 3, 2, 1.5, 1.5, 1, 1) AS rank
+      FROM tickets_fts f
+      JOIN tickets t ON t.id = f.ticket_id
+      WHERE tickets_fts MATCH ?
+    `;
+    if (options.status) {
+      sql += ' AND t.status = ?';
+      params.push(options.status);
+    }
+    sql += ' ORDER BY rank LIMIT ?';
+    params.push(options.limit || 20);
+
+    const rows = this.db.prepare(sql).all(...params);
+    return rows.map(row => {
+      const ticket = this._buildFullTicket(this.stmts.getTicket.get(row.ticket_id));
+      return {
+        ticket,
+        // bm25() is lower-is-better; flip it so higher scores rank first like the other adapters
+        score: -row.rank,
+        matchedFields: getMatchedFields(ticket, terms)
+      };
+    });
+  }
+
+  // ==================== LABEL OPERATIONS ====================
+
+  async listLabels() {
+    return this.stmts.countLabels.all();
+  }
+
   // ==================== SWARM ACTION OPERATIONS ====================
 
   async addSwarmAction(ticketId, action) {
-    const ticket = await this.getTicket(ticketId);
-    if (!ticket) return null;
+    return this._addSwarmAction(ticketId, action);
+  }
+
+  _addSwarmAction(ticketId, action) {
+    if (!this.stmts.getTicket.get(ticketId)) return null;
 
     const now = new Date().toISOString();
 
-    this.stmts.insertSwarmAction.run({
-      ticket_id: ticketId,
-      timestamp: now,
-      action: action.action,
-      result: action.result || null
-    });
+    this.stmts.insertSwarmAction.run(this._swarmActionToRow(ticketId, this.buildSwarmAction(action, now)));
 
-    this.db.prepare('UPDATE tickets SET updatedAt = ? WHERE id = ?').run(now, ticketId);
+    this.stmts.touchTicket.run(now, ticketId);
+    this._reindexTicket(ticketId);
 
-    return this.getTicket(ticketId);
+    return this._getTicket(ticketId);
   }
 
   // ==================== COMMENT OPERATIONS ====================
 
   async addComment(ticketId, commentData) {
-    const ticket = await this.getTicket(ticketId);
-    if (!ticket) return null;
+    return this._addComment(ticketId, commentData);
+  }
+
+  _addComment(ticketId, commentData) {
+    if (!this.stmts.getTicket.get(ticketId)) return null;
+    const { data, redactions } = this.scrubber.scrubComment(commentData);
+    commentData = data;
 
     const now = new Date().toISOString();
     const commentId = this.generateCommentId();
@@ -383,7 +1146,11 @@ class SqliteAdapter extends BaseAdapter {
     };
 
     this.stmts.insertComment.run(comment);
-    this.db.prepare('UPDATE tickets SET updatedAt = ? WHERE id = ?').run(now, ticketId);
+    this.stmts.touchTicket.run(now, ticketId);
+    this._reindexTicket(ticketId);
+    if (redactions.length > 0) {
+      this._addSwarmAction(ticketId, this.buildScrubNote(redactions, `Redacted from comment ${commentId}`));
+    }
 
     return {
       id: commentId,
@@ -397,20 +1164,13 @@ class SqliteAdapter extends BaseAdapter {
 
   async getComments(ticketId) {
     const rows = this.stmts.getComments.all(ticketId);
-    return rows.map(c => ({
-      id: c.id,
-      timestamp: c.timestamp,
-      type: c.type,
-      author: c.author,
-      content: c.content,
-      metadata: JSON.parse(c.metadata || '{}'),
-      editedAt: c.editedAt
-    }));
+    return rows.map(c => this._rowToComment(c));
   }
 
-  async updateComment(ticketId, commentId, updates) {
+  async updateComment(ticketId, commentId, updates, context = {}) {
     const existing = this.stmts.getComment.get(commentId, ticketId);
     if (!existing) return null;
+    this._assertVersion(this.stmts.getTicket.get(ticketId), context.expectedVersion);
 
     const now = new Date().toISOString();
 
@@ -422,7 +1182,8 @@ class SqliteAdapter extends BaseAdapter {
       editedAt: now
     });
 
-    this.db.prepare('UPDATE tickets SET updatedAt = ? WHERE id = ?').run(now, ticketId);
+    this.stmts.touchTicket.run(now, ticketId);
+    this._reindexTicket(ticketId);
 
     const updated = this.stmts.getComment.get(commentId, ticketId);
     return {
@@ -440,7 +1201,8 @@ class SqliteAdapter extends BaseAdapter {
     const result = this.stmts.deleteComment.run(commentId, ticketId);
     if (result.changes > 0) {
       const now = new Date().toISOString();
-      this.db.prepare('UPDATE tickets SET updatedAt = ? WHERE id = ?').run(now, ticketId);
+      this.stmts.touchTicket.run(now, ticketId);
+      this._reindexTicket(ticketId);
       return true;
     }
     return false;
@@ -453,14 +1215,9 @@ class SqliteAdapter extends BaseAdapter {
     const statusRows = this.stmts.countByStatus.all();
     const priorityRows = this.stmts.countByPriority.all();
 
-    const byStatus = { open: 0, inProgress: 0, fixed: 0, closed: 0 };
+    const byStatus = this.workflow.countByStatus(statusRows);
     const byPriority = { critical: 0, high: 0, medium: 0, low: 0 };
 
-    statusRows.forEach(row => {
-      if (row.status === 'in-progress') byStatus.inProgress = row.count;
-      else if (byStatus[row.status] !== undefined) byStatus[row.status] = row.count;
-    });
-
     priorityRows.forEach(row => {
       if (row.priority && byPriority[row.priority] !== undefined) {
         byPriority[row.priority] = row.count;
@@ -476,7 +1233,7 @@ class SqliteAdapter extends BaseAdapter {
 
   // ==================== BUG REPORT OPERATIONS ====================
 
-  async createBugReport(reportData, apiKey = null) {
+  async admitBugReport(apiKey, ip) {
     // Validate API key if provided
     if (apiKey) {
       const keyRecord = this.stmts.getApiKey.get(apiKey);
@@ -488,7 +1245,7 @@ class SqliteAdapter extends BaseAdapter {
     }
 
     // Check rate limit (IP-based if no API key)
-    const identifier = apiKey || reportData.ip || 'anonymous';
+    const identifier = this.rateLimitIdentifier(apiKey, ip);
     const windowStart = new Date();
     windowStart.setMinutes(0, 0, 0); // Hour window
     const windowKey = windowStart.toISOString();
@@ -507,14 +1264,18 @@ class SqliteAdapter extends BaseAdapter {
 
     // Increment rate limit
     this.stmts.upsertRateLimit.run({ identifier, window_start: windowKey });
+  }
 
-    // Create the ticket
-    const ticket = await this.createTicket({
+  async createBugReport(reportData) {
+    // Create the ticket (or count the report on the open ticket with the same errors)
+    const { ticket, created } = await this.createOrRecordTicket({
       route: reportData.location || reportData.route || 'unknown',
       f12Errors: reportData.clientError || reportData.f12Errors || '',
       serverErrors: '',
+      networkErrors: reportData.networkErrors || [],
+      breadcrumbs: reportData.breadcrumbs || [],
       description: reportData.description || '',
-      status: 'open',
+      status: this.workflow.initial,
       priority: null,
       swarmActions: [{
         timestamp: new Date().toISOString(),
@@ -526,8 +1287,233 @@ class SqliteAdapter extends BaseAdapter {
     return {
       id: ticket.id,
       status: 'submitted',
-      message: 'Bug report received. Thank you!'
+      message: 'Bug report received. Thank you!',
+      duplicate: !created
+    };
+  }
+
+  async getBugReportReceipt(key) {
+    const cutoff = new Date(Date.now() - BaseAdapter.BUG_REPORT_KEY_TTL_MS).toISOString();
+    const row = this.stmts.getBugReportKey.get(key, cutoff);
+    return row ? JSON.parse(row.receipt) : null;
+  }
+
+  async saveBugReportReceipt(key, receipt) {
+    const now = new Date();
+    this.stmts.cleanOldBugReportKeys.run(new Date(now.getTime() - BaseAdapter.BUG_REPORT_KEY_TTL_MS).toISOString());
+    this.stmts.upsertBugReportKey.run({ key, receipt: JSON.stringify(receipt), created_at: now.toISOString() });
+  }
+
+  // ==================== REPORTER RECEIPT OPERATIONS ====================
+
+  async createReporterReceipt(receiptData) {
+    const row = {
+      id: this.generateReporterReceiptId(),
+      ticket_id: receiptData.ticketId,
+      token_hash: receiptData.tokenHash,
+      email: receiptData.email || null,
+      created_at: new Date().toISOString()
     };
+
+    this.stmts.insertReporterReceipt.run(row);
+    return this._rowToReporterReceipt(row);
+  }
+
+  async findReporterReceipt(tokenHash) {
+    const row = this.stmts.findReporterReceipt.get(tokenHash);
+    return row ? this._rowToReporterReceipt(row) : null;
+  }
+
+  async listReporterReceipts(ticketId) {
+    return this.stmts.listReporterReceipts.all(ticketId).map(row => this._rowToReporterReceipt(row));
+  }
+
+  // ==================== WEBHOOK OPERATIONS ====================
+
+  async listWebhooks() {
+    return this.stmts.listWebhooks.all().map(row => this._rowToWebhook(row));
+  }
+
+  async getWebhook(id) {
+    const row = this.stmts.getWebhook.get(id);
+    return row ? this._rowToWebhook(row) : null;
+  }
+
+  async createWebhook(webhookData) {
+    const now = new Date().toISOString();
+    const id = this.generateWebhookId();
+
+    this.stmts.insertWebhook.run({
+      id,
+      url: webhookData.url,
+      events: JSON.stringify(webhookData.events || []),
+      secret: webhookData.secret || null,
+      description: webhookData.description || '',
+      enabled: webhookData.enabled === undefined || webhookData.enabled ? 1 : 0,
+      created_at: now,
+      updated_at: now
+    });
+
+    return this.getWebhook(id);
+  }
+
+  async updateWebhook(id, updates) {
+    const existing = await this.getWebhook(id);
+    if (!existing) return null;
+
+    const merged = { ...existing };
+    ['url', 'events', 'secret', 'description', 'enabled'].forEach(field => {
+      if (updates[field] !== undefined) {
+        merged[field] = updates[field];
+      }
+    });
+
+    this.stmts.updateWebhook.run({
+      id,
+      url: merged.url,
+      events: JSON.stringify(merged.events),
+      secret: merged.secret,
+      description: merged.description,
+      enabled: merged.enabled ? 1 : 0,
+      updated_at: new Date().toISOString()
+    });
+
+    return this.getWebhook(id);
+  }
+
+  async deleteWebhook(id) {
+    // Delivery log rows are removed by ON DELETE CASCADE
+    const result = this.stmts.deleteWebhook.run(id);
+    return result.changes > 0;
+  }
+
+  async recordWebhookDelivery(delivery) {
+    const entry = {
+      webhook_id: delivery.webhookId,
+      delivery_id: delivery.deliveryId,
+      event: delivery.event,
+      attempt: delivery.attempt,
+      status: delivery.status,
+      response_status: delivery.responseStatus || null,
+      error: delivery.error || null,
+      duration_ms: delivery.durationMs || 0,
+      timestamp: new Date().toISOString()
+    };
+
+    const result = this.stmts.insertWebhookDelivery.run(entry);
+    this.stmts.pruneWebhookDeliveries.run(this.maxWebhookDeliveries);
+
+    return this._rowToWebhookDelivery({ id: result.lastInsertRowid, ...entry });
+  }
+
+  async listWebhookDeliveries(webhookId, limit = 50) {
+    return this.stmts.getWebhookDeliveries.all(webhookId, limit)
+      .map(row => this._rowToWebhookDelivery(row));
+  }
+
+  // ==================== AUTH TOKEN OPERATIONS ====================
+
+  async createAuthToken(tokenData) {
+    const row = {
+      id: this.generateAuthTokenId(),
+      name: tokenData.name || null,
+      role: tokenData.role,
+      token_hash: tokenData.tokenHash,
+      created_at: new Date().toISOString()
+    };
+
+    this.stmts.insertAuthToken.run(row);
+    return this._rowToAuthToken(row);
+  }
+
+  async listAuthTokens() {
+    return this.stmts.listAuthTokens.all().map(row => this._rowToAuthToken(row));
+  }
+
+  async findAuthToken(tokenHash) {
+    const row = this.stmts.findAuthToken.get(tokenHash);
+    return row ? this._rowToAuthToken(row) : null;
+  }
+
+  async touchAuthToken(id) {
+    this.stmts.touchAuthToken.run(new Date().toISOString(), id);
+  }
+
+  async revokeAuthToken(id) {
+    const result = this.stmts.revokeAuthToken.run(new Date().toISOString(), id);
+    return result.changes > 0;
+  }
+
+  // ==================== AGENT OPERATIONS ====================
+
+  async listAgents() {
+    return this.stmts.listAgents.all().map(row => this._rowToAgent(row));
+  }
+
+  async getAgent(name) {
+    const row = this.stmts.getAgent.get(name);
+    return row ? this._rowToAgent(row) : null;
+  }
+
+  async upsertAgent(name, data = {}) {
+    const existing = await this.getAgent(name);
+    this.stmts.upsertAgent.run({
+      name,
+      type: data.type !== undefined ? data.type : (existing ? existing.type : 'agent'),
+      role: data.role !== undefined ? data.role : (existing ? existing.role : null),
+      now: new Date().toISOString()
+    });
+    return this.getAgent(name);
+  }
+
+  async touchAgent(name, type) {
+    this.stmts.touchAgent.run({ name, type, now: new Date().toISOString() });
+  }
+
+  async deleteAgent(name) {
+    return this.stmts.deleteAgent.run(name).changes > 0;
+  }
+
+  // ==================== PROJECT OPERATIONS ====================
+
+  async listProjects() {
+    return this.stmts.listProjects.all().map(row => this._rowToProject(row));
+  }
+
+  async getProject(id) {
+    const row = this.stmts.getProject.get(id);
+    return row ? this._rowToProject(row) : null;
+  }
+
+  async createProject(project) {
+    this.stmts.insertProject.run({
+      id: project.id,
+      name: project.name,
+      description: project.description || '',
+      directory: project.directory || null,
+      schema_name: project.schema || null,
+      settings: JSON.stringify(project.settings || {}),
+      now: new Date().toISOString()
+    });
+    return this.getProject(project.id);
+  }
+
+  async updateProject(id, changes) {
+    const existing = await this.getProject(id);
+    if (!existing) return null;
+
+    this.stmts.updateProject.run({
+      id,
+      name: changes.name !== undefined ? changes.name : existing.name,
+      description: changes.description !== undefined ? changes.description : existing.description,
+      settings: JSON.stringify(changes.settings !== undefined ? changes.settings : existing.settings),
+      now: new Date().toISOString()
+    });
+    return this.getProject(id);
+  }
+
+  async deleteProject(id) {
+    return this.stmts.deleteProject.run(id).changes > 0;
   }
 
   // ==================== API KEY MANAGEMENT ====================
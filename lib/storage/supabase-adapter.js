@@ -4,6 +4,20 @@
  */
 
 const BaseAdapter = require('./base-adapter');
+const { DEFAULT_ATTACHMENTS_DIR } = require('../attachments');
+const { VersionConflictError } = require('./errors');
+const { SearchIndex, parseQuery } = require('./search-index');
+const { parseSort, encodeCursor, projectTicket, wantsField } = require('./list-options');
+
+// Ticket sort fields -> columns (priority_rank is a generated column matching list-options PRIORITY_RANK)
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  priority: 'priority_rank'
+};
+
+// Max ticket IDs per .in() filter when batch-loading relations (keeps request URLs short)
+const BATCH_SIZE = 200;
 
 class SupabaseAdapter extends BaseAdapter {
   constructor(config) {
@@ -11,6 +25,10 @@ class SupabaseAdapter extends BaseAdapter {
     this.supabaseUrl = config.supabaseUrl;
     this.supabaseKey = config.supabaseKey;
     this.supabaseServiceKey = config.supabaseServiceKey;
+    // Postgres schema holding this project's tables (see lib/projects.js); null for public
+    this.schema = config.supabaseSchema || null;
+    // Attachment files are kept on the server's local disk
+    this.attachments = this.createAttachmentStore(DEFAULT_ATTACHMENTS_DIR);
     this.client = null;
     this.adminClient = null;
   }
@@ -27,7 +45,7 @@ class SupabaseAdapter extends BaseAdapter {
       );
     }
 
-    this.client = createClient(this.supabaseUrl, this.supabaseKey);
+    this.client = createClient(this.supabaseUrl, this.supabaseKey, this.schema ? { db: { schema: this.schema } } : undefined);
 
     // Create admin client if service key is provided (for table creation)
     if (this.supabaseServiceKey) {
@@ -71,6 +89,22 @@ class SupabaseAdapter extends BaseAdapter {
   }
 
   _getCreateTablesSql() {
+    if (this.schema) {
+      // A project's own schema: create its tables there and let the API roles use them
+      // (the schema must also be listed under "Exposed schemas" in the Supabase API settings)
+      return `
+      CREATE SCHEMA IF NOT EXISTS ${this.schema};
+      SET search_path TO ${this.schema};
+      ${this._getTablesSql()}
+      GRANT USAGE ON SCHEMA ${this.schema} TO anon, authenticated, service_role;
+      GRANT ALL ON ALL TABLES IN SCHEMA ${this.schema} TO anon, authenticated, service_role;
+      GRANT ALL ON ALL SEQUENCES IN SCHEMA ${this.schema} TO anon, authenticated, service_role;
+      `;
+    }
+    return this._getTablesSql();
+  }
+
+  _getTablesSql() {
     return `
       -- Main tickets table
       CREATE TABLE IF NOT EXISTS tickets (
@@ -82,8 +116,27 @@ class SupabaseAdapter extends BaseAdapter {
         status TEXT NOT NULL DEFAULT 'open',
         priority TEXT CHECK (priority IS NULL OR priority IN ('critical', 'high', 'medium', 'low')),
         namespace TEXT,
+        claimed_by TEXT,
+        claim_expires_at TIMESTAMP WITH TIME ZONE,
+        assignee TEXT,
+        reporter TEXT,
+        fingerprint TEXT,
+        occurrence_count INTEGER NOT NULL DEFAULT 1,
+        first_seen_at TIMESTAMP WITH TIME ZONE,
+        last_seen_at TIMESTAMP WITH TIME ZONE,
+        network_errors JSONB DEFAULT '[]',
+        breadcrumbs JSONB DEFAULT '[]',
+        version INTEGER NOT NULL DEFAULT 1,
         created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        priority_rank SMALLINT GENERATED ALWAYS AS (
+          CASE priority WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 ELSE 4 END
+        ) STORED,
+        search_vector TSVECTOR GENERATED ALWAYS AS (
+          to_tsvector('simple',
+            coalesce(description, '') || ' ' || coalesce(route, '') || ' ' ||
+            coalesce(f12_errors, '') || ' ' || coalesce(server_errors, ''))
+        ) STORED
       );
 
       -- Related tickets junction table
@@ -94,13 +147,29 @@ class SupabaseAdapter extends BaseAdapter {
         UNIQUE(ticket_id, related_ticket_id)
       );
 
+      -- Ticket labels junction table
+      CREATE TABLE IF NOT EXISTS ticket_labels (
+        ticket_id TEXT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+        label TEXT NOT NULL,
+        PRIMARY KEY (ticket_id, label)
+      );
+
       -- Swarm actions log
       CREATE TABLE IF NOT EXISTS swarm_actions (
         id SERIAL PRIMARY KEY,
         ticket_id TEXT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
         timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
         action TEXT NOT NULL,
-        result TEXT
+        result TEXT,
+        agent TEXT,
+        files JSONB DEFAULT '[]',
+        commit_sha TEXT,
+        duration_ms INTEGER,
+        outcome TEXT CHECK (outcome IS NULL OR outcome IN ('success', 'failed', 'partial')),
+        metadata JSONB DEFAULT '{}',
+        search_vector TSVECTOR GENERATED ALWAYS AS (
+          to_tsvector('simple', coalesce(action, '') || ' ' || coalesce(result, ''))
+        ) STORED
       );
 
       -- Comments table
@@ -112,7 +181,19 @@ class SupabaseAdapter extends BaseAdapter {
         author TEXT DEFAULT 'anonymous',
         content TEXT DEFAULT '',
         metadata JSONB DEFAULT '{}',
-        edited_at TIMESTAMP WITH TIME ZONE
+        edited_at TIMESTAMP WITH TIME ZONE,
+        search_vector TSVECTOR GENERATED ALWAYS AS (
+          to_tsvector('simple', coalesce(content, ''))
+        ) STORED
+      );
+
+      -- Field-level change history (changes: [{ field, from, to }])
+      CREATE TABLE IF NOT EXISTS ticket_history (
+        id SERIAL PRIMARY KEY,
+        ticket_id TEXT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+        timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        actor TEXT,
+        changes JSONB NOT NULL DEFAULT '[]'
       );
 
       -- API Keys for bug report widget
@@ -135,23 +216,143 @@ class SupabaseAdapter extends BaseAdapter {
         UNIQUE(identifier, window_start)
       );
 
+      -- Receipts of bug reports sent with an idempotency key (retries get the same receipt)
+      CREATE TABLE IF NOT EXISTS bug_report_keys (
+        key TEXT PRIMARY KEY,
+        receipt JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- Bug reporters' receipt tokens (hashed), with the email to notify if they consented
+      CREATE TABLE IF NOT EXISTS reporter_receipts (
+        id TEXT PRIMARY KEY,
+        ticket_id TEXT NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        email TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- Outbound webhook subscriptions
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        events JSONB NOT NULL DEFAULT '[]',
+        secret TEXT,
+        description TEXT DEFAULT '',
+        enabled BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- Webhook delivery log (one row per attempt)
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        delivery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        response_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER DEFAULT 0,
+        timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- API tokens for the management API (only the hash is stored)
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        role TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        last_used TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Known humans and swarm agents
+      CREATE TABLE IF NOT EXISTS agents (
+        name TEXT PRIMARY KEY,
+        type TEXT NOT NULL DEFAULT 'agent',
+        role TEXT,
+        last_active_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- Other projects served by this server
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        directory TEXT,
+        schema_name TEXT,
+        settings JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- Columns added after the first release (no-ops on a new database; re-run this script to upgrade)
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS claim_expires_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS assignee TEXT;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS reporter TEXT;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS occurrence_count INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS network_errors JSONB DEFAULT '[]';
+      ALTER TABLE tickets ADD COLUMN IF NOT EXISTS breadcrumbs JSONB DEFAULT '[]';
+      ALTER TABLE swarm_actions ADD COLUMN IF NOT EXISTS agent TEXT;
+      ALTER TABLE swarm_actions ADD COLUMN IF NOT EXISTS files JSONB DEFAULT '[]';
+      ALTER TABLE swarm_actions ADD COLUMN IF NOT EXISTS commit_sha TEXT;
+      ALTER TABLE swarm_actions ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+      ALTER TABLE swarm_actions ADD COLUMN IF NOT EXISTS outcome TEXT;
+      ALTER TABLE swarm_actions ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+      -- Every write to a ticket row increments its version (backs ETag / If-Match)
+      CREATE OR REPLACE FUNCTION bump_ticket_version() RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.version := OLD.version + 1;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+      DROP TRIGGER IF EXISTS tickets_bump_version ON tickets;
+      CREATE TRIGGER tickets_bump_version BEFORE UPDATE ON tickets
+        FOR EACH ROW EXECUTE FUNCTION bump_ticket_version();
+
       -- Create indexes
       CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status);
       CREATE INDEX IF NOT EXISTS idx_tickets_priority ON tickets(priority);
       CREATE INDEX IF NOT EXISTS idx_tickets_route ON tickets(route);
       CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON tickets(created_at);
+      CREATE INDEX IF NOT EXISTS idx_tickets_updated_at ON tickets(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_tickets_priority_rank ON tickets(priority_rank);
+      CREATE INDEX IF NOT EXISTS idx_tickets_claim_expires_at ON tickets(claim_expires_at);
+      CREATE INDEX IF NOT EXISTS idx_tickets_assignee ON tickets(assignee);
+      CREATE INDEX IF NOT EXISTS idx_tickets_fingerprint ON tickets(fingerprint);
+      CREATE INDEX IF NOT EXISTS idx_ticket_relations_ticket_id ON ticket_relations(ticket_id);
+      CREATE INDEX IF NOT EXISTS idx_ticket_labels_label ON ticket_labels(label);
       CREATE INDEX IF NOT EXISTS idx_swarm_actions_ticket_id ON swarm_actions(ticket_id);
       CREATE INDEX IF NOT EXISTS idx_comments_ticket_id ON comments(ticket_id);
+      CREATE INDEX IF NOT EXISTS idx_ticket_history_ticket_id ON ticket_history(ticket_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
+      CREATE INDEX IF NOT EXISTS idx_reporter_receipts_ticket_id ON reporter_receipts(ticket_id);
+      CREATE INDEX IF NOT EXISTS idx_tickets_search ON tickets USING GIN (search_vector);
+      CREATE INDEX IF NOT EXISTS idx_swarm_actions_search ON swarm_actions USING GIN (search_vector);
+      CREATE INDEX IF NOT EXISTS idx_comments_search ON comments USING GIN (search_vector);
 
       -- Enable Row Level Security (optional)
       ALTER TABLE tickets ENABLE ROW LEVEL SECURITY;
       ALTER TABLE swarm_actions ENABLE ROW LEVEL SECURITY;
       ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE ticket_history ENABLE ROW LEVEL SECURITY;
 
       -- Create policies for anonymous access (adjust as needed)
       CREATE POLICY IF NOT EXISTS "Allow all for now" ON tickets FOR ALL USING (true);
       CREATE POLICY IF NOT EXISTS "Allow all for now" ON swarm_actions FOR ALL USING (true);
       CREATE POLICY IF NOT EXISTS "Allow all for now" ON comments FOR ALL USING (true);
+      CREATE POLICY IF NOT EXISTS "Allow all for now" ON ticket_history FOR ALL USING (true);
     `;
   }
 
@@ -162,22 +363,40 @@ class SupabaseAdapter extends BaseAdapter {
   }
 
   // Helper to convert DB row to ticket format
-  _rowToTicket(row, swarmActions = [], comments = [], relatedTickets = []) {
+  _rowToTicket(row, swarmActions = [], comments = [], relatedTickets = [], labels = []) {
     return {
       id: row.id,
       route: row.route,
       f12Errors: row.f12_errors,
       serverErrors: row.server_errors,
+      networkErrors: row.network_errors || [],
+      breadcrumbs: row.breadcrumbs || [],
       description: row.description,
       status: row.status,
       priority: row.priority,
       namespace: row.namespace,
+      claimedBy: row.claimed_by || null,
+      claimExpiresAt: row.claim_expires_at || null,
+      assignee: row.assignee || null,
+      reporter: row.reporter || null,
+      fingerprint: row.fingerprint || null,
+      occurrenceCount: row.occurrence_count || 1,
+      // Tickets from before occurrences were counted were first and last seen when they were created
+      firstSeenAt: row.first_seen_at || row.created_at,
+      lastSeenAt: row.last_seen_at || row.created_at,
+      version: row.version,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       swarmActions: swarmActions.map(a => ({
         timestamp: a.timestamp,
         action: a.action,
-        result: a.result
+        result: a.result,
+        agent: a.agent || null,
+        files: a.files || [],
+        commit: a.commit_sha || null,
+        durationMs: a.duration_ms !== undefined ? a.duration_ms : null,
+        outcome: a.outcome || null,
+        metadata: a.metadata || {}
       })),
       comments: comments.map(c => ({
         id: c.id,
@@ -188,16 +407,106 @@ class SupabaseAdapter extends BaseAdapter {
         metadata: c.metadata || {},
         editedAt: c.edited_at
       })),
-      relatedTickets: relatedTickets.map(r => r.related_ticket_id)
+      relatedTickets: relatedTickets.map(r => r.related_ticket_id),
+      labels: labels.map(l => l.label)
+    };
+  }
+
+  // Swarm action -> swarm_actions row
+  _swarmActionToRow(ticketId, action) {
+    return {
+      ticket_id: ticketId,
+      timestamp: action.timestamp,
+      action: action.action,
+      result: action.result,
+      agent: action.agent,
+      files: action.files,
+      commit_sha: action.commit,
+      duration_ms: action.durationMs,
+      outcome: action.outcome,
+      metadata: action.metadata
+    };
+  }
+
+  _rowToReporterReceipt(row) {
+    return {
+      id: row.id,
+      ticketId: row.ticket_id,
+      email: row.email,
+      createdAt: row.created_at
+    };
+  }
+
+  _rowToAuthToken(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role,
+      createdAt: row.created_at,
+      lastUsed: row.last_used,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  _rowToAgent(row) {
+    return {
+      name: row.name,
+      type: row.type,
+      role: row.role,
+      lastActiveAt: row.last_active_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _rowToProject(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      directory: row.directory,
+      schema: row.schema_name,
+      settings: row.settings || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _rowToWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: row.events || [],
+      secret: row.secret,
+      description: row.description,
+      enabled: row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _rowToWebhookDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      deliveryId: row.delivery_id,
+      event: row.event,
+      attempt: row.attempt,
+      status: row.status,
+      responseStatus: row.response_status,
+      error: row.error,
+      durationMs: row.duration_ms,
+      timestamp: row.timestamp
     };
   }
 
   async _getFullTicket(id) {
-    const [ticketResult, actionsResult, commentsResult, relationsResult] = await Promise.all([
+    const [ticketResult, actionsResult, commentsResult, relationsResult, labelsResult] = await Promise.all([
       this.client.from('tickets').select('*').eq('id', id).single(),
       this.client.from('swarm_actions').select('*').eq('ticket_id', id).order('timestamp'),
       this.client.from('comments').select('*').eq('ticket_id', id).order('timestamp'),
-      this.client.from('ticket_relations').select('related_ticket_id').eq('ticket_id', id)
+      this.client.from('ticket_relations').select('related_ticket_id').eq('ticket_id', id),
+      this.client.from('ticket_labels').select('label').eq('ticket_id', id).order('label')
     ]);
 
     if (ticketResult.error || !ticketResult.data) return null;
@@ -206,14 +515,60 @@ class SupabaseAdapter extends BaseAdapter {
       ticketResult.data,
       actionsResult.data || [],
       commentsResult.data || [],
-      relationsResult.data || []
+      relationsResult.data || [],
+      labelsResult.data || []
     );
   }
 
+  // Load rows of a relation table for many tickets at once, grouped by ticket_id
+  async _loadRelationRows(table, ids, orderBy = 'id') {
+    const grouped = new Map(ids.map(id => [id, []]));
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const batch = ids.slice(i, i + BATCH_SIZE);
+      const { data, error } = await this.client
+        .from(table)
+        .select('*')
+        .in('ticket_id', batch)
+        .order(orderBy);
+
+      if (error) throw error;
+      (data || []).forEach(row => grouped.get(row.ticket_id).push(row));
+    }
+
+    return grouped;
+  }
+
+  // Build full tickets for many rows with one query per relation table (only for requested fields)
+  async _buildFullTickets(rows, fields = null) {
+    if (rows.length === 0) return [];
+
+    const ids = rows.map(row => row.id);
+    const [actions, comments, relations, labels] = await Promise.all([
+      wantsField(fields, 'swarmActions') ? this._loadRelationRows('swarm_actions', ids, 'timestamp') : null,
+      wantsField(fields, 'comments') ? this._loadRelationRows('comments', ids, 'timestamp') : null,
+      wantsField(fields, 'relatedTickets') ? this._loadRelationRows('ticket_relations', ids) : null,
+      wantsField(fields, 'labels') ? this._loadRelationRows('ticket_labels', ids, 'label') : null
+    ]);
+
+    return rows.map(row => projectTicket(this._rowToTicket(
+      row,
+      actions ? actions.get(row.id) : [],
+      comments ? comments.get(row.id) : [],
+      relations ? relations.get(row.id) : [],
+      labels ? labels.get(row.id) : []
+    ), fields || null));
+  }
+
   // ==================== TICKET OPERATIONS ====================
 
-  async getAllTickets(filters = {}) {
-    let query = this.client.from('tickets').select('*');
+  async listTickets(filters = {}, options = {}) {
+    const sort = options.sort || parseSort();
+    const sortColumn = SORT_COLUMNS[sort.field];
+    const ascending = !sort.descending;
+
+    // Filtering on an inner-joined embed keeps only tickets that have the label
+    let query = this.client.from('tickets').select(filters.label ? '*, ticket_labels!inner(label)' : '*');
 
     if (filters.status) {
       query = query.eq('status', filters.status);
@@ -227,25 +582,67 @@ class SupabaseAdapter extends BaseAdapter {
     if (filters.route) {
       query = query.ilike('route', `%${filters.route}%`);
     }
+    if (filters.namespace) {
+      query = query.eq('namespace', filters.namespace);
+    }
+    if (filters.assignee) {
+      query = query.eq('assignee', filters.assignee);
+    }
+    if (filters.label) {
+      query = query.eq('ticket_labels.label', filters.label);
+    }
+    if (filters.fingerprint) {
+      query = query.eq('fingerprint', filters.fingerprint);
+    }
+    if (filters.untriaged) {
+      query = query.is('priority', null);
+    }
+    if (filters.claimExpiredBefore) {
+      query = query.lte('claim_expires_at', filters.claimExpiredBefore);
+    }
+    if (filters.unclaimedAt) {
+      query = query.or(`claimed_by.is.null,claim_expires_at.is.null,claim_expires_at.lte.${JSON.stringify(filters.unclaimedAt)}`);
+    }
+
+    // Keyset pagination: continue strictly after the (sort value, id) of the cursor
+    if (options.cursor) {
+      const op = ascending ? 'gt' : 'lt';
+      const value = JSON.stringify(options.cursor.value);
+      const id = JSON.stringify(options.cursor.id);
+      query = query.or(`${sortColumn}.${op}.${value},and(${sortColumn}.eq.${value},id.${op}.${id})`);
+    }
 
-    query = query.order('created_at', { ascending: false });
+    query = query
+      .order(sortColumn, { ascending })
+      .order('id', { ascending });
+
+    if (options.limit) {
+      // Fetch one extra row to know whether another page exists
+      query = query.limit(options.limit + 1);
+    }
 
     const { data, error } = await query;
     if (error) throw error;
 
-    // Get all related data for each ticket
-    const tickets = await Promise.all(
-      (data || []).map(row => this._getFullTicket(row.id))
-    );
+    let rows = data || [];
+    let nextCursor = null;
+    if (options.limit && rows.length > options.limit) {
+      rows = rows.slice(0, options.limit);
+      const last = rows[rows.length - 1];
+      // Cursor values use the API's field names, so encode from the converted ticket
+      nextCursor = encodeCursor(this._rowToTicket(last), sort);
+    }
 
-    return tickets.filter(t => t !== null);
+    return { tickets: await this._buildFullTickets(rows, options.fields), nextCursor };
   }
 
   async getTicket(id) {
     return this._getFullTicket(id);
   }
 
-  async createTicket(ticketData) {
+  async createTicket(ticketData, options = {}) {
+    this.assertValidTicketFields(ticketData, { anyStatus: options.imported });
+    ticketData = this.scrubTicketData(ticketData);
     const now = new Date().toISOString();
     const id = ticketData.id || this.generateTicketId();  // Allow custom ID for migration
 
@@ -254,10 +651,20 @@ class SupabaseAdapter extends BaseAdapter {
       route: ticketData.route || '',
       f12_errors: ticketData.f12Errors || '',
       server_errors: ticketData.serverErrors || '',
+      network_errors: this.normalizeNetworkErrors(ticketData.networkErrors),
+      breadcrumbs: this.normalizeBreadcrumbs(ticketData.breadcrumbs),
       description: ticketData.description || '',
-      status: ticketData.status || 'open',
+      status: ticketData.status || this.workflow.initial,
       priority: ticketData.priority || null,
       namespace: ticketData.namespace || null,
+      claimed_by: ticketData.claimedBy || null,
+      claim_expires_at: ticketData.claimExpiresAt || null,
+      assignee: ticketData.assignee || null,
+      reporter: ticketData.reporter || null,
+      fingerprint: this.fingerprintTicket(ticketData),
+      occurrence_count: ticketData.occurrenceCount || 1,
+      first_seen_at: ticketData.firstSeenAt || ticketData.createdAt || now,
+      last_seen_at: ticketData.lastSeenAt || ticketData.createdAt || now,
       created_at: ticketData.createdAt || now,  // Allow custom timestamps for migration
       updated_at: ticketData.updatedAt || now
     };
@@ -274,14 +681,16 @@ class SupabaseAdapter extends BaseAdapter {
       await this.client.from('ticket_relations').insert(relations);
     }
 
+    const labels = this.normalizeLabels(ticketData.labels);
+    if (labels.length > 0) {
+      await this.client.from('ticket_labels').insert(labels.map(label => ({ ticket_id: id, label })));
+    }
+
     // Insert swarm actions
     if (ticketData.swarmActions && ticketData.swarmActions.length > 0) {
-      const actions = ticketData.swarmActions.map(action => ({
-        ticket_id: id,
-        timestamp: action.timestamp || now,
-        action: action.action,
-        result: action.result || null
-      }));
+      const actions = ticketData.swarmActions.map(action =>
+        this._swarmActionToRow(id, this.buildSwarmAction(action, now))
+      );
       await this.client.from('swarm_actions').insert(actions);
     }
 
@@ -299,14 +708,32 @@ class SupabaseAdapter extends BaseAdapter {
       await this.client.from('comments').insert(comments);
     }
 
+    // Insert change history (migrations)
+    if (ticketData.history && ticketData.history.length > 0) {
+      const entries = ticketData.history.map(entry => ({
+        ticket_id: id,
+        timestamp: entry.timestamp || now,
+        actor: entry.actor || null,
+        changes: entry.changes || []
+      }));
+      await this.client.from('ticket_history').insert(entries);
+    }
+
     return this.getTicket(id);
   }
 
-  async updateTicket(id, updates) {
+  async updateTicket(id, updates, context = {}) {
+    this.assertValidTicketFields(updates);
+    const scrubbed = this.scrubTicketUpdates(updates);
+    updates = scrubbed.updates;
+    if (updates.labels !== undefined) {
+      updates = { ...updates, labels: this.normalizeLabels(updates.labels) };
+    }
     const existing = await this.getTicket(id);
     if (!existing) return null;
 
     const now = new Date().toISOString();
+    const changes = this.diffTicketFields(existing, updates);
 
     const updateData = { updated_at: now };
     if (updates.route !== undefined) updateData.route = updates.route;
@@ -316,9 +743,29 @@ class SupabaseAdapter extends BaseAdapter {
     if (updates.status !== undefined) updateData.status = updates.status;
     if (updates.priority !== undefined) updateData.priority = updates.priority;
     if (updates.namespace !== undefined) updateData.namespace = updates.namespace;
+    if (updates.claimedBy !== undefined) updateData.claimed_by = updates.claimedBy;
+    if (updates.claimExpiresAt !== undefined) updateData.claim_expires_at = updates.claimExpiresAt;
+    if (updates.assignee !== undefined) updateData.assignee = updates.assignee;
+    if (updates.reporter !== undefined) updateData.reporter = updates.reporter;
+    if (updates.f12Errors !== undefined || updates.serverErrors !== undefined) {
+      updateData.fingerprint = this.fingerprintTicket(existing, updates);
+    }
+    if (updates.occurrenceCount !== undefined) updateData.occurrence_count = updates.occurrenceCount;
+    if (updates.lastSeenAt !== undefined) updateData.last_seen_at = updates.lastSeenAt;
 
-    const { error } = await this.client.from('tickets').update(updateData).eq('id', id);
+    // The version is bumped by a trigger; a conditional update only matches the version the caller read
+    let query = this.client.from('tickets').update(updateData).eq('id', id);
+    if (context.expectedVersion !== undefined) {
+      query = query.eq('version', context.expectedVersion);
+    }
+    const { data: updatedRows, error } = await query.select('id');
     if (error) throw error;
+    if (!updatedRows || updatedRows.length === 0) {
+      // Deleted meanwhile, or changed since the caller read it
+      const current = await this.getTicket(id);
+      if (!current) return null;
+      throw new VersionConflictError(current);
+    }
 
     // Update related tickets if provided
     if (updates.relatedTickets !== undefined) {
@@ -332,15 +779,164 @@ class SupabaseAdapter extends BaseAdapter {
       }
     }
 
+    if (updates.labels !== undefined) {
+      await this.client.from('ticket_labels').delete().eq('ticket_id', id);
+      if (updates.labels.length > 0) {
+        await this.client.from('ticket_labels').insert(updates.labels.map(label => ({ ticket_id: id, label })));
+      }
+    }
+
+    if (changes.length > 0) {
+      await this._recordHistory(id, { timestamp: now, actor: context.actor || null, changes });
+    }
+
+    if (scrubbed.note) {
+      return this.addSwarmAction(id, scrubbed.note);
+    }
     return this.getTicket(id);
   }
 
   async deleteTicket(id) {
-    const { error, count } = await this.client.from('tickets').delete().eq('id', id);
+    const { error, count } = await this.client.from('tickets').delete({ count: 'exact' }).eq('id', id);
     if (error) throw error;
     return count > 0;
   }
 
+  async linkRelatedTickets(id, relatedIds) {
+    const { data: existing } = await this.client.from('tickets').select('id').eq('id', id).maybeSingle();
+    if (!existing) return false;
+
+    const { error: deleteError } = await this.client.from('ticket_relations').delete().eq('ticket_id', id);
+    if (deleteError) throw deleteError;
+    if (relatedIds.length > 0) {
+      const { error } = await this.client
+        .from('ticket_relations')
+        .insert(relatedIds.map(relatedId => ({ ticket_id: id, related_ticket_id: relatedId })));
+      if (error) throw error;
+    }
+    return true;
+  }
+
+  // ==================== LEASE OPERATIONS ====================
+
+  async claimTicket(id, agent, ttlSeconds) {
+    const ticket = await this.getTicket(id);
+    if (!ticket) return null;
+
+    const lease = this.getActiveLease(ticket);
+    const now = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+
+    // Conditional update, so two servers sharing the database can't both take the same ticket
+    const { data, error } = await this.client
+      .from('tickets')
+      .update({ claimed_by: agent, claim_expires_at: expiresAt, updated_at: now })
+      .eq('id', id)
+      .or(`claimed_by.is.null,claimed_by.eq.${JSON.stringify(agent)},claim_expires_at.lte.${JSON.stringify(now)}`)
+      .select('id');
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return { claimed: false, renewed: false, ticket: await this.getTicket(id) };
+    }
+    if (ticket.claimedBy !== agent) {
+      await this._recordHistory(id, {
+        timestamp: now,
+        actor: agent,
+        changes: [{ field: 'claimedBy', from: ticket.claimedBy, to: agent }]
+      });
+    }
+    if (lease) {
+      return { claimed: true, renewed: true, ticket: await this.getTicket(id) };
+    }
+
+    const withAction = await this.addSwarmAction(id, this.buildClaimAction(agent, expiresAt));
+    return { claimed: true, renewed: false, ticket: withAction };
+  }
+
+  // ==================== HISTORY OPERATIONS ====================
+
+  async getTicketHistory(ticketId) {
+    const ticket = await this.getTicket(ticketId);
+    if (!ticket) return null;
+
+    const { data, error } = await this.client
+      .from('ticket_history')
+      .select('*')
+      .eq('ticket_id', ticketId)
+      .order('id', { ascending: true });
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      timestamp: row.timestamp,
+      actor: row.actor,
+      changes: row.changes || []
+    }));
+  }
+
+  async _recordHistory(ticketId, entry) {
+    const { error } = await this.client.from('ticket_history').insert({
+      ticket_id: ticketId,
+      timestamp: entry.timestamp,
+      actor: entry.actor,
+      changes: entry.changes
+    });
+    if (error) throw error;
+  }
+
+  // ==================== SEARCH OPERATIONS ====================
+
+  async searchTickets(query, options = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+
+    // Postgres full-text search finds candidates; terms are letters/digits only, so an OR tsquery is safe
+    const tsQuery = terms.join(' | ');
+    const searchOptions = { config: 'simple' };
+
+    let ticketQuery = this.client.from('tickets').select('id').textSearch('search_vector', tsQuery, searchOptions);
+    if (options.status) {
+      ticketQuery = ticketQuery.eq('status', options.status);
+    }
+
+    const [ticketsResult, actionsResult, commentsResult] = await Promise.all([
+      ticketQuery,
+      this.client.from('swarm_actions').select('ticket_id').textSearch('search_vector', tsQuery, searchOptions),
+      this.client.from('comments').select('ticket_id').textSearch('search_vector', tsQuery, searchOptions)
+    ]);
+
+    if (ticketsResult.error) throw ticketsResult.error;
+    if (actionsResult.error) throw actionsResult.error;
+    if (commentsResult.error) throw commentsResult.error;
+
+    const ids = new Set([
+      ...(ticketsResult.data || []).map(r => r.id),
+      ...(actionsResult.data || []).map(r => r.ticket_id),
+      ...(commentsResult.data || []).map(r => r.ticket_id)
+    ]);
+
+    const candidates = (await Promise.all([...ids].map(id => this._getFullTicket(id))))
+      .filter(t => t !== null)
+      .filter(t => !options.status || t.status === options.status);
+
+    // Rank candidates with the same weighting the other adapters use
+    const index = new SearchIndex();
+    index.rebuild(candidates);
+    const byId = new Map(candidates.map(t => [t.id, t]));
+
+    return index.search(terms)
+      .slice(0, options.limit || 20)
+      .map(hit => ({ ticket: byId.get(hit.id), score: hit.score, matchedFields: hit.matchedFields }));
+  }
+
+  // ==================== LABEL OPERATIONS ====================
+
+  async listLabels() {
+    const { data, error } = await this.client.from('ticket_labels').select('label');
+    if (error) throw error;
+    return this.countLabels((data || []).map(row => row.label));
+  }
+
   // ==================== SWARM ACTION OPERATIONS ====================
 
   async addSwarmAction(ticketId, action) {
@@ -349,12 +945,9 @@ class SupabaseAdapter extends BaseAdapter {
 
     const now = new Date().toISOString();
 
-    const { error } = await this.client.from('swarm_actions').insert({
-      ticket_id: ticketId,
-      timestamp: now,
-      action: action.action,
-      result: action.result || null
-    });
+    const { error } = await this.client.from('swarm_actions').insert(
+      this._swarmActionToRow(ticketId, this.buildSwarmAction(action, now))
+    );
     if (error) throw error;
 
     await this.client.from('tickets').update({ updated_at: now }).eq('id', ticketId);
@@ -367,6 +960,8 @@ class SupabaseAdapter extends BaseAdapter {
   async addComment(ticketId, commentData) {
     const ticket = await this.getTicket(ticketId);
     if (!ticket) return null;
+    const { data, redactions } = this.scrubber.scrubComment(commentData);
+    commentData = data;
 
     const now = new Date().toISOString();
     const commentId = this.generateCommentId();
@@ -385,6 +980,9 @@ class SupabaseAdapter extends BaseAdapter {
     if (error) throw error;
 
     await this.client.from('tickets').update({ updated_at: now }).eq('id', ticketId);
+    if (redactions.length > 0) {
+      await this.addSwarmAction(ticketId, this.buildScrubNote(redactions, `Redacted from comment ${commentId}`));
+    }
 
     return {
       id: commentId,
@@ -416,7 +1014,7 @@ class SupabaseAdapter extends BaseAdapter {
     }));
   }
 
-  async updateComment(ticketId, commentId, updates) {
+  async updateComment(ticketId, commentId, updates, context = {}) {
     const { data: existing } = await this.client
       .from('comments')
       .select('*')
@@ -428,6 +1026,19 @@ class SupabaseAdapter extends BaseAdapter {
 
     const now = new Date().toISOString();
 
+    // Touch the ticket first, conditionally, so a stale If-Match fails before the comment changes
+    let touch = this.client.from('tickets').update({ updated_at: now }).eq('id', ticketId);
+    if (context.expectedVersion !== undefined) {
+      touch = touch.eq('version', context.expectedVersion);
+    }
+    const { data: touched, error: touchError } = await touch.select('id');
+    if (touchError) throw touchError;
+    if (!touched || touched.length === 0) {
+      const current = await this.getTicket(ticketId);
+      if (!current) return null;
+      throw new VersionConflictError(current);
+    }
+
     const updateData = { edited_at: now };
     if (updates.content !== undefined) updateData.content = updates.content;
     if (updates.metadata !== undefined) updateData.metadata = { ...existing.metadata, ...updates.metadata };
@@ -440,8 +1051,6 @@ class SupabaseAdapter extends BaseAdapter {
 
     if (error) throw error;
 
-    await this.client.from('tickets').update({ updated_at: now }).eq('id', ticketId);
-
     const { data: updated } = await this.client
       .from('comments')
       .select('*')
@@ -462,7 +1071,7 @@ class SupabaseAdapter extends BaseAdapter {
   async deleteComment(ticketId, commentId) {
     const { count, error } = await this.client
       .from('comments')
-      .delete()
+      .delete({ count: 'exact' })
       .eq('id', commentId)
       .eq('ticket_id', ticketId);
 
@@ -481,12 +1090,11 @@ class SupabaseAdapter extends BaseAdapter {
     const { data: tickets, error } = await this.client.from('tickets').select('status, priority');
     if (error) throw error;
 
-    const byStatus = { open: 0, inProgress: 0, fixed: 0, closed: 0 };
+    const statusCounts = {};
     const byPriority = { critical: 0, high: 0, medium: 0, low: 0 };
 
     (tickets || []).forEach(t => {
-      if (t.status === 'in-progress') byStatus.inProgress++;
-      else if (byStatus[t.status] !== undefined) byStatus[t.status]++;
+      statusCounts[t.status] = (statusCounts[t.status] || 0) + 1;
 
       if (t.priority && byPriority[t.priority] !== undefined) {
         byPriority[t.priority]++;
@@ -495,14 +1103,16 @@ class SupabaseAdapter extends BaseAdapter {
 
     return {
       total: (tickets || []).length,
-      byStatus,
+      byStatus: this.workflow.countByStatus(
+        Object.entries(statusCounts).map(([status, count]) => ({ status, count }))
+      ),
       byPriority
     };
   }
 
   // ==================== BUG REPORT OPERATIONS ====================
 
-  async createBugReport(reportData, apiKey = null) {
+  async admitBugReport(apiKey, ip) {
     // Validate API key if provided
     if (apiKey) {
       const { data: keyRecord } = await this.client
@@ -521,7 +1131,7 @@ class SupabaseAdapter extends BaseAdapter {
     }
 
     // Rate limiting
-    const identifier = apiKey || reportData.ip || 'anonymous';
+    const identifier = this.rateLimitIdentifier(apiKey, ip);
     const windowStart = new Date();
     windowStart.setMinutes(0, 0, 0);
     const windowKey = windowStart.toISOString();
@@ -553,14 +1163,18 @@ class SupabaseAdapter extends BaseAdapter {
         request_count: 1
       });
     }
+  }
 
-    // Create the ticket
-    const ticket = await this.createTicket({
+  async createBugReport(reportData) {
+    // Create the ticket (or count the report on the open ticket with the same errors)
+    const { ticket, created } = await this.createOrRecordTicket({
       route: reportData.location || reportData.route || 'unknown',
       f12Errors: reportData.clientError || reportData.f12Errors || '',
       serverErrors: '',
+      networkErrors: reportData.networkErrors || [],
+      breadcrumbs: reportData.breadcrumbs || [],
       description: reportData.description || '',
-      status: 'open',
+      status: this.workflow.initial,
       priority: null,
       swarmActions: [{
         timestamp: new Date().toISOString(),
@@ -572,10 +1186,394 @@ class SupabaseAdapter extends BaseAdapter {
     return {
       id: ticket.id,
       status: 'submitted',
-      message: 'Bug report received. Thank you!'
+      message: 'Bug report received. Thank you!',
+      duplicate: !created
     };
   }
 
+  async getBugReportReceipt(key) {
+    const cutoff = new Date(Date.now() - BaseAdapter.BUG_REPORT_KEY_TTL_MS).toISOString();
+    const { data, error } = await this.client
+      .from('bug_report_keys')
+      .select('receipt')
+      .eq('key', key)
+      .gte('created_at', cutoff)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.receipt : null;
+  }
+
+  async saveBugReportReceipt(key, receipt) {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - BaseAdapter.BUG_REPORT_KEY_TTL_MS).toISOString();
+    await this.client.from('bug_report_keys').delete().lt('created_at', cutoff);
+
+    const { error } = await this.client
+      .from('bug_report_keys')
+      .upsert({ key, receipt, created_at: now.toISOString() });
+    if (error) throw error;
+  }
+
+  // ==================== REPORTER RECEIPT OPERATIONS ====================
+
+  async createReporterReceipt(receiptData) {
+    const { data, error } = await this.client
+      .from('reporter_receipts')
+      .insert({
+        id: this.generateReporterReceiptId(),
+        ticket_id: receiptData.ticketId,
+        token_hash: receiptData.tokenHash,
+        email: receiptData.email || null,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return this._rowToReporterReceipt(data);
+  }
+
+  async findReporterReceipt(tokenHash) {
+    const { data, error } = await this.client
+      .from('reporter_receipts')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToReporterReceipt(data) : null;
+  }
+
+  async listReporterReceipts(ticketId) {
+    const { data, error } = await this.client
+      .from('reporter_receipts')
+      .select('*')
+      .eq('ticket_id', ticketId)
+      .order('created_at')
+      .order('id');
+
+    if (error) throw error;
+    return data.map(row => this._rowToReporterReceipt(row));
+  }
+
+  // ==================== WEBHOOK OPERATIONS ====================
+
+  async listWebhooks() {
+    const { data, error } = await this.client
+      .from('webhooks')
+      .select('*')
+      .order('created_at');
+
+    if (error) throw error;
+    return (data || []).map(row => this._rowToWebhook(row));
+  }
+
+  async getWebhook(id) {
+    const { data, error } = await this.client
+      .from('webhooks')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToWebhook(data) : null;
+  }
+
+  async createWebhook(webhookData) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.client
+      .from('webhooks')
+      .insert({
+        id: this.generateWebhookId(),
+        url: webhookData.url,
+        events: webhookData.events || [],
+        secret: webhookData.secret || null,
+        description: webhookData.description || '',
+        enabled: webhookData.enabled === undefined ? true : Boolean(webhookData.enabled),
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return this._rowToWebhook(data);
+  }
+
+  async updateWebhook(id, updates) {
+    const dbUpdates = { updated_at: new Date().toISOString() };
+    ['url', 'events', 'secret', 'description'].forEach(field => {
+      if (updates[field] !== undefined) {
+        dbUpdates[field] = updates[field];
+      }
+    });
+    if (updates.enabled !== undefined) dbUpdates.enabled = Boolean(updates.enabled);
+
+    const { data, error } = await this.client
+      .from('webhooks')
+      .update(dbUpdates)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToWebhook(data) : null;
+  }
+
+  async deleteWebhook(id) {
+    // Delivery log rows are removed by ON DELETE CASCADE
+    const { error, count } = await this.client
+      .from('webhooks')
+      .delete({ count: 'exact' })
+      .eq('id', id);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
+  async recordWebhookDelivery(delivery) {
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .insert({
+        webhook_id: delivery.webhookId,
+        delivery_id: delivery.deliveryId,
+        event: delivery.event,
+        attempt: delivery.attempt,
+        status: delivery.status,
+        response_status: delivery.responseStatus || null,
+        error: delivery.error || null,
+        duration_ms: delivery.durationMs || 0,
+        timestamp: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Keep the log bounded
+    if (data.id > this.maxWebhookDeliveries) {
+      await this.client
+        .from('webhook_deliveries')
+        .delete()
+        .lte('id', data.id - this.maxWebhookDeliveries);
+    }
+
+    return this._rowToWebhookDelivery(data);
+  }
+
+  async listWebhookDeliveries(webhookId, limit = 50) {
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('webhook_id', webhookId)
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return (data || []).map(row => this._rowToWebhookDelivery(row));
+  }
+
+  // ==================== AUTH TOKEN OPERATIONS ====================
+
+  async createAuthToken(tokenData) {
+    const { data, error } = await this.client
+      .from('auth_tokens')
+      .insert({
+        id: this.generateAuthTokenId(),
+        name: tokenData.name || null,
+        role: tokenData.role,
+        token_hash: tokenData.tokenHash,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return this._rowToAuthToken(data);
+  }
+
+  async listAuthTokens() {
+    const { data, error } = await this.client
+      .from('auth_tokens')
+      .select('*')
+      .order('created_at');
+
+    if (error) throw error;
+    return (data || []).map(row => this._rowToAuthToken(row));
+  }
+
+  async findAuthToken(tokenHash) {
+    const { data, error } = await this.client
+      .from('auth_tokens')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToAuthToken(data) : null;
+  }
+
+  async touchAuthToken(id) {
+    const { error } = await this.client
+      .from('auth_tokens')
+      .update({ last_used: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  async revokeAuthToken(id) {
+    const { error, count } = await this.client
+      .from('auth_tokens')
+      .update({ revoked_at: new Date().toISOString() }, { count: 'exact' })
+      .eq('id', id)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
+  // ==================== AGENT OPERATIONS ====================
+
+  async listAgents() {
+    const { data, error } = await this.client
+      .from('agents')
+      .select('*')
+      .order('last_active_at', { ascending: false, nullsFirst: false })
+      .order('name');
+
+    if (error) throw error;
+    return (data || []).map(row => this._rowToAgent(row));
+  }
+
+  async getAgent(name) {
+    const { data, error } = await this.client
+      .from('agents')
+      .select('*')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToAgent(data) : null;
+  }
+
+  async upsertAgent(name, data = {}) {
+    const existing = await this.getAgent(name);
+    const now = new Date().toISOString();
+
+    const { data: row, error } = await this.client
+      .from('agents')
+      .upsert({
+        name,
+        type: data.type !== undefined ? data.type : (existing ? existing.type : 'agent'),
+        role: data.role !== undefined ? data.role : (existing ? existing.role : null),
+        updated_at: now
+      }, { onConflict: 'name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return this._rowToAgent(row);
+  }
+
+  async touchAgent(name, type) {
+    const now = new Date().toISOString();
+    const { error, count } = await this.client
+      .from('agents')
+      .update({ last_active_at: now }, { count: 'exact' })
+      .eq('name', name);
+
+    if (error) throw error;
+    if (count > 0) return;
+
+    // Unknown so far - register it (ignoring a concurrent registration of the same name)
+    const { error: insertError } = await this.client
+      .from('agents')
+      .upsert({ name, type, last_active_at: now, created_at: now, updated_at: now }, { onConflict: 'name', ignoreDuplicates: true });
+
+    if (insertError) throw insertError;
+  }
+
+  async deleteAgent(name) {
+    const { error, count } = await this.client
+      .from('agents')
+      .delete({ count: 'exact' })
+      .eq('name', name);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
+  // ==================== PROJECT OPERATIONS ====================
+
+  async listProjects() {
+    const { data, error } = await this.client.from('projects').select('*').order('id');
+    if (error) throw error;
+    return (data || []).map(row => this._rowToProject(row));
+  }
+
+  async getProject(id) {
+    const { data, error } = await this.client
+      .from('projects')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToProject(data) : null;
+  }
+
+  async createProject(project) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.client
+      .from('projects')
+      .insert({
+        id: project.id,
+        name: project.name,
+        description: project.description || '',
+        directory: project.directory || null,
+        schema_name: project.schema || null,
+        settings: project.settings || {},
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return this._rowToProject(data);
+  }
+
+  async updateProject(id, changes) {
+    const updateData = { updated_at: new Date().toISOString() };
+    if (changes.name !== undefined) updateData.name = changes.name;
+    if (changes.description !== undefined) updateData.description = changes.description;
+    if (changes.settings !== undefined) updateData.settings = changes.settings;
+
+    const { data, error } = await this.client
+      .from('projects')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? this._rowToProject(data) : null;
+  }
+
+  async deleteProject(id) {
+    const { error, count } = await this.client
+      .from('projects')
+      .delete({ count: 'exact' })
+      .eq('id', id);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
   // ==================== API KEY MANAGEMENT ====================
 
   async createApiKey(name = null) {
@@ -0,0 +1,271 @@
+/**
+ * Triage Rules
+ * What POST /api/tickets/:id/analyze and POST /api/triage set on a ticket, loaded from a JSON file
+ * (SWARM_TICKETS_TRIAGE_RULES, default ./triage-rules.json) or the built-in default below
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRIAGE_PATH = './triage-rules.json';
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Conditions a rule can have in "when" - a rule fires when all of its conditions match
+ *   route, namespace           - regular expression (case-insensitive) the field must match
+ *   errors                     - regular expression matched against f12Errors and serverErrors
+ *   f12Errors, serverErrors    - regular expression matched against that field only
+ *   occurrences                - { min, max } on occurrenceCount
+ *   ageHours                   - { min, max } hours since the ticket was first seen
+ */
+const PATTERN_MATCHERS = ['route', 'namespace', 'errors', 'f12Errors', 'serverErrors'];
+const RANGE_MATCHERS = ['occurrences', 'ageHours'];
+
+/**
+ * What a rule can set in "then". When several rules fire, the most urgent priority wins, labels are
+ * combined, and namespace and assignee come from the first rule (in file order) that sets them
+ */
+const ACTIONS = ['priority', 'labels', 'namespace', 'assignee'];
+
+// How related tickets can be found: tickets with the same route, error fingerprint or namespace
+const RELATED_BY = ['route', 'fingerprint', 'namespace'];
+
+/**
+ * Built-in rules - the original hard-coded analysis, plus linking tickets with the same errors
+ *   defaultPriority - priority when no rule sets one (null: leave the ticket's priority alone)
+ *   related         - { by, limit }: which tickets to link as related, and how many at most
+ */
+const DEFAULT_TRIAGE_RULES = {
+  defaultPriority: 'low',
+  related: { by: ['route', 'fingerprint'], limit: 5 },
+  rules: [
+    { name: 'errors', when: { errors: 'error' }, then: { priority: 'medium' } },
+    { name: 'crashes', when: { errors: 'uncaught|fatal|crash' }, then: { priority: 'high' } },
+    { name: 'auth-and-payment', when: { route: 'auth|payment' }, then: { priority: 'critical' } }
+  ]
+};
+
+function compilePattern(pattern) {
+  return new RegExp(pattern, 'i');
+}
+
+function inRange(value, range) {
+  return (range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max);
+}
+
+class TriageRules {
+  /**
+   * @param {Object} definition - { defaultPriority, related, rules }
+   * @throws {Error} If the definition is invalid
+   */
+  constructor(definition) {
+    const problems = TriageRules.check(definition);
+    if (problems.length > 0) {
+      throw new Error(`Invalid triage rules: ${problems.join('; ')}`);
+    }
+
+    this.defaultPriority = definition.defaultPriority === undefined ? null : definition.defaultPriority;
+    this.related = {
+      by: (definition.related && definition.related.by) || [],
+      limit: (definition.related && definition.related.limit) || 0
+    };
+    this.rules = definition.rules.map((rule, index) => ({
+      name: rule.name || `rule-${index + 1}`,
+      when: rule.when || {},
+      then: rule.then
+    }));
+    // Compiled once; rules are matched against every ticket triaged
+    this.patterns = this.rules.map(rule => {
+      const patterns = {};
+      PATTERN_MATCHERS.forEach(key => {
+        if (rule.when[key] !== undefined) patterns[key] = compilePattern(rule.when[key]);
+      });
+      return patterns;
+    });
+  }
+
+  /**
+   * List what's wrong with a triage rules definition
+   * @param {Object} definition - Triage rules definition
+   * @returns {Array<string>} Problems, empty when valid
+   */
+  static check(definition) {
+    if (!definition || !Array.isArray(definition.rules)) {
+      return ['must have a "rules" array'];
+    }
+
+    const problems = [];
+    const { defaultPriority, related } = definition;
+    if (defaultPriority !== undefined && defaultPriority !== null && !PRIORITIES.includes(defaultPriority)) {
+      problems.push(`"defaultPriority" must be one of: ${PRIORITIES.join(', ')} (or null)`);
+    }
+    if (related !== undefined) {
+      if (!related || !Array.isArray(related.by) || related.by.some(by => !RELATED_BY.includes(by))) {
+        problems.push(`"related.by" must be a list of: ${RELATED_BY.join(', ')}`);
+      }
+      if (related && related.limit !== undefined && !(Number.isInteger(related.limit) && related.limit >= 0)) {
+        problems.push('"related.limit" must be a whole number');
+      }
+    }
+
+    definition.rules.forEach((rule, index) => {
+      const at = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+
+      const when = rule.when || {};
+      Object.keys(when).forEach(key => {
+        if (PATTERN_MATCHERS.includes(key)) {
+          try {
+            compilePattern(when[key]);
+          } catch (error) {
+            problems.push(`${at}.when.${key} is not a valid regular expression: ${error.message}`);
+          }
+        } else if (RANGE_MATCHERS.includes(key)) {
+          const range = when[key];
+          if (!range || typeof range !== 'object' ||
+              ['min', 'max'].some(bound => range[bound] !== undefined && typeof range[bound] !== 'number')) {
+            problems.push(`${at}.when.${key} must be { "min": number, "max": number }`);
+          }
+        } else {
+          problems.push(`${at}.when.${key} is not a known condition (${[...PATTERN_MATCHERS, ...RANGE_MATCHERS].join(', ')})`);
+        }
+      });
+
+      const then = rule.then;
+      if (!then || typeof then !== 'object' || Object.keys(then).length === 0) {
+        problems.push(`${at}.then must set at least one of: ${ACTIONS.join(', ')}`);
+        return;
+      }
+      Object.keys(then).forEach(key => {
+        if (!ACTIONS.includes(key)) problems.push(`${at}.then.${key} is not a known action (${ACTIONS.join(', ')})`);
+      });
+      if (then.priority !== undefined && !PRIORITIES.includes(then.priority)) {
+        problems.push(`${at}.then.priority must be one of: ${PRIORITIES.join(', ')}`);
+      }
+      if (then.labels !== undefined &&
+          (!Array.isArray(then.labels) || then.labels.some(label => typeof label !== 'string' || !label.trim()))) {
+        problems.push(`${at}.then.labels must be a list of labels`);
+      }
+      ['namespace', 'assignee'].forEach(key => {
+        if (then[key] !== undefined && (typeof then[key] !== 'string' || !then[key])) {
+          problems.push(`${at}.then.${key} must be a string`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Whether a rule's conditions all match a ticket
+   * @param {number} index - Rule index
+   * @param {Object} ticket - Ticket
+   * @param {Date} now - Current time (for ageHours)
+   * @returns {boolean} True if the rule fires
+   */
+  matches(index, ticket, now = new Date()) {
+    const { when } = this.rules[index];
+    const patterns = this.patterns[index];
+    const text = {
+      route: ticket.route || '',
+      namespace: ticket.namespace || '',
+      errors: `${ticket.f12Errors || ''}\n${ticket.serverErrors || ''}`,
+      f12Errors: ticket.f12Errors || '',
+      serverErrors: ticket.serverErrors || ''
+    };
+
+    if (Object.keys(patterns).some(key => !patterns[key].test(text[key]))) return false;
+    if (when.occurrences && !inRange(ticket.occurrenceCount || 1, when.occurrences)) return false;
+    if (when.ageHours) {
+      const firstSeen = Date.parse(ticket.firstSeenAt || ticket.createdAt);
+      if (!inRange((now.getTime() - firstSeen) / 3600000, when.ageHours)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Run the rules against a ticket
+   * @param {Object} ticket - Ticket
+   * @param {Date} now - Current time (for ageHours)
+   * @returns {Object} { rules: [{ name, then }] that fired, changes: { priority, labels, namespace, assignee } } -
+   *   changes only has the fields the rules (or defaultPriority) set; labels are the ones to add
+   */
+  evaluate(ticket, now = new Date()) {
+    const fired = this.rules.filter((rule, index) => this.matches(index, ticket, now));
+    const changes = {};
+
+    const priorities = fired.map(rule => rule.then.priority).filter(Boolean);
+    if (priorities.length > 0) {
+      changes.priority = PRIORITIES.find(priority => priorities.includes(priority));
+    } else if (this.defaultPriority) {
+      changes.priority = this.defaultPriority;
+    }
+
+    const labels = fired.flatMap(rule => rule.then.labels || []);
+    if (labels.length > 0) changes.labels = labels;
+
+    ['namespace', 'assignee'].forEach(key => {
+      const rule = fired.find(r => r.then[key] !== undefined);
+      if (rule) changes[key] = rule.then[key];
+    });
+
+    return { rules: fired.map(rule => ({ name: rule.name, then: rule.then })), changes };
+  }
+
+  toJSON() {
+    return {
+      defaultPriority: this.defaultPriority,
+      related: this.related,
+      rules: this.rules
+    };
+  }
+}
+
+/**
+ * Load triage rules
+ * @param {string} filePath - JSON file; when omitted, ./triage-rules.json is used if it exists
+ * @returns {TriageRules} Triage rules (the built-in default when no file is configured)
+ * @throws {Error} If the file can't be read or the rules are invalid
+ */
+function loadTriageRules(filePath) {
+  const resolved = path.resolve(filePath || DEFAULT_TRIAGE_PATH);
+  if (!filePath && !fs.existsSync(resolved)) {
+    return new TriageRules(DEFAULT_TRIAGE_RULES);
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read triage rules from ${resolved}: ${error.message}`);
+  }
+  return new TriageRules(definition);
+}
+
+let configuredRules = null;
+
+/**
+ * The triage rules configured for this process (SWARM_TICKETS_TRIAGE_RULES), loaded on first use
+ * @returns {TriageRules} Triage rules
+ */
+function getTriageRules() {
+  if (!configuredRules) {
+    configuredRules = loadTriageRules(process.env.SWARM_TICKETS_TRIAGE_RULES);
+  }
+  return configuredRules;
+}
+
+module.exports = {
+  DEFAULT_TRIAGE_RULES,
+  PATTERN_MATCHERS,
+  RANGE_MATCHERS,
+  ACTIONS,
+  RELATED_BY,
+  TriageRules,
+  loadTriageRules,
+  getTriageRules
+};
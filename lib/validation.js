@@ -0,0 +1,192 @@
+/**
+ * Request Validation
+ * Validates request query strings and bodies against a small JSON Schema subset
+ * (the same schemas are published in the OpenAPI document)
+ */
+
+/**
+ * Error carrying one entry per offending field - routes return it as a structured 400
+ */
+class ValidationError extends Error {
+  /**
+   * @param {Array<Object>} details - [{ field, message }]
+   * @param {string} message - Summary message
+   */
+  constructor(details, message = 'Validation failed') {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, details: this.details };
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinField(parent, key) {
+  if (!parent) return String(key);
+  return typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * Supported keywords: type, nullable, enum, minLength, maxLength, pattern, format (http-url), minimum, maximum,
+ * items, minItems, maxItems, properties, required, additionalProperties, minProperties
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} field - Field path used in error details
+ * @returns {Array<Object>} Errors ([{ field, message }]), empty when valid
+ */
+function validate(schema, value, field = '') {
+  const errors = [];
+  const fail = (at, message) => errors.push({ field: at || 'body', message });
+
+  if (value === null && schema.nullable) return errors;
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(field, `must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}${schema.nullable ? ' or null' : ''}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(field, `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(field, schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(field, `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail(field, `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'http-url' && !isHttpUrl(value)) {
+      fail(field, 'must be an http(s) URL');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(field, `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(field, `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(field, `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(field, `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, joinField(field, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) fail(joinField(field, key), 'is required');
+    });
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        if (value[key] !== undefined) {
+          errors.push(...validate(properties[key], value[key], joinField(field, key)));
+        }
+      } else if (schema.additionalProperties === false) {
+        fail(joinField(field, key), 'is not a known field');
+      }
+    });
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      fail(field, `must include at least one of: ${Object.keys(properties).join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert query string values to the types their schema expects ("20" -> 20, "true" -> true)
+ * Values that don't convert are left as strings so validation reports them
+ */
+function coerceQuery(schema, query) {
+  const coerced = { ...query };
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    const value = coerced[key];
+    if (typeof value !== 'string') return;
+
+    if (property.type === 'integer' && /^-?\d+$/.test(value)) {
+      coerced[key] = parseInt(value, 10);
+    } else if (property.type === 'boolean' && (value === 'true' || value === 'false')) {
+      coerced[key] = value === 'true';
+    }
+  });
+  return coerced;
+}
+
+/**
+ * Create middleware validating a route's query string and body
+ * The spec is attached to the middleware so lib/openapi.js can document the route from it
+ * @param {Object} spec - { summary, description, tags, query, body, response, status }
+ *   plus documentation-only fields (headers, errors, responseType, responseHeaders, multipartBody - the
+ *   multipart/form-data form of the body, whose text fields are checked against body)
+ * @returns {Function} Express middleware
+ */
+function validateRequest(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    if (spec.query) {
+      errors.push(...validate(spec.query, coerceQuery(spec.query, req.query), 'query'));
+    }
+    if (spec.body) {
+      // Body fields are reported bare ("status"), query ones prefixed ("query.limit")
+      errors.push(...validate(spec.body, req.body === undefined ? {} : req.body, ''));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json(new ValidationError(errors).toJSON());
+    }
+    next();
+  };
+
+  middleware.openapi = spec;
+  return middleware;
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  validateRequest
+};
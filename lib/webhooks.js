@@ -0,0 +1,184 @@
+/**
+ * Outbound Webhooks
+ * Delivers signed JSON payloads for ticket lifecycle events, with retries and a delivery log
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { TicketEvent } = require('./events');
+
+/**
+ * Events a webhook can subscribe to ("*" subscribes to all of them)
+ */
+const WEBHOOK_EVENTS = [
+  TicketEvent.CREATED,
+  TicketEvent.STATUS_CHANGED,
+  TicketEvent.COMMENT_ADDED,
+  TicketEvent.BUG_REPORT_RECEIVED,
+  TicketEvent.OCCURRENCE_RECORDED,
+  TicketEvent.ATTACHMENT_ADDED
+];
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  baseDelayMs: 1000, // 1s, 2s, 4s, 8s between attempts
+  timeoutMs: 10000
+};
+
+/**
+ * Generate a webhook signing secret
+ * @returns {string} Secret
+ */
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Sign a payload body (GitHub-style "sha256=<hex HMAC>")
+ * Receivers verify by computing the same HMAC over the raw request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Strip the secret from a webhook before returning it from the API
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object} Webhook without secret
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, hasSecret: Boolean(secret) };
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {BaseAdapter} storage - Storage adapter holding webhooks and the delivery log
+   * @param {Object} options - Optional (maxAttempts, baseDelayMs, timeoutMs)
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Deliver matching bus events to subscribed webhooks
+   * @param {TicketEventBus} bus - Event bus
+   */
+  attach(bus) {
+    bus.on('event', event => {
+      this.handleEvent(event).catch(error => {
+        console.error('Error dispatching webhooks:', error);
+      });
+    });
+  }
+
+  async handleEvent(event) {
+    if (!WEBHOOK_EVENTS.includes(event.type)) return;
+
+    const webhooks = await this.storage.listWebhooks();
+    webhooks
+      .filter(w => w.enabled && (w.events.includes('*') || w.events.includes(event.type)))
+      .forEach(webhook => {
+        // Deliveries run in the background; failures end up in the delivery log
+        this.deliver(webhook, event).catch(error => {
+          console.error(`Error delivering webhook ${webhook.id}:`, error);
+        });
+      });
+  }
+
+  /**
+   * Deliver one event to one webhook, retrying with exponential backoff
+   * @param {Object} webhook - Stored webhook (with secret)
+   * @param {Object} event - Bus event ({ id, type, timestamp, data })
+   * @param {number} maxAttempts - Optional override of the configured attempt count
+   * @returns {Promise<Object>} Last delivery log entry
+   */
+  async deliver(webhook, event, maxAttempts = this.options.maxAttempts) {
+    const deliveryId = `DLV-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const body = JSON.stringify({
+      id: deliveryId,
+      event: event.type,
+      timestamp: event.timestamp,
+      data: event.data
+    });
+
+    let entry = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      let responseStatus = null;
+      let error = null;
+
+      try {
+        responseStatus = await this._send(webhook, event.type, deliveryId, body);
+      } catch (err) {
+        error = err.message;
+      }
+
+      const succeeded = responseStatus !== null && responseStatus >= 200 && responseStatus < 300;
+      const willRetry = !succeeded && attempt < maxAttempts;
+
+      entry = await this.storage.recordWebhookDelivery({
+        webhookId: webhook.id,
+        deliveryId,
+        event: event.type,
+        attempt,
+        status: succeeded ? 'success' : (willRetry ? 'retrying' : 'failed'),
+        responseStatus,
+        error: error || (succeeded ? null : `HTTP ${responseStatus}`),
+        durationMs: Date.now() - startedAt
+      });
+
+      if (!willRetry) break;
+      await delay(this.options.baseDelayMs * Math.pow(2, attempt - 1));
+    }
+
+    return entry;
+  }
+
+  _send(webhook, eventType, deliveryId, body) {
+    const url = new URL(webhook.url);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'swarm-tickets-webhook',
+      'X-Swarm-Tickets-Event': eventType,
+      'X-Swarm-Tickets-Delivery': deliveryId
+    };
+    if (webhook.secret) {
+      headers['X-Swarm-Tickets-Signature'] = signPayload(webhook.secret, body);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method: 'POST', headers, timeout: this.options.timeoutMs }, res => {
+        res.resume(); // Response body isn't used; drain it so the socket is released
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${this.options.timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    // Pending retries shouldn't keep the process alive on shutdown
+    if (timer.unref) timer.unref();
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookDispatcher,
+  generateWebhookSecret,
+  signPayload,
+  toPublicWebhook
+};
@@ -0,0 +1,260 @@
+/**
+ * Ticket Workflow
+ * The statuses a ticket can have and the transitions allowed between them, loaded from a JSON
+ * file (SWARM_TICKETS_WORKFLOW, default ./ticket-workflow.json) or the built-in default below
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKFLOW_PATH = './ticket-workflow.json';
+
+/**
+ * Guards a transition can require
+ *   comment      - the change is made with a comment ({ "type": "comment" })
+ *   swarm-action - a swarm action with this name was recorded since the ticket entered its
+ *                  current status ({ "type": "swarm-action", "action": "verified" })
+ */
+const GUARD_TYPES = ['comment', 'swarm-action'];
+
+/**
+ * Built-in workflow - the original four statuses. Closed tickets can only be reopened, and
+ * only open or fixed (failed verification) tickets go back to in-progress
+ *   initial    - status of new tickets, of reopened ones, and of the work queue
+ *   inProgress - status a ticket moves to when taken from the work queue
+ *   closed     - status set by the close shortcut; hidden from ticket lists by default
+ * A transition's "from" is a status, a list of statuses or "*" (any status)
+ */
+const DEFAULT_WORKFLOW = {
+  initial: 'open',
+  inProgress: 'in-progress',
+  closed: 'closed',
+  states: [
+    { id: 'open', label: 'Open', color: '#ff6b6b' },
+    { id: 'in-progress', label: 'In Progress', color: '#ffd93d' },
+    { id: 'fixed', label: 'Fixed', color: '#6bcf7f' },
+    { id: 'closed', label: 'Closed', color: '#666666' }
+  ],
+  transitions: [
+    { from: ['open', 'fixed'], to: 'in-progress' },
+    { from: ['open', 'in-progress'], to: 'fixed' },
+    { from: '*', to: 'closed' },
+    { from: '*', to: 'open' }
+  ]
+};
+
+// "in-progress" -> "inProgress" (the key a status is counted under in stats)
+function toStatKey(status) {
+  return status.replace(/[-_\s]+(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+class Workflow {
+  /**
+   * @param {Object} definition - { initial, inProgress, closed, states, transitions }
+   * @throws {Error} If the definition is inconsistent
+   */
+  constructor(definition) {
+    const problems = Workflow.check(definition);
+    if (problems.length > 0) {
+      throw new Error(`Invalid workflow: ${problems.join('; ')}`);
+    }
+
+    this.initial = definition.initial;
+    this.inProgress = definition.inProgress;
+    this.closed = definition.closed;
+    this.states = definition.states.map(state => ({ ...state, label: state.label || state.id }));
+    this.transitions = definition.transitions.map(transition => ({
+      from: transition.from === '*' ? '*' : [].concat(transition.from),
+      to: transition.to,
+      guards: transition.guards || []
+    }));
+  }
+
+  /**
+   * List what's wrong with a workflow definition
+   * @param {Object} definition - Workflow definition
+   * @returns {Array<string>} Problems, empty when valid
+   */
+  static check(definition) {
+    if (!definition || !Array.isArray(definition.states) || !Array.isArray(definition.transitions)) {
+      return ['must have "states" and "transitions" arrays'];
+    }
+
+    const problems = [];
+    const ids = definition.states.map(state => state && state.id);
+    ids.forEach((id, index) => {
+      if (typeof id !== 'string' || !id) problems.push(`states[${index}] needs an "id"`);
+      else if (ids.indexOf(id) !== index) problems.push(`state "${id}" is defined twice`);
+    });
+
+    ['initial', 'inProgress', 'closed'].forEach(key => {
+      if (!ids.includes(definition[key])) problems.push(`"${key}" must be one of the states`);
+    });
+
+    definition.transitions.forEach((transition, index) => {
+      const at = `transitions[${index}]`;
+      if (!transition || !ids.includes(transition.to)) {
+        problems.push(`${at}.to must be one of the states`);
+        return;
+      }
+      if (transition.from !== '*') {
+        [].concat(transition.from).forEach(from => {
+          if (!ids.includes(from)) problems.push(`${at}.from "${from}" is not a state`);
+        });
+      }
+      (transition.guards || []).forEach((guard, guardIndex) => {
+        if (!guard || !GUARD_TYPES.includes(guard.type)) {
+          problems.push(`${at}.guards[${guardIndex}].type must be one of: ${GUARD_TYPES.join(', ')}`);
+        } else if (guard.type === 'swarm-action' && !guard.action) {
+          problems.push(`${at}.guards[${guardIndex}] needs an "action"`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Status IDs in definition order
+   * @returns {Array<string>} Status IDs
+   */
+  get statuses() {
+    return this.states.map(state => state.id);
+  }
+
+  /**
+   * Whether a status is part of the workflow
+   * @param {string} status - Status
+   * @returns {boolean} True if defined
+   */
+  hasStatus(status) {
+    return this.statuses.includes(status);
+  }
+
+  /**
+   * Find the transition that allows a status change
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {Object|null} { from, to, guards } or null if the change isn't allowed
+   */
+  getTransition(from, to) {
+    return this.transitions.find(t => t.to === to && (t.from === '*' || t.from.includes(from))) || null;
+  }
+
+  /**
+   * Statuses a ticket can move to from a status
+   * @param {string} from - Current status
+   * @returns {Array<string>} Status IDs, in definition order
+   */
+  getNextStatuses(from) {
+    return this.statuses.filter(to => to !== from && this.getTransition(from, to));
+  }
+
+  /**
+   * Check a status change against the transitions and their guards
+   * @param {Object} ticket - Ticket as it is now
+   * @param {string} to - Requested status
+   * @param {Object} context - { comment, enteredAt } - comment sent with the change; enteredAt: when the
+   *   ticket entered its current status (swarm actions before it don't count)
+   * @returns {Array<string>} Why the change isn't allowed, empty when it is
+   */
+  checkTransition(ticket, to, context = {}) {
+    if (ticket.status === to) return [];
+
+    const transition = this.getTransition(ticket.status, to);
+    if (!transition) {
+      const next = this.getNextStatuses(ticket.status);
+      return [`"${ticket.status}" can only move to: ${next.length > 0 ? next.join(', ') : '(nothing)'}`];
+    }
+
+    const unmet = [];
+    transition.guards.forEach(guard => {
+      if (guard.type === 'comment' && !(context.comment && context.comment.trim())) {
+        unmet.push('needs a comment');
+      }
+      if (guard.type === 'swarm-action') {
+        const since = context.enteredAt || ticket.createdAt;
+        const done = (ticket.swarmActions || []).some(a => a.action === guard.action && a.timestamp >= since);
+        if (!done) unmet.push(`needs a "${guard.action}" swarm action first`);
+      }
+    });
+    return unmet;
+  }
+
+  /**
+   * Whether checking a change to this status needs to know when the ticket entered its current one
+   */
+  needsEnteredAt(from, to) {
+    const transition = this.getTransition(from, to);
+    return Boolean(transition && transition.guards.some(guard => guard.type === 'swarm-action'));
+  }
+
+  /**
+   * Count tickets per status for stats - every workflow status is present, statuses no longer in
+   * the workflow are kept so the counts still add up to the total
+   * @param {Array<Object>} rows - [{ status, count }]
+   * @returns {Object} camelCased status -> count (e.g. { open, inProgress, fixed, closed })
+   */
+  countByStatus(rows) {
+    const counts = {};
+    this.statuses.forEach(status => { counts[toStatKey(status)] = 0; });
+    rows.forEach(({ status, count }) => {
+      if (!status) return;
+      const key = toStatKey(status);
+      counts[key] = (counts[key] || 0) + count;
+    });
+    return counts;
+  }
+
+  toJSON() {
+    return {
+      initial: this.initial,
+      inProgress: this.inProgress,
+      closed: this.closed,
+      states: this.states.map(state => ({ ...state, statKey: toStatKey(state.id) })),
+      transitions: this.transitions
+    };
+  }
+}
+
+/**
+ * Load a workflow definition
+ * @param {string} filePath - JSON file; when omitted, ./ticket-workflow.json is used if it exists
+ * @returns {Workflow} Workflow (the built-in default when no file is configured)
+ * @throws {Error} If the file can't be read or the definition is invalid
+ */
+function loadWorkflow(filePath) {
+  const resolved = path.resolve(filePath || DEFAULT_WORKFLOW_PATH);
+  if (!filePath && !fs.existsSync(resolved)) {
+    return new Workflow(DEFAULT_WORKFLOW);
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read workflow from ${resolved}: ${error.message}`);
+  }
+  return new Workflow(definition);
+}
+
+let configuredWorkflow = null;
+
+/**
+ * The workflow configured for this process (SWARM_TICKETS_WORKFLOW), loaded on first use
+ * @returns {Workflow} Workflow
+ */
+function getWorkflow() {
+  if (!configuredWorkflow) {
+    configuredWorkflow = loadWorkflow(process.env.SWARM_TICKETS_WORKFLOW);
+  }
+  return configuredWorkflow;
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  GUARD_TYPES,
+  Workflow,
+  loadWorkflow,
+  getWorkflow
+};
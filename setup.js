@@ -50,7 +50,9 @@ try {
   console.log('Skill documentation: .claude/skills/swarm-tickets/SKILL.md\n');
   console.log('📝 Note: Add these to your .gitignore if you don\'t want to commit tickets:');
   console.log('  tickets.json');
-  console.log('  ticket-backups/\n');
+  console.log('  tickets.meta.json');
+  console.log('  ticket-backups/');
+  console.log('  ticket-attachments/\n');
 } catch (error) {
   console.error('❌ Setup failed:', error.message);
   process.exit(1);
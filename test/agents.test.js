@@ -0,0 +1,48 @@
+/**
+ * Agent Tests
+ * Ticket assignees and reporters, and the registry of humans and swarm agents
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('agents', context => {
+  it('registers agents and updates only the fields given', async () => {
+    const { storage } = context;
+    const created = await storage.upsertAgent('queen', { role: 'queen-coordinator' });
+    assert.strictEqual(created.type, 'agent');
+    assert.strictEqual(created.role, 'queen-coordinator');
+
+    const updated = await storage.upsertAgent('queen', { type: 'human' });
+    assert.strictEqual(updated.type, 'human');
+    assert.strictEqual(updated.role, 'queen-coordinator');
+
+    assert.strictEqual((await storage.getAgent('queen')).type, 'human');
+    assert.strictEqual(await storage.getAgent('drone'), null);
+  });
+
+  it('registers unknown agents on their first activity', async () => {
+    const { storage } = context;
+    await storage.touchAgent('coder-1', 'agent');
+
+    const agent = await storage.getAgent('coder-1');
+    assert.ok(agent.lastActiveAt);
+    assert.deepStrictEqual((await storage.listAgents()).map(a => a.name), ['coder-1']);
+
+    assert.strictEqual(await storage.deleteAgent('coder-1'), true);
+    assert.strictEqual(await storage.deleteAgent('coder-1'), false);
+  });
+
+  it('assigns tickets and lists them by assignee', async () => {
+    const { storage } = context;
+    const mine = await storage.createTicket({ route: '/a', assignee: 'coder-1', reporter: 'qa' });
+    await storage.createTicket({ route: '/b', assignee: 'coder-2' });
+
+    assert.deepStrictEqual((await storage.getAllTickets({ assignee: 'coder-1' })).map(t => t.id), [mine.id]);
+    assert.strictEqual((await storage.getTicket(mine.id)).reporter, 'qa');
+
+    const unassigned = await storage.updateTicket(mine.id, { assignee: null });
+    assert.strictEqual(unassigned.assignee, null);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * API Key Tests
+ * Widget API keys: issuing, checking and revoking them, and the per-IP limit on keyless reports
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { hashToken } = require('../lib/auth');
+const { describeAdapters, makeTempDir, openStorage } = require('./helpers');
+
+describeAdapters('API keys', context => {
+  it('accepts only API keys it issued and hasn\'t revoked', async () => {
+    const { storage } = context;
+    const { key } = await storage.createApiKey('widget');
+
+    await storage.admitBugReport(key, '203.0.113.1');
+    await assert.rejects(storage.admitBugReport('stk_not-a-key', '203.0.113.1'), /Invalid API key/);
+
+    assert.strictEqual(await storage.revokeApiKey(key), true);
+    await assert.rejects(storage.admitBugReport(key, '203.0.113.1'), /Invalid API key/);
+    assert.strictEqual(await storage.revokeApiKey('stk_not-a-key'), false);
+  });
+
+  it('lists keys without the keys themselves', async () => {
+    const { key } = await context.storage.createApiKey('widget');
+
+    const keys = await context.storage.listApiKeys();
+    assert.strictEqual(keys.length, 1);
+    assert.strictEqual(keys[0].name, 'widget');
+    assert.ok(!JSON.stringify(keys).includes(key));
+    assert.ok(!JSON.stringify(keys).includes(hashToken(key)));
+  });
+
+  it('rate limits reports by IP, separately per IP', async () => {
+    const { storage } = context;
+    for (let i = 0; i < 10; i++) {
+      await storage.admitBugReport(null, '203.0.113.1');
+    }
+    await assert.rejects(storage.admitBugReport(null, '203.0.113.1'), /Rate limit exceeded/);
+    await storage.admitBugReport(null, '203.0.113.2');
+  });
+});
+
+describe('JSON API keys', () => {
+  it('keeps only the hash of a key in the sidecar', async () => {
+    const dir = makeTempDir();
+    const storage = await openStorage('json', dir);
+    try {
+      const { key } = await storage.createApiKey('widget');
+
+      const sidecar = fs.readFileSync(path.join(dir, 'tickets.meta.json'), 'utf8');
+      assert.ok(!sidecar.includes(key));
+      assert.strictEqual(JSON.parse(sidecar).apiKeys[0].keyHash, hashToken(key));
+    } finally {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('replaces keys stored in plain text with their hash on startup', async () => {
+    const dir = makeTempDir();
+    const key = 'stk_' + 'a'.repeat(48);
+    fs.writeFileSync(path.join(dir, 'tickets.meta.json'), JSON.stringify({
+      apiKeys: [{ id: 1, key, name: 'old widget', createdAt: '2024-01-01T00:00:00.000Z', lastUsed: null, enabled: true }]
+    }));
+    const storage = await openStorage('json', dir);
+    try {
+      const sidecar = fs.readFileSync(path.join(dir, 'tickets.meta.json'), 'utf8');
+      assert.ok(!sidecar.includes(key));
+      assert.deepStrictEqual(JSON.parse(sidecar).apiKeys[0], {
+        id: 1, keyHash: hashToken(key), name: 'old widget', createdAt: '2024-01-01T00:00:00.000Z', lastUsed: null, enabled: true
+      });
+      await storage.admitBugReport(key, '203.0.113.1');
+    } finally {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Attachment Tests
+ * Which files the attachment store takes, how it stores them, and long error logs split off into files
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { AttachmentStore, AttachmentError, resolveContentType, splitLongErrors } = require('../lib/attachments');
+const { makeTempDir } = require('./helpers');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000', 'hex');
+
+describe('resolveContentType', () => {
+  it('takes the extension\'s type when none is sent', () => {
+    assert.strictEqual(resolveContentType('shot.png', '', PNG), 'image/png');
+    assert.strictEqual(resolveContentType('console.log', 'application/octet-stream', Buffer.from('hi')), 'text/plain');
+  });
+
+  it('refuses types that can carry scripts, and contents that don\'t match their type', () => {
+    const refused = status => error => error instanceof AttachmentError && error.status === status;
+    assert.throws(() => resolveContentType('page.html', 'text/html', Buffer.from('<script>')), refused(415));
+    assert.throws(() => resolveContentType('shot.png', 'image/png', Buffer.from('not a png')), refused(415));
+    assert.throws(() => resolveContentType('log.txt', 'text/plain', Buffer.from([0x61, 0x00])), refused(415));
+  });
+});
+
+describe('AttachmentStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    store = new AttachmentStore(dir, { maxBytes: 100, maxTicketBytes: 150 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores a file with its metadata and deletes it again', async () => {
+    const attachment = await store.add('TKT-1', {
+      filename: '../../etc/screen shot.png',
+      data: PNG,
+      source: 'bug-report',
+      uploadedBy: 'widget'
+    });
+    assert.strictEqual(attachment.filename, 'screen_shot.png');
+    assert.strictEqual(attachment.contentType, 'image/png');
+    assert.strictEqual(attachment.size, PNG.length);
+
+    const stored = await store.get('TKT-1', attachment.id);
+    assert.ok(fs.readFileSync(stored.path).equals(PNG));
+    assert.deepStrictEqual((await store.list('TKT-1')).map(a => a.id), [attachment.id]);
+
+    assert.strictEqual(await store.remove('TKT-1', attachment.id), true);
+    assert.deepStrictEqual(await store.list('TKT-1'), []);
+  });
+
+  it('refuses files over the per-file and per-ticket limits', async () => {
+    const tooBig = error => error instanceof AttachmentError && error.status === 413;
+    await assert.rejects(store.check('TKT-1', [{ filename: 'a.txt', data: Buffer.alloc(101, 'a') }]), tooBig);
+
+    await store.add('TKT-1', { filename: 'a.txt', data: Buffer.alloc(100, 'a') });
+    await assert.rejects(store.add('TKT-1', { filename: 'b.txt', data: Buffer.alloc(60, 'b') }), tooBig);
+    await store.check('TKT-2', [{ filename: 'b.txt', data: Buffer.alloc(60, 'b') }]);
+  });
+
+  it('refuses ticket and attachment IDs that aren\'t plain', async () => {
+    await assert.rejects(store.list('../TKT-1'), /Invalid ticket ID/);
+    assert.strictEqual(await store.get('TKT-1', '../secret'), null);
+  });
+});
+
+describe('splitLongErrors', () => {
+  it('cuts long errors at a line break and returns the full text as a log', () => {
+    const text = 'TypeError: boom\n' + 'at frame\n'.repeat(20);
+    const { data, logs } = splitLongErrors({ route: '/a', f12Errors: text, serverErrors: 'short' }, 40);
+
+    assert.strictEqual(data.route, '/a');
+    assert.strictEqual(data.serverErrors, 'short');
+    assert.strictEqual(data.f12Errors, 'TypeError: boom\nat frame\nat frame\n[... 163 more characters - full text attached as f12-errors.log]');
+    assert.deepStrictEqual(logs, [{ source: 'f12Errors', filename: 'f12-errors.log', text }]);
+  });
+});
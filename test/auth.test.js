@@ -0,0 +1,116 @@
+/**
+ * Auth Tests
+ * Role checks on API routes, and that the server doesn't hand out its data files
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const express = require('express');
+const { Role, hasRole, hashToken, generateAuthToken, createRequireRole } = require('../lib/auth');
+const { makeTempDir, openStorage, listen, startServer } = require('./helpers');
+
+async function createToken(storage, role) {
+  const token = generateAuthToken();
+  const record = await storage.createAuthToken({ name: `${role}-token`, role, tokenHash: hashToken(token) });
+  return { token, record };
+}
+
+describe('hasRole', () => {
+  it('grants each role what the ones below it can do', () => {
+    assert.strictEqual(hasRole(Role.ADMIN, Role.AGENT), true);
+    assert.strictEqual(hasRole(Role.AGENT, Role.AGENT), true);
+    assert.strictEqual(hasRole(Role.VIEWER, Role.AGENT), false);
+    assert.strictEqual(hasRole('owner', Role.REPORTER), false);
+  });
+});
+
+describe('requireRole', () => {
+  let dir;
+  let storage;
+  let server;
+  let tokens;
+
+  before(async () => {
+    dir = makeTempDir();
+    storage = await openStorage('json', dir);
+    tokens = {
+      viewer: await createToken(storage, Role.VIEWER),
+      agent: await createToken(storage, Role.AGENT),
+      revoked: await createToken(storage, Role.ADMIN)
+    };
+    await storage.revokeAuthToken(tokens.revoked.record.id);
+
+    const requireRole = createRequireRole(() => storage);
+    const app = express();
+    app.get('/agent-only', requireRole(Role.AGENT), (req, res) => res.json(req.auth));
+    const open = createRequireRole(() => storage, { enabled: false });
+    app.get('/auth-off', open(Role.ADMIN), (req, res) => res.json(req.auth));
+    server = await listen(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function get(path, token) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await fetch(`${server.url}${path}`, { headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('answers 401 without a valid token and 403 for too low a role', async () => {
+    assert.strictEqual((await get('/agent-only')).status, 401);
+    assert.strictEqual((await get('/agent-only', 'stt_unknown')).status, 401);
+    assert.strictEqual((await get('/agent-only', tokens.revoked.token)).status, 401);
+    assert.strictEqual((await get('/agent-only', tokens.viewer.token)).status, 403);
+  });
+
+  it('lets a token with the role through, naming it on the request', async () => {
+    const response = await get('/agent-only', tokens.agent.token);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { id: tokens.agent.record.id, name: 'agent-token', role: Role.AGENT });
+  });
+
+  it('lets everything through as admin when auth is off', async () => {
+    assert.deepStrictEqual((await get('/auth-off')).body, { role: Role.ADMIN, name: 'auth-disabled' });
+  });
+});
+
+describe('ticket server static files', () => {
+  let dir;
+  let server;
+
+  before(async () => {
+    dir = makeTempDir();
+    const storage = await openStorage('json', dir);
+    await storage.createTicket({ route: '/a', description: 'Not for anonymous eyes' });
+    await createToken(storage, Role.ADMIN);
+    await storage.close();
+    server = await startServer(dir);
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('serves the web UI and the widget', async () => {
+    for (const file of ['ticket-tracker.html', 'bug-report-widget.js']) {
+      const response = await fetch(`${server.url}/${file}`);
+      assert.strictEqual(response.status, 200, file);
+      await response.arrayBuffer();
+    }
+  });
+
+  it('does not serve the ticket store or its sidecar', async () => {
+    for (const file of ['tickets.json', 'tickets.meta.json', 'package.json']) {
+      const response = await fetch(`${server.url}/${file}`);
+      assert.strictEqual(response.status, 404, file);
+      await response.arrayBuffer();
+    }
+    assert.strictEqual((await fetch(`${server.url}/api/tickets`)).status, 401);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Breadcrumb Tests
+ * The interactions recorded before a bug report, as tickets store them
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const BaseAdapter = require('../lib/storage/base-adapter');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('breadcrumbs', context => {
+  it('keeps known interactions, dropping unknown types and extra fields', async () => {
+    const report = await context.storage.createBugReport({
+      location: '/settings',
+      description: 'Save does nothing',
+      breadcrumbs: [
+        { type: 'navigation', url: '/settings', via: 'pushState', timestamp: '2024-05-01T10:00:00.000Z' },
+        { type: 'hover', selector: 'nav > a' },
+        { type: 'click', selector: 'button#save', text: 'Save'.repeat(100), x: 10 }
+      ]
+    });
+
+    const storage = await context.reopen();
+    const breadcrumbs = (await storage.getTicket(report.id)).breadcrumbs;
+    assert.deepStrictEqual(breadcrumbs.map(b => b.type), ['navigation', 'click']);
+    assert.strictEqual(breadcrumbs[0].via, 'pushState');
+    assert.strictEqual(breadcrumbs[1].text.length, 200);
+    assert.strictEqual(breadcrumbs[1].x, undefined);
+  });
+
+  it('keeps only the latest interactions', async () => {
+    const clicks = Array.from({ length: BaseAdapter.MAX_BREADCRUMBS + 3 }, (_, i) => ({ type: 'click', selector: `#b${i}` }));
+    const ticket = await context.storage.createTicket({ route: '/a', breadcrumbs: clicks });
+
+    assert.strictEqual(ticket.breadcrumbs.length, BaseAdapter.MAX_BREADCRUMBS);
+    assert.strictEqual(ticket.breadcrumbs[0].selector, '#b3');
+  });
+});
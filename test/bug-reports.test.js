@@ -0,0 +1,77 @@
+/**
+ * Bug Report Tests
+ * Reports filed as tickets, and retries of the same report answered from its receipt
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { describeAdapters, makeTempDir, openStorage, startServer } = require('./helpers');
+
+describeAdapters('bug report receipts', context => {
+  it('files a report as a ticket and replays its receipt by idempotency key', async () => {
+    const { storage } = context;
+    const receipt = await storage.createBugReport({ location: '/settings', description: 'Save fails' });
+    assert.strictEqual(receipt.duplicate, false);
+    assert.strictEqual((await storage.getTicket(receipt.id)).route, '/settings');
+
+    await storage.saveBugReportReceipt('key-1', receipt);
+    assert.deepStrictEqual(await storage.getBugReportReceipt('key-1'), receipt);
+    assert.strictEqual(await storage.getBugReportReceipt('key-2'), null);
+  });
+});
+
+describe('JSON bug report receipts', () => {
+  it('sees receipts saved by another process', async () => {
+    const dir = makeTempDir();
+    const server = await openStorage('json', dir);
+    const other = await openStorage('json', dir);
+    try {
+      // Something else (a second server on the same files) writes the sidecar after this one read it
+      await server.getBugReportReceipt('key-0');
+      await other.saveBugReportReceipt('key-1', { id: 'TKT-1' });
+
+      assert.deepStrictEqual(await server.getBugReportReceipt('key-1'), { id: 'TKT-1' });
+      await server.saveBugReportReceipt('key-2', { id: 'TKT-2' });
+      assert.deepStrictEqual(await other.getBugReportReceipt('key-1'), { id: 'TKT-1' });
+    } finally {
+      await server.close();
+      await other.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('ticket server bug report retries', () => {
+  let dir;
+  let server;
+
+  before(async () => {
+    dir = makeTempDir();
+    server = await startServer(dir);
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function report(key) {
+    return fetch(`${server.url}/api/bug-report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: JSON.stringify({ location: '/settings', description: 'Save fails' })
+    });
+  }
+
+  it('files a report sent twice with the same key once', async () => {
+    const responses = await Promise.all([report('retry-1'), report('retry-1')]);
+    const bodies = await Promise.all(responses.map(response => response.json()));
+
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 201]);
+    assert.strictEqual(bodies[0].id, bodies[1].id);
+    assert.strictEqual(bodies.filter(body => body.replayed).length, 1);
+    // The token only goes to the first sender
+    assert.strictEqual(bodies.filter(body => body.receiptToken).length, 1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Bulk Operation Tests
+ * One operation over many tickets, with a result per ticket
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { ValidationError } = require('../lib/validation');
+const { describeAdapters, makeTempDir, openStorage } = require('./helpers');
+
+describeAdapters('bulk operations', context => {
+  it('applies an operation per ticket and reports the ones it could not', async () => {
+    const { storage } = context;
+    const open = await storage.createTicket({ route: '/a' });
+    const closed = await storage.createTicket({ route: '/b', status: 'closed' });
+
+    const results = await storage.bulkUpdateTickets([open.id, closed.id, 'TKT-missing'], {
+      type: 'set-status', status: 'in-progress', actor: 'lead'
+    });
+    assert.deepStrictEqual(results.map(r => r.ok), [true, false, false]);
+    assert.strictEqual(results[0].ticket.status, 'in-progress');
+    assert.match(results[1].error, /Can't move/);
+    assert.strictEqual(results[2].error, 'Ticket not found');
+    assert.strictEqual((await storage.getTicket(closed.id)).status, 'closed');
+  });
+
+  it('closes tickets before recording why', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+
+    const [result] = await storage.bulkUpdateTickets([ticket.id], { type: 'close', reason: 'duplicate', actor: 'lead' });
+    assert.strictEqual(result.previousStatus, 'open');
+    assert.strictEqual(result.ticket.status, 'closed');
+    const action = result.ticket.swarmActions[result.ticket.swarmActions.length - 1];
+    assert.strictEqual(action.result, 'Status changed from "open" to "closed". Reason: duplicate');
+  });
+
+  it('rejects unknown operations and missing parameters', async () => {
+    const { storage } = context;
+    await assert.rejects(storage.bulkUpdateTickets([], { type: 'archive' }), ValidationError);
+    await assert.rejects(storage.bulkUpdateTickets([], { type: 'set-priority' }), ValidationError);
+  });
+
+  it('keeps every change when batches overlap', async () => {
+    const { storage } = context;
+    const a = await storage.createTicket({ route: '/a' });
+    const b = await storage.createTicket({ route: '/b' });
+
+    await Promise.all([
+      storage.bulkUpdateTickets([a.id, b.id], { type: 'set-priority', priority: 'high' }),
+      storage.bulkUpdateTickets([a.id, b.id], { type: 'set-assignee', assignee: 'agent-1' })
+    ]);
+
+    const reopened = await context.reopen();
+    for (const id of [a.id, b.id]) {
+      const ticket = await reopened.getTicket(id);
+      assert.strictEqual(ticket.priority, 'high', id);
+      assert.strictEqual(ticket.assignee, 'agent-1', id);
+    }
+  });
+});
+
+describe('JSON bulk writes', () => {
+  it('writes overlapping batches once, when the last one ends', async () => {
+    const dir = makeTempDir();
+    const storage = await openStorage('json', dir);
+    try {
+      const tickets = [];
+      for (const route of ['/a', '/b', '/c']) {
+        tickets.push((await storage.createTicket({ route })).id);
+      }
+      let writes = 0;
+      const createBackup = storage.createBackup.bind(storage);
+      storage.createBackup = () => {
+        writes++;
+        return createBackup();
+      };
+
+      await Promise.all([
+        storage.bulkUpdateTickets(tickets, { type: 'set-priority', priority: 'high' }),
+        storage.bulkUpdateTickets(tickets, { type: 'set-assignee', assignee: 'agent-1' })
+      ]);
+
+      assert.strictEqual(writes, 1);
+    } finally {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
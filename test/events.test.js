@@ -0,0 +1,91 @@
+/**
+ * Event Stream Tests
+ * The in-process event bus and what Server-Sent Events clients receive from it
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { TicketEvent, TicketEventBus, createEventStreamHandler } = require('../lib/events');
+const { listen } = require('./helpers');
+
+describe('TicketEventBus', () => {
+  it('numbers events and replays the ones after an ID', () => {
+    const bus = new TicketEventBus();
+    const received = [];
+    bus.on('event', event => received.push(event.id));
+
+    bus.publish(TicketEvent.CREATED, { ticket: { id: 'TKT-1' } });
+    bus.publish(TicketEvent.DELETED, { ticketId: 'TKT-1' });
+
+    assert.deepStrictEqual(received, [1, 2]);
+    assert.deepStrictEqual(bus.since(1).map(event => event.type), [TicketEvent.DELETED]);
+  });
+
+  it('adds status-changed only when an update moved the status', () => {
+    const bus = new TicketEventBus();
+
+    bus.publishTicketChange('open', { id: 'TKT-1', status: 'open' });
+    bus.publishTicketChange('open', { id: 'TKT-1', status: 'fixed' });
+
+    assert.deepStrictEqual(bus.since(0).map(event => event.type), [
+      TicketEvent.UPDATED, TicketEvent.UPDATED, TicketEvent.STATUS_CHANGED
+    ]);
+    assert.deepStrictEqual(bus.since(2)[0].data, {
+      ticketId: 'TKT-1', from: 'open', to: 'fixed', ticket: { id: 'TKT-1', status: 'fixed' }
+    });
+  });
+});
+
+describe('createEventStreamHandler', () => {
+  // Read the stream until it contains `until`, then hang up
+  async function readStream(url, headers, until) {
+    const controller = new AbortController();
+    const response = await fetch(url, { headers, signal: controller.signal });
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (!text.includes(until)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+    controller.abort();
+    return text;
+  }
+
+  it('replays missed events of the requested types, then streams new ones', async () => {
+    const bus = new TicketEventBus();
+    bus.publish(TicketEvent.CREATED, { ticket: { id: 'TKT-1' } });
+    bus.publish(TicketEvent.COMMENT_ADDED, { ticketId: 'TKT-1' });
+    bus.publish(TicketEvent.DELETED, { ticketId: 'TKT-0' });
+
+    const app = express();
+    app.get('/events', createEventStreamHandler(() => bus));
+    const server = await listen(app);
+    try {
+      const streamed = readStream(
+        `${server.url}/events?types=${TicketEvent.DELETED},${TicketEvent.CREATED}`,
+        { 'Last-Event-ID': '1' },
+        'TKT-2'
+      );
+      // Give the handler time to subscribe before publishing
+      await new Promise(resolve => setTimeout(resolve, 100));
+      bus.publish(TicketEvent.COMMENT_ADDED, { ticketId: 'TKT-1' });
+      bus.publish(TicketEvent.CREATED, { ticket: { id: 'TKT-2' } });
+
+      const ids = [...(await streamed).matchAll(/^id: (\d+)$/gm)].map(match => Number(match[1]));
+      assert.deepStrictEqual(ids, [3, 5]);
+    } finally {
+      await server.close();
+    }
+
+    // The handler unsubscribes once the client is gone
+    for (let i = 0; i < 50 && bus.listenerCount('event') > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(bus.listenerCount('event'), 0);
+  });
+});
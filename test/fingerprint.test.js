@@ -0,0 +1,75 @@
+/**
+ * Fingerprint Tests
+ * What normalization strips from error text, which reports end up with the same fingerprint, and
+ * how repeats are counted on one ticket
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeErrors, fingerprintErrors } = require('../lib/fingerprint');
+const { describeAdapters } = require('./helpers');
+
+describe('normalizeErrors', () => {
+  it('keeps a URL\'s origin and file name, without its path, query string or hash', () => {
+    assert.strictEqual(
+      normalizeErrors('Error at https://app.example.com/static/js/main.js?v=3#top:10:5'),
+      'error at https://app.example.com/main.js'
+    );
+    assert.strictEqual(normalizeErrors('GET https://app.example.com/api/orders/123 500'), 'get https://app.example.com 500');
+  });
+
+  it('strips timestamps, IDs, bundle hashes and line numbers', () => {
+    assert.strictEqual(
+      normalizeErrors('2024-05-01T10:00:00.000Z order 4f1c2a3e-9b8d-4e7f-a6b5-c4d3e2f1a0b9 failed in /srv/app/src/orders.js:88:12'),
+      normalizeErrors('2024-06-02T11:30:00.000Z order 0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d failed in /home/ci/app/src/orders.js:91:3')
+    );
+    assert.strictEqual(normalizeErrors('at https://x.com/assets/app.3f9a8b2c.js'), normalizeErrors('at https://x.com/assets/app.77e1d0aa.js'));
+  });
+});
+
+describe('fingerprintErrors', () => {
+  it('matches the same error from another page, build or order of lines', () => {
+    const a = fingerprintErrors('TypeError: x is undefined\n    at render (https://x.com/app.js:10:5)', 'GET /api 500');
+    const b = fingerprintErrors('TypeError: x is undefined\n    at render (https://x.com/app.js?v=2:12:9)', 'GET /api 500');
+    assert.ok(a);
+    assert.strictEqual(a, b);
+  });
+
+  it('keeps the same message from different scripts apart', () => {
+    assert.notStrictEqual(
+      fingerprintErrors('TypeError: x is undefined at https://x.com/static/app.js:1:1', ''),
+      fingerprintErrors('TypeError: x is undefined at https://x.com/static/vendor.js:1:1', '')
+    );
+  });
+
+  it('has no fingerprint without errors', () => {
+    assert.strictEqual(fingerprintErrors('', ''), null);
+    assert.strictEqual(fingerprintErrors(undefined, '  \n '), null);
+  });
+});
+
+describeAdapters('occurrences', context => {
+  it('counts a ticket with the same errors as another occurrence', async () => {
+    const { storage } = context;
+    const data = { route: '/a', f12Errors: 'TypeError: x is undefined at app.js:10:5' };
+    const first = await storage.createOrRecordTicket(data);
+    const second = await storage.createOrRecordTicket({ ...data, f12Errors: 'TypeError: x is undefined at app.js:12:9' });
+
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(second.ticket.id, first.ticket.id);
+    assert.strictEqual(second.ticket.occurrenceCount, 2);
+  });
+
+  it('opens a new ticket when the matching one is closed', async () => {
+    const { storage } = context;
+    const data = { route: '/a', serverErrors: 'ECONNREFUSED 10.0.0.5:5432' };
+    const first = await storage.createOrRecordTicket(data);
+    await storage.updateTicket(first.ticket.id, { status: 'closed' });
+
+    const again = await storage.createOrRecordTicket(data);
+    assert.strictEqual(again.created, true);
+    assert.notStrictEqual(again.ticket.id, first.ticket.id);
+    assert.strictEqual(again.ticket.fingerprint, first.ticket.fingerprint);
+  });
+});
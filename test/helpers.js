@@ -0,0 +1,150 @@
+/**
+ * Test Helpers
+ * Fresh JSON and SQLite stores in temp directories, so each adapter is checked against the same behavior
+ */
+
+const { describe, beforeEach, afterEach } = require('node:test');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageAdapter } = require('../lib/storage');
+const { Workflow, DEFAULT_WORKFLOW } = require('../lib/workflow');
+const { Scrubber } = require('../lib/scrubbing');
+
+// better-sqlite3 is an optional dependency; without it the SQLite tests are skipped
+const sqliteMissing = (() => {
+  try {
+    require.resolve('better-sqlite3');
+    return false;
+  } catch (error) {
+    return 'better-sqlite3 is not installed';
+  }
+})();
+
+const SERVER_SCRIPT = path.join(__dirname, '..', 'ticket-server.js');
+
+let ticketSequence = 0;
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-tickets-test-'));
+}
+
+async function openStorage(type, dir, definition = DEFAULT_WORKFLOW) {
+  const storage = await createStorageAdapter({
+    type,
+    jsonPath: path.join(dir, 'tickets.json'),
+    backupDir: path.join(dir, 'ticket-backups'),
+    sqlitePath: path.join(dir, 'tickets.db'),
+    workflow: new Workflow(definition),
+    scrubber: new Scrubber()
+  });
+  // Generated IDs come from the clock, and the tests create tickets faster than one per millisecond
+  storage.generateTicketId = () => `TKT-${Date.now()}${String(++ticketSequence).padStart(4, '0')}`;
+  return storage;
+}
+
+/**
+ * Serve an Express app on a free local port
+ * @param {Object} app - Express app
+ * @returns {Promise<Object>} { url, close } - close() also ends open streams
+ */
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Start ticket-server.js in a directory, which holds its tickets.json and sidecar
+ * @param {string} dir - Working directory
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} { url, stop }
+ */
+function startServer(dir, env = {}) {
+  // The server moves on to the next port when one is taken
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server didn't start:\n${output}`));
+    }, 15000);
+
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/running on (http:\/\/localhost:\d+)/);
+      if (!match) return;
+      clearTimeout(timer);
+      resolve({
+        url: match[1],
+        stop() {
+          child.kill();
+          return once(child, 'exit');
+        }
+      });
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Describe the same tests once per local adapter. The callback gets a context whose storage
+ * is opened fresh before each test; reopen() closes it and opens the same files again
+ * @param {string} title - Suite title
+ * @param {Function} fn - Defines the tests, given { type, dir, storage, reopen }
+ */
+function describeAdapters(title, fn) {
+  for (const type of ['json', 'sqlite']) {
+    describe(`${title} (${type})`, { skip: type === 'sqlite' && sqliteMissing }, () => {
+      const context = {
+        type,
+        dir: null,
+        storage: null,
+        async reopen(definition) {
+          await context.storage.close();
+          context.storage = await openStorage(type, context.dir, definition);
+          return context.storage;
+        }
+      };
+
+      beforeEach(async () => {
+        context.dir = makeTempDir();
+        context.storage = await openStorage(type, context.dir);
+      });
+
+      afterEach(async () => {
+        await context.storage.close();
+        fs.rmSync(context.dir, { recursive: true, force: true });
+      });
+
+      fn(context);
+    });
+  }
+}
+
+module.exports = {
+  sqliteMissing,
+  makeTempDir,
+  openStorage,
+  listen,
+  startServer,
+  describeAdapters
+};
@@ -0,0 +1,38 @@
+/**
+ * History Tests
+ * The field-level change log kept for every ticket update
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('history', context => {
+  it('records who changed which fields, oldest first', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/checkout', description: 'Pay button does nothing' });
+
+    await storage.updateTicket(ticket.id, { priority: 'high' }, { actor: 'agent-1' });
+    await storage.updateTicket(ticket.id, { status: 'in-progress', labels: ['UI'] }, { actor: 'agent-2' });
+
+    const history = await storage.getTicketHistory(ticket.id);
+    assert.deepStrictEqual(history.map(entry => entry.actor), ['agent-1', 'agent-2']);
+    assert.deepStrictEqual(history[0].changes, [{ field: 'priority', from: null, to: 'high' }]);
+    assert.deepStrictEqual(history[1].changes, [
+      { field: 'status', from: 'open', to: 'in-progress' },
+      { field: 'labels', from: [], to: ['ui'] }
+    ]);
+    assert.ok(history.every(entry => !isNaN(Date.parse(entry.timestamp))));
+  });
+
+  it('leaves out updates that change nothing it tracks', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a', priority: 'low' });
+
+    await storage.updateTicket(ticket.id, { priority: 'low' }, { actor: 'agent-1' });
+    await storage.updateTicket(ticket.id, { claimExpiresAt: new Date().toISOString() }, { actor: 'agent-1' });
+
+    assert.deepStrictEqual(await storage.getTicketHistory(ticket.id), []);
+    assert.strictEqual(await storage.getTicketHistory('TKT-missing'), null);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Label Tests
+ * Adding and removing ticket labels, filtering by them and counting their use
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('labels', context => {
+  it('stores labels lowercased, sorted and once each', async () => {
+    const ticket = await context.storage.createTicket({ route: '/a', labels: ['UI', 'csp', 'ui'] });
+    assert.deepStrictEqual(ticket.labels, ['csp', 'ui']);
+
+    const storage = await context.reopen();
+    assert.deepStrictEqual((await storage.getTicket(ticket.id)).labels, ['csp', 'ui']);
+  });
+
+  it('adds and removes labels, leaving the version alone when nothing changes', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a', labels: ['csp'] });
+
+    const added = await storage.addLabels(ticket.id, ['Regression', 'csp']);
+    assert.deepStrictEqual(added.labels, ['csp', 'regression']);
+    assert.strictEqual(added.version, 2);
+
+    const unchanged = await storage.removeLabels(ticket.id, ['not-there']);
+    assert.strictEqual(unchanged.version, 2);
+
+    assert.deepStrictEqual((await storage.removeLabels(ticket.id, ['CSP'])).labels, ['regression']);
+    assert.strictEqual(await storage.addLabels('TKT-missing', ['csp']), null);
+  });
+
+  it('filters tickets by label and counts each one', async () => {
+    const { storage } = context;
+    const both = await storage.createTicket({ route: '/a', labels: ['csp', 'ui'] });
+    await storage.createTicket({ route: '/b', labels: ['ui'] });
+
+    assert.deepStrictEqual((await storage.getAllTickets({ label: 'csp' })).map(t => t.id), [both.id]);
+    assert.deepStrictEqual(await storage.listLabels(), [{ label: 'ui', count: 2 }, { label: 'csp', count: 1 }]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Lease Tests
+ * Claiming tickets, lease expiry, and which changes the holder's lease blocks
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { Role, hashToken, generateAuthToken } = require('../lib/auth');
+const { describeAdapters, makeTempDir, openStorage, startServer } = require('./helpers');
+
+describeAdapters('leases', context => {
+  it('lets one agent hold a ticket at a time', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+
+    const first = await storage.claimTicket(ticket.id, 'agent-1', 60);
+    assert.strictEqual(first.claimed, true);
+    assert.strictEqual(first.renewed, false);
+    assert.strictEqual((await storage.claimTicket(ticket.id, 'agent-2', 60)).claimed, false);
+    assert.strictEqual((await storage.claimTicket(ticket.id, 'agent-1', 60)).renewed, true);
+
+    assert.strictEqual((await storage.releaseTicket(ticket.id, 'agent-2')).released, false);
+    assert.strictEqual((await storage.releaseTicket(ticket.id, 'agent-1')).released, true);
+    assert.strictEqual((await storage.claimTicket(ticket.id, 'agent-2', 60)).claimed, true);
+  });
+
+  it('records who claimed the ticket', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+
+    const { ticket: claimed } = await storage.claimTicket(ticket.id, 'agent-1', 60);
+    const action = claimed.swarmActions[claimed.swarmActions.length - 1];
+    assert.strictEqual(action.action, 'claimed');
+    assert.strictEqual(action.agent, 'agent-1');
+  });
+
+  it('releases expired leases', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+    await storage.updateTicket(ticket.id, { claimedBy: 'agent-1', claimExpiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const released = await storage.releaseExpiredLeases();
+    assert.deepStrictEqual(released.map(t => t.id), [ticket.id]);
+    assert.strictEqual((await storage.getTicket(ticket.id)).claimedBy, null);
+  });
+
+  it('keeps other agents\' bulk changes off a claimed ticket, but not their comments', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+    await storage.claimTicket(ticket.id, 'agent-1', 60);
+
+    const [changed] = await storage.bulkUpdateTickets([ticket.id], { type: 'set-priority', priority: 'low', agent: 'agent-2' });
+    assert.strictEqual(changed.ok, false);
+    assert.match(changed.error, /Claimed by "agent-1"/);
+
+    const [commented] = await storage.bulkUpdateTickets([ticket.id], {
+      type: 'add-comment', comment: { author: 'agent-2', content: 'Seen this too' }, agent: 'agent-2'
+    });
+    assert.strictEqual(commented.ok, true);
+  });
+});
+
+describe('ticket server leases', () => {
+  let dir;
+  let server;
+  let token;
+  let ticketId;
+
+  before(async () => {
+    dir = makeTempDir();
+    const storage = await openStorage('json', dir);
+    token = generateAuthToken();
+    await storage.createAuthToken({ name: 'ci', role: Role.AGENT, tokenHash: hashToken(token) });
+    ticketId = (await storage.createTicket({ route: '/a' })).id;
+    await storage.claimTicket(ticketId, 'agent-1', 600);
+    await storage.close();
+    server = await startServer(dir);
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function send(method, path, body, headers = {}) {
+    return fetch(`${server.url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('answers 409 to changes from anyone but the holder', async () => {
+    const other = await send('PATCH', `/api/tickets/${ticketId}`, { priority: 'low' }, { 'X-Swarm-Agent': 'agent-2' });
+    assert.strictEqual(other.status, 409);
+    assert.strictEqual((await other.json()).claimedBy, 'agent-1');
+
+    const holder = await send('PATCH', `/api/tickets/${ticketId}`, { priority: 'low' }, { 'X-Swarm-Agent': 'agent-1' });
+    assert.strictEqual(holder.status, 200);
+    await holder.json();
+  });
+
+  it('takes comments from anyone, authored by their agent or token', async () => {
+    const byAgent = await send('POST', `/api/tickets/${ticketId}/comments`, { content: 'Seen this too', author: 'someone-else' }, {
+      'X-Swarm-Agent': 'agent-2'
+    });
+    assert.strictEqual(byAgent.status, 201);
+    assert.strictEqual((await byAgent.json()).author, 'agent-2');
+
+    const byToken = await send('POST', `/api/tickets/${ticketId}/comments`, { content: 'Me too', author: 'someone-else' });
+    assert.strictEqual((await byToken.json()).author, 'ci');
+  });
+});
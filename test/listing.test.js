@@ -0,0 +1,60 @@
+/**
+ * Listing Tests
+ * Cursor paging, sorting and field projection of GET /api/tickets, and the query checks behind them
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseListOptions } = require('../lib/storage/list-options');
+const { ValidationError } = require('../lib/validation');
+const { describeAdapters } = require('./helpers');
+
+describe('parseListOptions', () => {
+  it('rejects unknown sorts and fields, bad limits and foreign cursors', () => {
+    assert.throws(() => parseListOptions({ sort: 'route' }), ValidationError);
+    assert.throws(() => parseListOptions({ fields: 'route,secret' }), ValidationError);
+    assert.throws(() => parseListOptions({ limit: '0' }), ValidationError);
+    assert.throws(() => parseListOptions({ cursor: 'not-a-cursor' }), ValidationError);
+  });
+
+  it('always returns the ID with the requested fields', () => {
+    assert.deepStrictEqual(parseListOptions({ fields: 'route, status' }).fields, ['id', 'route', 'status']);
+    assert.strictEqual(parseListOptions({}).fields, null);
+  });
+});
+
+describeAdapters('listTickets', context => {
+  it('pages through tickets in sort order', async () => {
+    const { storage } = context;
+    for (const [i, priority] of ['critical', 'high', 'low'].entries()) {
+      await storage.createTicket({ route: `/page-${i}`, priority });
+    }
+
+    const first = await storage.listTickets({}, parseListOptions({ limit: '2', sort: 'priority' }));
+    assert.deepStrictEqual(first.tickets.map(t => t.route), ['/page-0', '/page-1']);
+    assert.ok(first.nextCursor);
+    const second = await storage.listTickets({}, parseListOptions({ limit: '2', sort: 'priority', cursor: first.nextCursor }));
+    assert.deepStrictEqual(second.tickets.map(t => t.route), ['/page-2']);
+    assert.strictEqual(second.nextCursor, null);
+
+    // A cursor only makes sense for the field it was made for
+    assert.throws(() => parseListOptions({ sort: 'createdAt', cursor: first.nextCursor }), ValidationError);
+  });
+
+  it('returns only the requested fields', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a', description: 'Left out' });
+
+    const { tickets } = await storage.listTickets({}, parseListOptions({ fields: 'route' }));
+    assert.deepStrictEqual(tickets, [{ id: ticket.id, route: '/a' }]);
+  });
+
+  it('filters by priority', async () => {
+    const { storage } = context;
+    await storage.createTicket({ route: '/a', priority: 'critical' });
+    await storage.createTicket({ route: '/b', priority: 'low' });
+
+    const critical = await storage.getAllTickets({ priority: 'critical' });
+    assert.deepStrictEqual(critical.map(t => t.route), ['/a']);
+  });
+});
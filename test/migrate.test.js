@@ -0,0 +1,86 @@
+/**
+ * Migration Tests
+ * Round trip of the repo's own tickets.json through `swarm-tickets migrate --to sqlite`
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createStorageAdapter } = require('../lib/storage');
+const { sqliteMissing, makeTempDir } = require('./helpers');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('migrate --to sqlite', { skip: sqliteMissing }, () => {
+  const source = JSON.parse(fs.readFileSync(path.join(ROOT, 'tickets.json'), 'utf8'));
+  let dir;
+  let output;
+  let storage;
+
+  before(async () => {
+    dir = makeTempDir();
+    fs.copyFileSync(path.join(ROOT, 'tickets.json'), path.join(dir, 'tickets.json'));
+    output = execFileSync(process.execPath, [path.join(ROOT, 'ticket-server.js'), 'migrate', '--to', 'sqlite'], {
+      cwd: dir,
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    storage = await createStorageAdapter({ type: 'sqlite', sqlitePath: path.join(dir, 'tickets.db') });
+  });
+
+  after(async () => {
+    if (storage) await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('migrates every ticket', async () => {
+    assert.match(output, new RegExp(`Migrated: ${source.tickets.length}\\b`));
+    assert.match(output, /Failed: {3}0\b/);
+
+    const migrated = await storage.getAllTickets({ excludeStatus: null });
+    assert.deepStrictEqual(migrated.map(t => t.id).sort(), source.tickets.map(t => t.id).sort());
+  });
+
+  it('keeps statuses the workflow does not have', async () => {
+    for (const ticket of source.tickets) {
+      assert.strictEqual((await storage.getTicket(ticket.id)).status, ticket.status, ticket.id);
+    }
+  });
+
+  it('keeps fields, swarm actions and their attribution', async () => {
+    for (const ticket of source.tickets) {
+      const migrated = await storage.getTicket(ticket.id);
+      assert.strictEqual(migrated.route, ticket.route || '', ticket.id);
+      assert.strictEqual(migrated.description, ticket.description || '', ticket.id);
+      assert.strictEqual(migrated.priority, ticket.priority || null, ticket.id);
+      assert.strictEqual(migrated.createdAt, ticket.createdAt, ticket.id);
+      assert.deepStrictEqual(
+        migrated.swarmActions.map(a => [a.action, a.agent || null]),
+        (ticket.swarmActions || []).map(a => (typeof a === 'string' ? [a, null] : [a.action, a.agent || null])),
+        ticket.id
+      );
+    }
+  });
+
+  it('links related tickets, including ones later in the file', async () => {
+    for (const ticket of source.tickets) {
+      const known = (ticket.relatedTickets || []).filter(id => source.tickets.some(t => t.id === id));
+      assert.deepStrictEqual(
+        [...(await storage.getTicket(ticket.id)).relatedTickets].sort(),
+        [...known].sort(),
+        ticket.id
+      );
+    }
+  });
+
+  it('skips tickets already migrated when run again', () => {
+    const again = execFileSync(process.execPath, [path.join(ROOT, 'ticket-server.js'), 'migrate', '--to', 'sqlite'], {
+      cwd: dir,
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    assert.match(again, new RegExp(`Skipped: {2}${source.tickets.length}\\b`));
+  });
+});
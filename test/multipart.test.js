@@ -0,0 +1,139 @@
+/**
+ * Multipart Tests
+ * parseMultipart() on hand-built bodies, and multipartBody() in front of a route
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { parseMultipart, multipartBody } = require('../lib/multipart');
+const { ValidationError } = require('../lib/validation');
+const { listen } = require('./helpers');
+
+const BOUNDARY = '----swarm1234';
+
+// Parts are { headers, data } (data a string or Buffer); the body is CRLF-delimited as browsers send it
+function buildBody(parts, boundary = BOUNDARY) {
+  const chunks = [];
+  parts.forEach(part => {
+    chunks.push(Buffer.from(`--${boundary}\r\n${part.headers.join('\r\n')}\r\n\r\n`));
+    chunks.push(Buffer.isBuffer(part.data) ? part.data : Buffer.from(part.data));
+    chunks.push(Buffer.from('\r\n'));
+  });
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+describe('parseMultipart', () => {
+  it('splits text fields and files', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+    const body = buildBody([
+      { headers: ['Content-Disposition: form-data; name="description"'], data: 'Line one\r\nLine two' },
+      {
+        headers: ['Content-Disposition: form-data; name="file"; filename="screen shot.png"', 'Content-Type: image/PNG; charset=binary'],
+        data: png
+      }
+    ]);
+
+    const { fields, files } = parseMultipart(body, BOUNDARY);
+    assert.deepStrictEqual(fields, { description: 'Line one\r\nLine two' });
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(files[0].field, 'file');
+    assert.strictEqual(files[0].filename, 'screen shot.png');
+    assert.strictEqual(files[0].contentType, 'image/png');
+    assert.ok(files[0].data.equals(png));
+  });
+
+  it('reads quoted and escaped disposition parameters', () => {
+    const body = buildBody([
+      { headers: ['content-disposition: form-data; name=note; filename="say \\"hi\\".txt"'], data: 'hi' }
+    ]);
+
+    const { files } = parseMultipart(body, BOUNDARY);
+    assert.strictEqual(files[0].field, 'note');
+    assert.strictEqual(files[0].filename, 'say "hi".txt');
+    assert.strictEqual(files[0].contentType, '');
+  });
+
+  it('keeps an empty file and ignores parts without a name', () => {
+    const body = buildBody([
+      { headers: ['Content-Disposition: form-data; name="file"; filename="empty.txt"'], data: '' },
+      { headers: ['Content-Disposition: form-data'], data: 'orphan' }
+    ]);
+
+    const { fields, files } = parseMultipart(body, BOUNDARY);
+    assert.deepStrictEqual(fields, {});
+    assert.strictEqual(files[0].data.length, 0);
+  });
+
+  it('accepts a body with no parts', () => {
+    assert.deepStrictEqual(parseMultipart(buildBody([]), BOUNDARY), { fields: {}, files: [] });
+  });
+
+  it('rejects malformed bodies', () => {
+    const valid = buildBody([{ headers: ['Content-Disposition: form-data; name="a"'], data: 'x' }]);
+
+    assert.throws(() => parseMultipart(Buffer.from('no delimiter here'), BOUNDARY), ValidationError);
+    assert.throws(() => parseMultipart(valid, 'other-boundary'), ValidationError);
+    // Cut off before the closing delimiter
+    assert.throws(() => parseMultipart(valid.slice(0, valid.length - 20), BOUNDARY), ValidationError);
+    // Part without a blank line after its headers
+    assert.throws(() => parseMultipart(Buffer.from(`--${BOUNDARY}\r\nname: a\r\n--${BOUNDARY}--`), BOUNDARY), ValidationError);
+  });
+});
+
+describe('multipartBody', () => {
+  // Posts a body to a one-route app using the middleware, returning { status, body }
+  async function post(options, headers, body) {
+    const app = express();
+    app.use(multipartBody(options));
+    app.use(express.json());
+    app.post('/', (req, res) => res.json({
+      body: req.body,
+      files: req.files.map(file => ({ field: file.field, filename: file.filename, size: file.data.length }))
+    }));
+
+    const server = await listen(app);
+    try {
+      const response = await fetch(`${server.url}/`, { method: 'POST', headers, body });
+      return { status: response.status, body: await response.json() };
+    } finally {
+      await server.close();
+    }
+  }
+
+  const multipartHeaders = { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` };
+
+  it('sets req.body and req.files, parsing JSON fields', async () => {
+    const body = buildBody([
+      { headers: ['Content-Disposition: form-data; name="route"'], data: '/checkout' },
+      { headers: ['Content-Disposition: form-data; name="labels"'], data: '["ui","csp"]' },
+      { headers: ['Content-Disposition: form-data; name="file"; filename="log.txt"'], data: 'log' }
+    ]);
+
+    const response = await post({ jsonFields: ['labels'] }, multipartHeaders, body);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, {
+      body: { route: '/checkout', labels: ['ui', 'csp'] },
+      files: [{ field: 'file', filename: 'log.txt', size: 3 }]
+    });
+  });
+
+  it('leaves JSON bodies to express.json()', async () => {
+    const response = await post({}, { 'Content-Type': 'application/json' }, JSON.stringify({ route: '/a' }));
+    assert.deepStrictEqual(response.body, { body: { route: '/a' }, files: [] });
+  });
+
+  it('answers 400 for bad uploads', async () => {
+    const twoFiles = buildBody([
+      { headers: ['Content-Disposition: form-data; name="a"; filename="a.txt"'], data: 'a' },
+      { headers: ['Content-Disposition: form-data; name="b"; filename="b.txt"'], data: 'b' }
+    ]);
+    const badJson = buildBody([{ headers: ['Content-Disposition: form-data; name="labels"'], data: '[ui' }]);
+
+    assert.strictEqual((await post({ maxFiles: 1 }, multipartHeaders, twoFiles)).status, 400);
+    assert.strictEqual((await post({ jsonFields: ['labels'] }, multipartHeaders, badJson)).status, 400);
+    assert.strictEqual((await post({}, { 'Content-Type': 'multipart/form-data' }, twoFiles)).status, 400);
+    assert.strictEqual((await post({}, multipartHeaders, Buffer.from('garbage'))).status, 400);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Network Error Tests
+ * Failed and slow requests sent with a bug report, as tickets store them
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const BaseAdapter = require('../lib/storage/base-adapter');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('network errors', context => {
+  it('keeps the requests of a report in their stored form', async () => {
+    const report = await context.storage.createBugReport({
+      location: '/checkout',
+      description: 'Order button spins forever',
+      networkErrors: [
+        { method: 'post', url: '/api/orders', status: 502, durationMs: 31000, responseBody: 'x'.repeat(5000) },
+        { url: '/api/cart', error: 'Failed to fetch', status: 'none' }
+      ]
+    });
+
+    const storage = await context.reopen();
+    const [order, cart] = (await storage.getTicket(report.id)).networkErrors;
+    assert.strictEqual(order.method, 'POST');
+    assert.strictEqual(order.status, 502);
+    assert.strictEqual(order.responseBody.length, 2000);
+    assert.deepStrictEqual(cart, {
+      method: 'GET', url: '/api/cart', status: null, durationMs: null, error: 'Failed to fetch', responseBody: null, timestamp: null
+    });
+  });
+
+  it('keeps only the latest requests', async () => {
+    const requests = Array.from({ length: BaseAdapter.MAX_NETWORK_ERRORS + 5 }, (_, i) => ({ url: `/api/${i}`, status: 500 }));
+    const ticket = await context.storage.createTicket({ route: '/a', networkErrors: requests });
+
+    assert.strictEqual(ticket.networkErrors.length, BaseAdapter.MAX_NETWORK_ERRORS);
+    assert.strictEqual(ticket.networkErrors[0].url, '/api/5');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Project Tests
+ * Several projects on one server, each with storage of its own
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ProjectRegistry, DEFAULT_PROJECT_ID } = require('../lib/projects');
+const { makeTempDir, openStorage } = require('./helpers');
+
+describe('ProjectRegistry (json)', () => {
+  let dir;
+  let serverStorage;
+  let registry;
+  let opened;
+
+  beforeEach(async () => {
+    dir = makeTempDir();
+    serverStorage = await openStorage('json', dir);
+    opened = [];
+    registry = new ProjectRegistry(serverStorage, {
+      type: 'json',
+      jsonPath: path.join(dir, 'tickets.json'),
+      backupDir: path.join(dir, 'ticket-backups')
+    }, {
+      projectsDir: path.join(dir, 'projects'),
+      onOpen: context => opened.push(context.id)
+    });
+  });
+
+  afterEach(async () => {
+    await registry.closeAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('always has the default project, backed by the server storage', async () => {
+    const projects = await registry.list();
+    assert.deepStrictEqual(projects.map(p => [p.id, p.name]), [[DEFAULT_PROJECT_ID, 'Default']]);
+    assert.strictEqual((await registry.open(DEFAULT_PROJECT_ID)).storage, serverStorage);
+  });
+
+  it('keeps each project\'s tickets in its own directory', async () => {
+    const project = await registry.create({ id: 'shop', name: 'Shop' });
+    assert.strictEqual(project.directory, path.join(dir, 'projects', 'shop'));
+
+    const shop = await registry.open('shop');
+    const ticket = await shop.storage.createTicket({ route: '/cart' });
+
+    assert.ok(fs.existsSync(path.join(project.directory, 'tickets.json')));
+    assert.strictEqual(await serverStorage.getTicket(ticket.id), null);
+    assert.deepStrictEqual((await registry.list()).map(p => p.id), [DEFAULT_PROJECT_ID, 'shop']);
+  });
+
+  it('opens a project once, however many requests ask for it', async () => {
+    await registry.create({ id: 'shop' });
+    const [a, b] = await Promise.all([registry.open('shop'), registry.open('shop')]);
+
+    assert.strictEqual(a, b);
+    assert.deepStrictEqual(opened, [DEFAULT_PROJECT_ID, 'shop']);
+    assert.strictEqual(await registry.open('unknown'), null);
+  });
+
+  it('unregisters a project without deleting its files', async () => {
+    const project = await registry.create({ id: 'shop' });
+
+    assert.strictEqual(await registry.remove('shop'), true);
+    assert.strictEqual(await registry.get('shop'), null);
+    assert.ok(fs.existsSync(path.join(project.directory, 'tickets.json')));
+  });
+});
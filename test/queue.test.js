@@ -0,0 +1,47 @@
+/**
+ * Queue Tests
+ * Which ticket an agent pulls next, and that each one is handed out once
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('queue', context => {
+  it('hands out the most urgent open ticket, once', async () => {
+    const { storage } = context;
+    const low = await storage.createTicket({ route: '/a', priority: 'low' });
+    const critical = await storage.createTicket({ route: '/b', priority: 'critical' });
+    await storage.createTicket({ route: '/c', priority: 'critical', status: 'fixed' });
+
+    assert.deepStrictEqual(await storage.getQueue(), [critical.id, low.id]);
+
+    const taken = await storage.dequeueTicket('agent-1', 60);
+    assert.strictEqual(taken.id, critical.id);
+    assert.strictEqual(taken.status, 'in-progress');
+    assert.strictEqual(taken.claimedBy, 'agent-1');
+
+    assert.strictEqual((await storage.dequeueTicket('agent-2', 60)).id, low.id);
+    assert.strictEqual(await storage.dequeueTicket('agent-3', 60), null);
+  });
+
+  it('skips tickets another agent has claimed', async () => {
+    const { storage } = context;
+    const claimed = await storage.createTicket({ route: '/a', priority: 'critical' });
+    const free = await storage.createTicket({ route: '/b', priority: 'low' });
+    await storage.claimTicket(claimed.id, 'agent-1', 60);
+
+    assert.deepStrictEqual(await storage.getQueue(), [free.id]);
+    assert.strictEqual((await storage.peekQueue()).id, free.id);
+  });
+
+  it('filters by namespace', async () => {
+    const { storage } = context;
+    await storage.createTicket({ route: '/a', namespace: 'web' });
+    const api = await storage.createTicket({ route: '/b', namespace: 'api' });
+
+    const taken = await storage.dequeueTicket('agent-1', 60, { namespace: 'api' });
+    assert.strictEqual(taken.id, api.id);
+    assert.strictEqual(await storage.dequeueTicket('agent-1', 60, { namespace: 'api' }), null);
+  });
+});
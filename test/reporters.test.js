@@ -0,0 +1,76 @@
+/**
+ * Reporter Tests
+ * Receipt tokens, what a reporter may see of their ticket, and the emails sent when it's fixed
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const {
+  RECEIPT_TOKEN_PATTERN,
+  issueReporterReceipt,
+  findReporterReceipt,
+  toReporterStatus,
+  getNotifyStatuses,
+  ReporterNotifier
+} = require('../lib/reporters');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('reporter receipts', context => {
+  it('finds a receipt by its token, storing only the token\'s hash', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/settings' });
+    const { token, receipt } = await issueReporterReceipt(storage, ticket.id, 'reporter@example.com');
+
+    assert.match(token, RECEIPT_TOKEN_PATTERN);
+    assert.notStrictEqual(receipt.tokenHash, token);
+    const storage2 = await context.reopen();
+    assert.strictEqual((await findReporterReceipt(storage2, token)).ticketId, ticket.id);
+    assert.strictEqual(await findReporterReceipt(storage2, 'rcpt_' + '0'.repeat(48)), null);
+    assert.strictEqual(await findReporterReceipt(storage2, 'not-a-token'), null);
+  });
+
+  it('shows the reporter how far their ticket has come, none of its contents', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/settings', description: 'Internal notes', status: 'fixed' });
+    const { receipt } = await issueReporterReceipt(storage, ticket.id, null);
+
+    const status = toReporterStatus(ticket, receipt, storage.workflow, getNotifyStatuses(storage.workflow));
+    assert.deepStrictEqual(status, {
+      id: ticket.id,
+      status: 'fixed',
+      statusLabel: 'Fixed',
+      resolved: true,
+      reportedAt: receipt.createdAt,
+      updatedAt: ticket.updatedAt,
+      notify: false
+    });
+  });
+
+  it('emails each reporter once when their ticket is fixed', async () => {
+    const { storage } = context;
+    const sent = [];
+    const notifier = new ReporterNotifier(storage, { send: async message => sent.push(message) }, { from: 'tickets@example.com' });
+
+    const ticket = await storage.createTicket({ route: '/settings' });
+    await issueReporterReceipt(storage, ticket.id, 'reporter@example.com');
+    await issueReporterReceipt(storage, ticket.id, 'reporter@example.com');
+    await issueReporterReceipt(storage, ticket.id, null);
+
+    await notifier.handleEvent({ type: 'status-changed', data: { from: 'open', to: 'in-progress', ticket } });
+    const fixed = await storage.updateTicket(ticket.id, { status: 'fixed' });
+    await notifier.handleEvent({ type: 'status-changed', data: { from: 'open', to: 'fixed', ticket: fixed } });
+    // Moving on to closed isn't news to the reporter
+    await notifier.handleEvent({ type: 'status-changed', data: { from: 'fixed', to: 'closed', ticket: fixed } });
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].from, 'tickets@example.com');
+    assert.strictEqual(sent[0].to, 'reporter@example.com');
+    assert.strictEqual(sent[0].subject, `Your bug report ${ticket.id} is now fixed`);
+    assert.ok(!sent[0].text.includes('/settings'));
+  });
+});
+
+it('getNotifyStatuses takes the fixed and closed statuses the workflow has', () => {
+  const workflow = { closed: 'done', hasStatus: status => status === 'fixed' };
+  assert.deepStrictEqual(getNotifyStatuses(workflow), ['fixed', 'done']);
+});
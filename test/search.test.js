@@ -0,0 +1,37 @@
+/**
+ * Search Tests
+ * Ranked full-text search over ticket fields and comments, including closed tickets
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('search', context => {
+  it('ranks tickets matching the query, comments included', async () => {
+    const { storage } = context;
+    const login = await storage.createTicket({ route: '/login', description: 'Login form freezes on submit' });
+    const other = await storage.createTicket({ route: '/cart', description: 'Cart total is wrong' });
+    await storage.addComment(other.id, { author: 'qa', content: 'Also seen right after login' });
+
+    const results = await storage.searchTickets('login');
+    assert.deepStrictEqual(results.map(r => r.ticket.id).sort(), [login.id, other.id].sort());
+    assert.strictEqual(results[0].ticket.id, login.id);
+
+    assert.deepStrictEqual((await storage.searchTickets('freezes')).map(r => r.ticket.id), [login.id]);
+    assert.deepStrictEqual(await storage.searchTickets('nothing-matches-this'), []);
+  });
+
+  it('finds closed tickets and says which fields matched', async () => {
+    const { storage } = context;
+    const closed = await storage.createTicket({
+      route: '/report',
+      serverErrors: 'ECONNRESET while exporting the report',
+      status: 'closed'
+    });
+
+    const [result] = await storage.searchTickets('ECONNRESET');
+    assert.strictEqual(result.ticket.id, closed.id);
+    assert.ok(result.matchedFields.includes('serverErrors'), result.matchedFields.join(', '));
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Swarm Action Tests
+ * Structured swarm action fields surviving storage, and related ticket links
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert');
+const { describeAdapters } = require('./helpers');
+
+describeAdapters('swarm actions', context => {
+  it('keeps every field of an action when reopened', async () => {
+    const ticket = await context.storage.createTicket({ route: '/a' });
+    await context.storage.addSwarmAction(ticket.id, {
+      action: 'fix-applied',
+      result: 'Guarded the null cart',
+      agent: 'coder-1',
+      files: ['src/cart.js', 'src/cart.test.js'],
+      commit: '1a2b3c4',
+      durationMs: 4200,
+      outcome: 'success',
+      metadata: { tests: 12 }
+    });
+
+    const storage = await context.reopen();
+    const [action] = (await storage.getTicket(ticket.id)).swarmActions;
+    const { timestamp, ...fields } = action;
+    assert.ok(!isNaN(Date.parse(timestamp)));
+    assert.deepStrictEqual(fields, {
+      action: 'fix-applied',
+      result: 'Guarded the null cart',
+      agent: 'coder-1',
+      files: ['src/cart.js', 'src/cart.test.js'],
+      commit: '1a2b3c4',
+      durationMs: 4200,
+      outcome: 'success',
+      metadata: { tests: 12 }
+    });
+  });
+
+  it('links related tickets without a new version', async () => {
+    const { storage } = context;
+    const a = await storage.createTicket({ route: '/a' });
+    const b = await storage.createTicket({ route: '/b' });
+
+    assert.strictEqual(await storage.linkRelatedTickets(a.id, [b.id]), true);
+    const linked = await storage.getTicket(a.id);
+    assert.deepStrictEqual(linked.relatedTickets, [b.id]);
+    assert.strictEqual(linked.version, 1);
+    assert.strictEqual(await storage.linkRelatedTickets('TKT-missing', [b.id]), false);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Triage Tests
+ * Triage rule definitions and evaluation, and what triaging sets and records on a ticket
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TriageRules, DEFAULT_TRIAGE_RULES } = require('../lib/triage');
+const { describeAdapters } = require('./helpers');
+
+const RULES = new TriageRules({
+  defaultPriority: 'low',
+  related: { by: ['route'], limit: 5 },
+  rules: [
+    { name: 'checkout', when: { route: '^/checkout' }, then: { priority: 'high', labels: ['payments'], assignee: 'coder-1' } },
+    { name: 'crashes', when: { errors: 'uncaught' }, then: { priority: 'critical', labels: ['crash'] } },
+    { name: 'repeats', when: { occurrences: { min: 3 } }, then: { labels: ['frequent'] } }
+  ]
+});
+
+describe('TriageRules', () => {
+  it('lists every problem with a definition', () => {
+    const problems = TriageRules.check({
+      defaultPriority: 'urgent',
+      related: { by: ['author'] },
+      rules: [
+        { when: { route: '(' }, then: { priority: 'high' } },
+        { when: { browser: 'firefox' }, then: { close: true } }
+      ]
+    });
+    assert.strictEqual(problems.length, 5);
+    assert.match(problems[0], /^"defaultPriority" must be one of/);
+    assert.match(problems[1], /^"related.by" must be a list of/);
+    assert.match(problems[2], /^rules\[0\]\.when\.route is not a valid regular expression/);
+    assert.match(problems[3], /^rules\[1\]\.when\.browser is not a known condition/);
+    assert.match(problems[4], /^rules\[1\]\.then\.close is not a known action/);
+    assert.doesNotThrow(() => new TriageRules(DEFAULT_TRIAGE_RULES));
+  });
+
+  it('takes the most urgent priority and combines the labels of the rules that fire', () => {
+    const { rules, changes } = RULES.evaluate({ route: '/checkout/pay', f12Errors: 'Uncaught TypeError', occurrenceCount: 1 });
+
+    assert.deepStrictEqual(rules.map(rule => rule.name), ['checkout', 'crashes']);
+    assert.deepStrictEqual(changes, { priority: 'critical', labels: ['payments', 'crash'], assignee: 'coder-1' });
+  });
+
+  it('falls back to the default priority when no rule sets one', () => {
+    assert.deepStrictEqual(RULES.evaluate({ route: '/about', occurrenceCount: 3 }).changes, {
+      priority: 'low', labels: ['frequent']
+    });
+  });
+});
+
+describeAdapters('triage', context => {
+  it('applies the rules, links related tickets and records what it did', async () => {
+    const { storage } = context;
+    const earlier = await storage.createTicket({ route: '/checkout' });
+    const ticket = await storage.createTicket({ route: '/checkout', labels: ['ui'] });
+
+    const result = await storage.triageTicket(ticket.id, RULES, { actor: 'triager' });
+    assert.strictEqual(result.ticket.priority, 'high');
+    assert.deepStrictEqual(result.ticket.labels, ['payments', 'ui']);
+    assert.deepStrictEqual(result.ticket.relatedTickets, [earlier.id]);
+
+    const action = result.ticket.swarmActions[result.ticket.swarmActions.length - 1];
+    assert.strictEqual(action.action, 'auto-analysis');
+    assert.strictEqual(action.agent, 'triager');
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/checkout' });
+
+    const result = await storage.triageTicket(ticket.id, RULES, { dryRun: true });
+    assert.strictEqual(result.changes.priority, 'high');
+    const stored = await storage.getTicket(ticket.id);
+    assert.strictEqual(stored.priority, null);
+    assert.strictEqual(stored.version, 1);
+  });
+
+  it('records no analysis when the changes could not be made', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/checkout' });
+    storage.updateTicket = async () => {
+      throw new Error('disk full');
+    };
+
+    await assert.rejects(storage.triageTicket(ticket.id, RULES), /disk full/);
+    assert.deepStrictEqual((await storage.getTicket(ticket.id)).swarmActions, []);
+  });
+
+  it('triages every untriaged ticket, oldest first', async () => {
+    const { storage } = context;
+    const first = await storage.createTicket({ route: '/about' });
+    await storage.createTicket({ route: '/done', priority: 'medium' });
+    const second = await storage.createTicket({ route: '/checkout' });
+
+    const results = await storage.triageTickets(RULES);
+    assert.deepStrictEqual(results.map(r => [r.id, r.ok, r.ticket.priority]), [
+      [first.id, true, 'low'],
+      [second.id, true, 'high']
+    ]);
+  });
+});
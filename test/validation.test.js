@@ -0,0 +1,96 @@
+/**
+ * Validation Tests
+ * Request checks against the API schemas, their structured 400s, and the OpenAPI document built from them
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { validate, validateRequest, ValidationError } = require('../lib/validation');
+const { buildOpenApiDocument } = require('../lib/openapi');
+const { Role, createRequireRole } = require('../lib/auth');
+const schemas = require('../lib/schemas');
+const { describeAdapters, listen } = require('./helpers');
+
+describe('validate', () => {
+  it('reports each offending field', () => {
+    assert.deepStrictEqual(validate(schemas.TicketUpdate, { priority: 'urgent', labels: ['ui', ''], owner: 'me' }), [
+      { field: 'priority', message: 'must be one of: critical, high, medium, low' },
+      { field: 'labels[1]', message: 'must not be empty' },
+      { field: 'owner', message: 'is not a known field' }
+    ]);
+  });
+
+  it('accepts nulls only where the schema allows them', () => {
+    assert.deepStrictEqual(validate(schemas.TicketUpdate, { priority: null, assignee: null }), []);
+    assert.deepStrictEqual(validate(schemas.TicketUpdate, { route: null }), [{ field: 'route', message: 'must be a string' }]);
+  });
+
+  it('refuses an update that changes nothing', () => {
+    assert.strictEqual(validate(schemas.TicketUpdate, {}).length, 1);
+  });
+});
+
+describe('validateRequest', () => {
+  const spec = {
+    summary: 'Create a thing',
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } } },
+    body: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'], additionalProperties: false },
+    status: 201
+  };
+
+  function buildApp() {
+    const app = express();
+    app.use(express.json());
+    const requireRole = createRequireRole(() => null, { enabled: false });
+    app.post('/api/things/:id', requireRole(Role.AGENT), validateRequest(spec), (req, res) => res.status(201).json(req.body));
+    return app;
+  }
+
+  it('answers 400 with the details, coercing query values first', async () => {
+    const server = await listen(buildApp());
+    try {
+      const post = (query, body) => fetch(`${server.url}/api/things/1${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const rejected = await post('?limit=0', { extra: true });
+      assert.strictEqual(rejected.status, 400);
+      assert.deepStrictEqual(await rejected.json(), new ValidationError([
+        { field: 'query.limit', message: 'must be at least 1' },
+        { field: 'name', message: 'is required' },
+        { field: 'extra', message: 'is not a known field' }
+      ]).toJSON());
+
+      const accepted = await post('?limit=5', { name: 'ok' });
+      assert.strictEqual(accepted.status, 201);
+      await accepted.json();
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('documents the route in the OpenAPI document', () => {
+    const document = buildOpenApiDocument(buildApp(), { version: '1.2.3' });
+    const operation = document.paths['/api/things/{id}'].post;
+
+    assert.strictEqual(document.info.version, '1.2.3');
+    assert.strictEqual(operation.summary, 'Create a thing');
+    assert.strictEqual(operation['x-required-role'], Role.AGENT);
+    assert.deepStrictEqual(operation.parameters.map(p => [p.name, p.in]), [['id', 'path'], ['limit', 'query']]);
+    assert.deepStrictEqual(Object.keys(operation.responses).sort(), ['201', '400', '401', '403', '404']);
+  });
+});
+
+describeAdapters('ticket validation', context => {
+  it('rejects statuses and priorities outside the workflow, unless the ticket is imported', async () => {
+    const { storage } = context;
+    await assert.rejects(storage.createTicket({ route: '/a', status: 'future-enhancement' }), ValidationError);
+    await assert.rejects(storage.createTicket({ route: '/a', priority: 'urgent' }), ValidationError);
+
+    const imported = await storage.createTicket({ route: '/a', status: 'future-enhancement' }, { imported: true });
+    assert.strictEqual(imported.status, 'future-enhancement');
+  });
+});
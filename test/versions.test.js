@@ -0,0 +1,78 @@
+/**
+ * Version Tests
+ * Ticket versions, and ETag / If-Match keeping concurrent writers from overwriting each other
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { VersionConflictError } = require('../lib/storage');
+const { describeAdapters, makeTempDir, startServer } = require('./helpers');
+
+describeAdapters('versions', context => {
+  it('counts up on every change, comments included', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+    assert.strictEqual(ticket.version, 1);
+
+    assert.strictEqual((await storage.updateTicket(ticket.id, { priority: 'high' })).version, 2);
+    await storage.addComment(ticket.id, { author: 'qa', content: 'Still happens' });
+    assert.strictEqual((await storage.getTicket(ticket.id)).version, 3);
+  });
+
+  it('refuses an update made against an old version', async () => {
+    const { storage } = context;
+    const ticket = await storage.createTicket({ route: '/a' });
+    await storage.updateTicket(ticket.id, { priority: 'low' }, { expectedVersion: 1 });
+
+    await assert.rejects(
+      storage.updateTicket(ticket.id, { priority: 'high' }, { expectedVersion: 1 }),
+      error => error instanceof VersionConflictError && error.ticket.version === 2
+    );
+    assert.strictEqual((await storage.getTicket(ticket.id)).priority, 'low');
+  });
+});
+
+describe('ticket server ETags', () => {
+  let dir;
+  let server;
+
+  before(async () => {
+    dir = makeTempDir();
+    server = await startServer(dir, { SWARM_TICKETS_AUTH: 'off' });
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function send(method, path, body, headers = {}) {
+    return fetch(`${server.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body && JSON.stringify(body)
+    });
+  }
+
+  it('answers 412 with the current ETag when If-Match is out of date', async () => {
+    const created = await (await send('POST', '/api/tickets', { route: '/a' })).json();
+    const read = await send('GET', `/api/tickets/${created.id}`);
+    const etag = read.headers.get('etag');
+    await read.json();
+
+    const first = await send('PATCH', `/api/tickets/${created.id}`, { priority: 'low' }, { 'If-Match': etag });
+    assert.strictEqual(first.status, 200);
+    assert.notStrictEqual(first.headers.get('etag'), etag);
+    await first.json();
+
+    const stale = await send('PATCH', `/api/tickets/${created.id}`, { priority: 'high' }, { 'If-Match': etag });
+    assert.strictEqual(stale.status, 412);
+    assert.strictEqual(stale.headers.get('etag'), first.headers.get('etag'));
+    assert.strictEqual((await stale.json()).version, 2);
+
+    // Without If-Match the last write wins
+    const blind = await send('PATCH', `/api/tickets/${created.id}`, { priority: 'high' });
+    assert.strictEqual((await blind.json()).priority, 'high');
+  });
+});
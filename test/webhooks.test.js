@@ -0,0 +1,107 @@
+/**
+ * Webhook Tests
+ * Signed deliveries to a local receiver, retries, the delivery log and where the secrets are kept
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const express = require('express');
+const { TicketEvent } = require('../lib/events');
+const { WebhookDispatcher, signPayload, toPublicWebhook } = require('../lib/webhooks');
+const { describeAdapters, listen, makeTempDir, openStorage } = require('./helpers');
+
+// A receiver answering with the given statuses in turn, keeping what it was sent
+async function startReceiver(statuses) {
+  const requests = [];
+  const app = express();
+  app.post('/hook', express.text({ type: '*/*' }), (req, res) => {
+    requests.push({ headers: req.headers, body: req.body });
+    res.sendStatus(statuses[Math.min(requests.length, statuses.length) - 1]);
+  });
+  const server = await listen(app);
+  return { url: `${server.url}/hook`, requests, close: server.close };
+}
+
+const EVENT = {
+  id: 1,
+  type: TicketEvent.CREATED,
+  timestamp: '2024-05-01T10:00:00.000Z',
+  data: { ticket: { id: 'TKT-1' } }
+};
+
+describeAdapters('webhooks', context => {
+  it('signs deliveries with the webhook secret', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+      const webhook = await context.storage.createWebhook({ url: receiver.url, events: ['*'], secret: 'whsec_test' });
+
+      const entry = await new WebhookDispatcher(context.storage).deliver(webhook, EVENT);
+      assert.strictEqual(entry.status, 'success');
+
+      const [request] = receiver.requests;
+      assert.strictEqual(request.headers['x-swarm-tickets-event'], TicketEvent.CREATED);
+      assert.strictEqual(request.headers['x-swarm-tickets-signature'], signPayload('whsec_test', request.body));
+      assert.deepStrictEqual(JSON.parse(request.body).data, EVENT.data);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('retries failed deliveries and logs each attempt', async () => {
+    const receiver = await startReceiver([500, 503, 204]);
+    try {
+      const webhook = await context.storage.createWebhook({ url: receiver.url, events: [TicketEvent.CREATED] });
+
+      await new WebhookDispatcher(context.storage, { baseDelayMs: 1 }).deliver(webhook, EVENT);
+
+      const log = await context.storage.listWebhookDeliveries(webhook.id);
+      assert.deepStrictEqual(log.map(d => [d.attempt, d.status, d.responseStatus]), [
+        [3, 'success', 204],
+        [2, 'retrying', 503],
+        [1, 'retrying', 500]
+      ]);
+      assert.strictEqual(new Set(receiver.requests.map(r => r.headers['x-swarm-tickets-delivery'])).size, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('gives up after the last attempt', async () => {
+    const receiver = await startReceiver([500]);
+    try {
+      const webhook = await context.storage.createWebhook({ url: receiver.url, events: ['*'] });
+
+      const entry = await new WebhookDispatcher(context.storage, { baseDelayMs: 1 }).deliver(webhook, EVENT, 2);
+      assert.strictEqual(entry.status, 'failed');
+      assert.strictEqual(entry.error, 'HTTP 500');
+      assert.strictEqual(receiver.requests.length, 2);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('keeps secrets out of API responses', async () => {
+    const webhook = await context.storage.createWebhook({ url: 'http://127.0.0.1/hook', events: ['*'], secret: 'whsec_test' });
+
+    const shown = toPublicWebhook(webhook);
+    assert.strictEqual(shown.secret, undefined);
+    assert.strictEqual(shown.hasSecret, true);
+  });
+});
+
+describe('JSON webhook storage', () => {
+  const skip = process.platform === 'win32' && 'no POSIX file modes';
+
+  it('keeps the sidecar holding the secrets readable by its owner only', { skip }, async () => {
+    const dir = makeTempDir();
+    const storage = await openStorage('json', dir);
+    try {
+      await storage.createWebhook({ url: 'http://127.0.0.1/hook', events: ['*'], secret: 'whsec_test' });
+      assert.strictEqual(fs.statSync(storage.metaPath).mode & 0o777, 0o600);
+    } finally {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Workflow Tests
+ * Workflow definitions, and status changes checked against their transitions and guards
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TransitionError } = require('../lib/storage');
+const { Workflow, DEFAULT_WORKFLOW } = require('../lib/workflow');
+const { describeAdapters } = require('./helpers');
+
+// The default workflow, with comments required to fix a ticket and a "verified" swarm action to close one
+const GUARDED_WORKFLOW = {
+  ...DEFAULT_WORKFLOW,
+  transitions: DEFAULT_WORKFLOW.transitions.map(transition => {
+    if (transition.to === 'fixed') return { ...transition, guards: [{ type: 'comment' }] };
+    if (transition.to === 'closed') return { ...transition, guards: [{ type: 'swarm-action', action: 'verified' }] };
+    return transition;
+  })
+};
+
+describe('Workflow', () => {
+  it('lists every problem with a definition', () => {
+    assert.deepStrictEqual(Workflow.check({
+      initial: 'new',
+      inProgress: 'open',
+      closed: 'closed',
+      states: [{ id: 'open' }, { id: 'closed' }, { id: 'open' }],
+      transitions: [{ from: 'done', to: 'closed', guards: [{ type: 'approval' }] }]
+    }), [
+      'state "open" is defined twice',
+      '"initial" must be one of the states',
+      'transitions[0].from "done" is not a state',
+      'transitions[0].guards[0].type must be one of: comment, swarm-action'
+    ]);
+    assert.throws(() => new Workflow({ states: [] }), /Invalid workflow/);
+  });
+
+  it('says where a status can move to', () => {
+    const workflow = new Workflow(DEFAULT_WORKFLOW);
+    assert.deepStrictEqual(workflow.getNextStatuses('closed'), ['open']);
+    assert.deepStrictEqual(workflow.checkTransition({ status: 'closed' }, 'fixed'), ['"closed" can only move to: open']);
+    assert.deepStrictEqual(workflow.countByStatus([{ status: 'in-progress', count: 2 }, { status: 'legacy', count: 1 }]), {
+      open: 0, inProgress: 2, fixed: 0, closed: 0, legacy: 1
+    });
+  });
+});
+
+describeAdapters('workflow', context => {
+  it('guards status changes by the workflow transitions', async () => {
+    const ticket = await context.storage.createTicket({ route: '/a', status: 'closed' });
+
+    await assert.rejects(context.storage.assertTransition(ticket, 'in-progress'), TransitionError);
+    await context.storage.assertTransition(ticket, 'open');
+  });
+
+  it('requires a comment where the workflow says so', async () => {
+    const storage = await context.reopen(GUARDED_WORKFLOW);
+    const ticket = await storage.createTicket({ route: '/a' });
+
+    await assert.rejects(storage.assertTransition(ticket, 'fixed'), TransitionError);
+    await storage.assertTransition(ticket, 'fixed', { comment: 'Fixed in 1a2b3c' });
+  });
+
+  it('requires a swarm action recorded since the ticket entered its status', async () => {
+    const storage = await context.reopen(GUARDED_WORKFLOW);
+    const ticket = await storage.createTicket({ route: '/a' });
+    await storage.addSwarmAction(ticket.id, { action: 'verified', result: 'Looked fine' });
+    // Timestamps are to the millisecond - keep the old action clearly before the status change
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await storage.updateTicket(ticket.id, { status: 'fixed' });
+
+    await assert.rejects(storage.assertTransition(await storage.getTicket(ticket.id), 'closed'), error => (
+      error instanceof TransitionError && /needs a "verified" swarm action first/.test(error.message)
+    ));
+
+    const verified = await storage.addSwarmAction(ticket.id, { action: 'verified', result: 'Fix confirmed' });
+    await storage.assertTransition(verified, 'closed');
+  });
+});